@@ -0,0 +1,276 @@
+import crypto from "crypto";
+import {getRandomString, getTimestampSeconds, paginate, sleep} from "./utils.js";
+import {invalidRequestError, notFoundError} from "./errors.js";
+import {getFile, readFileContent, createFileFromContent} from "./files.js";
+
+// Batch API. Every line of the input file is sent to this same server (over loopback http), so it goes through exactly
+// the same route handlers, validation included, as a direct call would. Results are written to output/error files in
+// the Files API.
+// Batches go validating -> in_progress -> finalizing -> completed (or failed/cancelled) on the schedule in `batches`.
+
+const SUPPORTED_ENDPOINTS = ['/v1/chat/completions', '/v1/embeddings', '/v1/completions'];
+
+let settings = {
+    validatingMs: 500,
+    perRequestDelayMs: 0,
+    finalizingMs: 500
+};
+let baseUrl = null;
+
+const batches = new Map();
+// batch id -> authorization header of its creator, used for the loopback requests
+const batchAuthorizations = new Map();
+// marks the loopback requests... random per process, so that clients can't send it themselves
+const BATCH_REQUEST_HEADER = 'x-mock-batch-request';
+const batchRequestToken = crypto.randomUUID();
+
+function init(cfg) {
+    settings = {...settings, ...cfg?.batches};
+
+    const host = !cfg.server.host || cfg.server.host === '0.0.0.0' ? '127.0.0.1' : cfg.server.host;
+    baseUrl = `http://${host}:${cfg.server.port}`;
+}
+
+function createBatch({input_file_id: inputFileId, endpoint, completion_window: completionWindow, metadata}, authorization) {
+    if (!inputFileId) {
+        return {data: null, error: invalidRequestError(`Missing required parameter: 'input_file_id'.`, 'input_file_id', 'missing_required_parameter')};
+    }
+    if (!SUPPORTED_ENDPOINTS.includes(endpoint)) {
+        return {data: null, error: invalidRequestError(`Invalid value for 'endpoint': expected one of ${SUPPORTED_ENDPOINTS.map(e => `'${e}'`).join(', ')}. Given: ${JSON.stringify(endpoint)}.`, 'endpoint')};
+    }
+    if (completionWindow !== '24h') {
+        return {data: null, error: invalidRequestError(`Invalid value for 'completion_window': expected '24h'. Given: ${JSON.stringify(completionWindow)}.`, 'completion_window')};
+    }
+
+    const {data: inputFile, error} = getFile(inputFileId);
+    if (error) {
+        return {data: null, error};
+    }
+    if (inputFile.purpose !== 'batch') {
+        return {data: null, error: invalidRequestError(`File ${inputFileId} has purpose '${inputFile.purpose}', expected 'batch'.`, 'input_file_id')};
+    }
+
+    const createdAt = getTimestampSeconds();
+    const batch = {
+        id: `batch_${getRandomString(24)}`,
+        object: 'batch',
+        endpoint,
+        errors: null,
+        input_file_id: inputFileId,
+        completion_window: completionWindow,
+        status: 'validating',
+        output_file_id: null,
+        error_file_id: null,
+        created_at: createdAt,
+        in_progress_at: null,
+        expires_at: createdAt + 24 * 60 * 60,
+        finalizing_at: null,
+        completed_at: null,
+        failed_at: null,
+        expired_at: null,
+        cancelling_at: null,
+        cancelled_at: null,
+        request_counts: {total: 0, completed: 0, failed: 0},
+        metadata: metadata ?? null
+    };
+
+    batches.set(batch.id, batch);
+    batchAuthorizations.set(batch.id, authorization);
+
+    processBatch(batch).catch(err => {
+        console.error(`[batch] ${batch.id}`, err);
+        failBatch(batch, [{code: 'server_error', message: err.message, param: null, line: null}]);
+    });
+
+    return {data: batch, error: null};
+}
+
+function listBatches(query) {
+    return {data: paginate([...batches.values()], query), error: null};
+}
+
+function getBatch(batchId) {
+    const batch = batches.get(batchId);
+    return batch
+        ? {data: batch, error: null}
+        : {data: null, error: notFoundError(`No batch found with id '${batchId}'.`, 'batch_id')};
+}
+
+function cancelBatch(batchId) {
+    const {data: batch, error} = getBatch(batchId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    if (!['validating', 'in_progress'].includes(batch.status)) {
+        return {data: null, error: invalidRequestError(`Cannot cancel a batch with status '${batch.status}'.`)};
+    }
+
+    // picked up by processBatch between requests
+    batch.status = 'cancelling';
+    batch.cancelling_at = getTimestampSeconds();
+
+    return {data: batch, error: null};
+}
+
+async function processBatch(batch) {
+    await sleep(settings.validatingMs);
+    if (batch.status === 'cancelling') {
+        return finishCancelled(batch, [], []);
+    }
+
+    const {lines, errors} = parseInputFile(batch);
+    if (errors.length > 0) {
+        return failBatch(batch, errors);
+    }
+
+    batch.status = 'in_progress';
+    batch.in_progress_at = getTimestampSeconds();
+    batch.request_counts.total = lines.length;
+
+    const outputs = [];
+    const failures = [];
+
+    for (const line of lines) {
+        if (batch.status === 'cancelling') {
+            return finishCancelled(batch, outputs, failures);
+        }
+
+        const result = await dispatchLine(batch, line);
+        if (result.response && result.response.status_code < 400) {
+            outputs.push(result);
+            batch.request_counts.completed++;
+        } else {
+            failures.push(result);
+            batch.request_counts.failed++;
+        }
+
+        if (settings.perRequestDelayMs > 0) {
+            await sleep(settings.perRequestDelayMs);
+        }
+    }
+
+    batch.status = 'finalizing';
+    batch.finalizing_at = getTimestampSeconds();
+    await sleep(settings.finalizingMs);
+
+    writeResultFiles(batch, outputs, failures);
+    batch.status = 'completed';
+    batch.completed_at = getTimestampSeconds();
+}
+
+// Returns {lines, errors}... errors are reported per line, like the real validation step does
+function parseInputFile(batch) {
+    const {data: content, error} = readFileContent(batch.input_file_id);
+    if (error) {
+        return {lines: [], errors: [{code: 'invalid_file', message: error.error.message, param: 'input_file_id', line: null}]};
+    }
+
+    const lines = [];
+    const errors = [];
+    const customIds = new Set();
+
+    content.split(/\r?\n/).forEach((text, idx) => {
+        if (!text.trim()) {
+            return;
+        }
+
+        const lineNumber = idx + 1;
+        let line = null;
+        try {
+            line = JSON.parse(text);
+        } catch (e) {
+            return errors.push({code: 'invalid_json_line', message: `This line is not parseable as valid JSON.`, param: null, line: lineNumber});
+        }
+        if (!line || typeof line !== 'object' || Array.isArray(line)) {
+            return errors.push({code: 'invalid_request', message: `Each line must be a JSON object. Given: ${text.trim()}.`, param: null, line: lineNumber});
+        }
+
+        if (!line.custom_id) {
+            errors.push({code: 'missing_required_parameter', message: `Missing required parameter: 'custom_id'.`, param: 'custom_id', line: lineNumber});
+        } else if (customIds.has(line.custom_id)) {
+            errors.push({code: 'duplicate_custom_id', message: `The custom_id for this request is a duplicate of another request. The custom_id parameter must be unique for each request in a batch.`, param: 'custom_id', line: lineNumber});
+        } else if (line.method !== 'POST') {
+            errors.push({code: 'invalid_method', message: `Only 'POST' requests are supported. Given: ${JSON.stringify(line.method)}.`, param: 'method', line: lineNumber});
+        } else if (line.url !== batch.endpoint) {
+            errors.push({code: 'mismatched_endpoint', message: `The provided url '${line.url}' does not match the batch endpoint '${batch.endpoint}'.`, param: 'url', line: lineNumber});
+        } else if (!line.body || typeof line.body !== 'object') {
+            errors.push({code: 'missing_required_parameter', message: `Missing required parameter: 'body'.`, param: 'body', line: lineNumber});
+        } else {
+            lines.push(line);
+        }
+
+        customIds.add(line.custom_id);
+    });
+
+    if (lines.length === 0 && errors.length === 0) {
+        errors.push({code: 'empty_file', message: `The batch input file is empty.`, param: 'input_file_id', line: null});
+    }
+
+    return {lines, errors};
+}
+
+async function dispatchLine(batch, line) {
+    const result = {id: `batch_req_${getRandomString(24)}`, custom_id: line.custom_id, response: null, error: null};
+
+    try {
+        // batch requests are never streamed
+        const {stream, stream_options, ...body} = line.body;
+        const response = await fetch(`${baseUrl}${line.url}`, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                [BATCH_REQUEST_HEADER]: batchRequestToken,
+                ...(batchAuthorizations.get(batch.id) ? {'authorization': batchAuthorizations.get(batch.id)} : {})
+            },
+            body: JSON.stringify(body)
+        });
+
+        result.response = {
+            status_code: response.status,
+            request_id: response.headers.get('x-request-id') ?? getRandomString(32),
+            body: await response.json()
+        };
+    } catch (err) {
+        result.error = {code: 'batch_request_failed', message: err.message};
+    }
+
+    return result;
+}
+
+function writeResultFiles(batch, outputs, failures) {
+    const toJsonl = (results) => results.map(result => JSON.stringify(result)).join('\n') + '\n';
+
+    if (outputs.length > 0) {
+        batch.output_file_id = createFileFromContent(toJsonl(outputs), `${batch.id}_output.jsonl`, 'batch_output').data.id;
+    }
+    if (failures.length > 0) {
+        batch.error_file_id = createFileFromContent(toJsonl(failures), `${batch.id}_error.jsonl`, 'batch_output').data.id;
+    }
+}
+
+function finishCancelled(batch, outputs, failures) {
+    writeResultFiles(batch, outputs, failures);
+    batch.status = 'cancelled';
+    batch.cancelled_at = getTimestampSeconds();
+}
+
+function failBatch(batch, errors) {
+    batch.status = 'failed';
+    batch.failed_at = getTimestampSeconds();
+    batch.errors = {object: 'list', data: errors};
+}
+
+// whether the request is one of the lines of a batch, sent back to this server
+function isBatchRequest(req) {
+    return req.headers[BATCH_REQUEST_HEADER] === batchRequestToken;
+}
+
+export {
+    init,
+    isBatchRequest,
+    createBatch,
+    listBatches,
+    getBatch,
+    cancelBatch
+};
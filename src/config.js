@@ -0,0 +1,76 @@
+import fs from "fs";
+import yaml from "yaml";
+import {validateConfig} from "./configSchema.js";
+
+// model sections added after configs were already in use... optional, so that older config files (and the Helm values)
+// keep working
+const DEFAULT_MODEL_CONFIGS = {
+    completion: {
+        models: {
+            'gpt-3.5-turbo-instruct': {maxTokens: 4096, contextWindow: 4096},
+            'davinci-002': {maxTokens: 16384, contextWindow: 16384}
+        }
+    },
+    moderation: {
+        models: {
+            'omni-moderation-latest': {supportsImages: true},
+            'omni-moderation-2024-09-26': {supportsImages: true},
+            'text-moderation-latest': {supportsImages: false}
+        },
+        defaultModel: 'omni-moderation-latest',
+        categories: []
+    },
+    realtime: {
+        models: {
+            'gpt-4o-realtime-preview': {encoding: 'o200k_base'},
+            'gpt-4o-mini-realtime-preview': {encoding: 'o200k_base'}
+        },
+        voices: ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse']
+    }
+};
+
+// Reads and validates the config file. Returns {data, error}, the error being a message listing every problem found.
+// Unknown keys are only logged.
+function loadConfig(filePath) {
+    let data = null;
+    try {
+        data = yaml.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (e) {
+        return {data: null, error: `Could not read ${filePath}: ${e.message}`};
+    }
+
+    applyDefaults(data);
+    const {errors, warnings} = validateConfig(data);
+    warnings.forEach(warning => console.warn(`[config] ${warning}`));
+
+    if (errors.length > 0) {
+        return {data: null, error: `Invalid ${filePath}:\n  ${errors.join('\n  ')}`};
+    }
+    return {data, error: null};
+}
+
+// fills in the model sections left out of `cfg`, in place
+function applyDefaults(cfg) {
+    if (cfg?.modelConfigs == null || typeof cfg.modelConfigs !== 'object') {
+        return;
+    }
+    Object.entries(DEFAULT_MODEL_CONFIGS).forEach(([section, defaults]) => {
+        cfg.modelConfigs[section] ??= structuredClone(defaults);
+    });
+}
+
+// Calls onChange with the result of loadConfig every time the file changes. Polled rather than fs.watch'ed, so that it
+// also works with editors replacing the file and with mounted volumes.
+function watchConfig(filePath, intervalMs, onChange) {
+    fs.watchFile(filePath, {interval: intervalMs}, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+            onChange(loadConfig(filePath));
+        }
+    });
+}
+
+export {
+    loadConfig,
+    applyDefaults,
+    watchConfig
+};
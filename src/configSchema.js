@@ -0,0 +1,656 @@
+import fs from "fs";
+
+// Schema of config.yaml, in a subset of JSON schema: type (one or a list, 'integer' included), enum, minimum, maximum,
+// minItems, maxItems, items, properties, required and additionalProperties, plus `format: 'regex'` for regexes compiled
+// by the generators and `format: 'date-time'`.
+// validateConfig() reports every problem with its path, so that a typo fails at startup (or reload) instead of inside a
+// request handler. Unknown keys are only warnings, since they are ignored.
+
+const RANGE = {type: ['number', 'array'], minimum: 0, minItems: 2, maxItems: 2, items: {type: 'number', minimum: 0}};
+const INTEGER_RANGE = {type: ['integer', 'array'], minimum: 1, minItems: 2, maxItems: 2, items: {type: 'integer', minimum: 1}};
+const DURATION_MS = {type: 'number', minimum: 0};
+const ENCODING = {type: 'string', enum: ['cl100k_base', 'o200k_base']};
+const STRINGS = {type: 'array', items: {type: 'string'}};
+const GENERATION_FROM = {type: 'string', enum: ['samples', 'generated']};
+const TOGGLE = {type: 'boolean'};
+
+const STREAMING = {
+    type: 'object',
+    properties: {
+        chunkBy: {type: 'string', enum: ['word', 'token', 'character']},
+        chunkSize: INTEGER_RANGE,
+        timeToFirstTokenMs: RANGE,
+        interChunkDelayMs: RANGE,
+        tokensPerSecond: RANGE,
+        interleaveToolCalls: TOGGLE
+    },
+    additionalProperties: false
+};
+
+const TEXT_MODEL = {
+    type: 'object',
+    required: ['maxTokens'],
+    properties: {
+        maxTokens: {type: 'integer', minimum: 1},
+        encoding: ENCODING,
+        contextWindow: {type: 'integer', minimum: 1},
+        streaming: STREAMING
+    },
+    additionalProperties: false
+};
+
+const SAMPLE_RESPONSES = {type: 'array', minItems: 1, items: {type: 'string'}};
+const SAMPLE_JSON_RESPONSES = {type: 'array', minItems: 1, items: {type: 'object'}};
+
+const IMAGE_MODEL = {
+    type: 'object',
+    required: ['defaultWidth', 'defaultHeight', 'maxImages', 'availableSizes'],
+    properties: {
+        defaultWidth: {type: 'integer', minimum: 1},
+        defaultHeight: {type: 'integer', minimum: 1},
+        maxImages: {type: 'integer', minimum: 1},
+        availableQualities: STRINGS,
+        availableSizes: {type: 'array', minItems: 1, items: {type: 'string'}},
+        availableStyles: {type: ['array', 'null'], items: {type: 'string'}}
+    },
+    additionalProperties: false
+};
+
+function imageSection(modelSchema) {
+    return {
+        type: 'object',
+        required: ['models', 'availableResponseFormats'],
+        properties: {
+            models: {type: 'object', additionalProperties: modelSchema},
+            sampleResponseFiles: STRINGS,
+            generationFrom: GENERATION_FROM,
+            availableResponseFormats: STRINGS
+        },
+        additionalProperties: false
+    };
+}
+
+function transcriptionSection(extraProperties = {}) {
+    return {
+        type: 'object',
+        required: ['models', 'availableResponseFormats', 'sampleResponses'],
+        properties: {
+            models: {type: 'object', additionalProperties: {type: ['object', 'null']}},
+            availableResponseFormats: STRINGS,
+            sampleResponses: SAMPLE_RESPONSES,
+            ...extraProperties
+        },
+        additionalProperties: false
+    };
+}
+
+const FAULT_RULE = {
+    type: 'object',
+    properties: {
+        route: {type: 'string'},
+        method: {type: 'string'},
+        model: {type: ['string', 'array'], items: {type: 'string'}},
+        apiKey: {type: ['string', 'array'], items: {type: 'string'}},
+        probability: {type: 'number', minimum: 0, maximum: 1},
+        everyNth: {type: 'integer', minimum: 1},
+        onCalls: {type: 'array', items: {type: 'integer', minimum: 1}},
+        fault: {
+            type: 'object',
+            properties: {
+                type: {type: 'string', enum: ['error', 'overloaded', 'timeout', 'drop', 'hang']},
+                statusCode: {type: 'integer', minimum: 100, maximum: 599},
+                message: {type: 'string'},
+                errorType: {type: 'string'},
+                code: {type: ['string', 'null']},
+                delayMs: DURATION_MS,
+                retryAfterSeconds: {type: 'number', minimum: 0}
+            },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false
+};
+
+// a fixed number of ms, a [min, max] range or {distribution, ...}... the fields each distribution needs are checked in checkConsistency()
+const DISTRIBUTION = {
+    ...RANGE,
+    type: ['number', 'array', 'object'],
+    required: ['distribution'],
+    properties: {
+        distribution: {type: 'string', enum: ['fixed', 'uniform', 'normal', 'lognormal', 'histogram']},
+        ms: DURATION_MS,
+        minMs: DURATION_MS,
+        maxMs: DURATION_MS,
+        meanMs: DURATION_MS,
+        stdDevMs: DURATION_MS,
+        medianMs: DURATION_MS,
+        sigma: {type: 'number', minimum: 0},
+        buckets: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['upToMs', 'count'],
+                properties: {
+                    upToMs: DURATION_MS,
+                    count: {type: 'number', minimum: 0}
+                },
+                additionalProperties: false
+            }
+        }
+    },
+    additionalProperties: false
+};
+
+const LATENCY_PROFILE = {
+    type: 'object',
+    properties: {
+        baseLatencyMs: DISTRIBUTION,
+        timeToFirstByteMs: DISTRIBUTION,
+        msPerPromptToken: {type: 'number', minimum: 0},
+        tokensPerSecond: RANGE
+    },
+    additionalProperties: false
+};
+
+const LATENCY_RULE = {
+    type: 'object',
+    required: ['profile'],
+    properties: {
+        route: {type: 'string'},
+        model: {type: ['string', 'array'], items: {type: 'string'}},
+        profile: {type: 'string'}
+    },
+    additionalProperties: false
+};
+
+const RATE_LIMITS = {
+    type: 'object',
+    properties: {
+        requestsPerMinute: {type: 'integer', minimum: 0},
+        tokensPerMinute: {type: 'integer', minimum: 0},
+        imagesPerMinute: {type: 'integer', minimum: 0}
+    },
+    additionalProperties: false
+};
+
+const CONFIG_SCHEMA = {
+    type: 'object',
+    required: ['publicFilesDirectory', 'server', 'responseDelay', 'modelConfigs'],
+    properties: {
+        publicFilesDirectory: {type: 'string'},
+        server: {
+            type: 'object',
+            required: ['port'],
+            properties: {
+                host: {type: 'string'},
+                port: {type: 'integer', minimum: 0, maximum: 65535}
+            },
+            additionalProperties: false
+        },
+        apiKeys: {type: ['array', 'null'], items: {type: 'string'}},
+        organizationName: {type: 'string'},
+        admin: {
+            type: 'object',
+            properties: {
+                enable: TOGGLE,
+                apiKey: {type: ['string', 'null']}
+            },
+            additionalProperties: false
+        },
+        configReload: {
+            type: 'object',
+            properties: {
+                enable: TOGGLE,
+                intervalMs: {type: 'integer', minimum: 50}
+            },
+            additionalProperties: false
+        },
+        journal: {
+            type: 'object',
+            properties: {
+                enable: TOGGLE,
+                maxEntries: {type: 'integer', minimum: 1},
+                sinkFile: {type: ['string', 'null']}
+            },
+            additionalProperties: false
+        },
+        rateLimits: {
+            type: 'object',
+            properties: {
+                enable: TOGGLE,
+                defaults: RATE_LIMITS,
+                models: {type: 'object', additionalProperties: RATE_LIMITS},
+                apiKeys: {
+                    type: 'object',
+                    additionalProperties: {
+                        ...RATE_LIMITS,
+                        properties: {...RATE_LIMITS.properties, models: {type: 'object', additionalProperties: RATE_LIMITS}}
+                    }
+                }
+            },
+            additionalProperties: false
+        },
+        latency: {
+            type: 'object',
+            properties: {
+                enable: TOGGLE,
+                profiles: {type: 'object', additionalProperties: LATENCY_PROFILE},
+                rules: {type: 'array', items: LATENCY_RULE}
+            },
+            additionalProperties: false
+        },
+        responseDelay: {
+            type: 'object',
+            required: ['enable', 'minDelayMs', 'maxDelayMs'],
+            properties: {
+                enable: TOGGLE,
+                minDelayMs: DURATION_MS,
+                maxDelayMs: DURATION_MS
+            },
+            additionalProperties: false
+        },
+        monitoring: {
+            type: 'object',
+            properties: {
+                summaryLogIntervalMs: DURATION_MS,
+                metrics: {
+                    type: 'object',
+                    properties: {
+                        enable: TOGGLE,
+                        latencyBucketsSeconds: {type: 'array', minItems: 1, items: {type: 'number', minimum: 0}}
+                    },
+                    additionalProperties: false
+                }
+            },
+            additionalProperties: false
+        },
+        determinism: {
+            type: 'object',
+            properties: {
+                enable: TOGGLE,
+                seed: {type: ['integer', 'string']},
+                clock: {
+                    type: 'object',
+                    properties: {
+                        startTime: {type: ['string', 'null'], format: 'date-time'},
+                        stepMs: DURATION_MS
+                    },
+                    additionalProperties: false
+                }
+            },
+            additionalProperties: false
+        },
+        proxy: {
+            type: 'object',
+            properties: {
+                mode: {type: 'string', enum: ['off', 'record', 'replay']},
+                upstreamBaseUrl: {type: 'string'},
+                upstreamApiKey: {type: ['string', 'null']},
+                cassettesDirectory: {type: 'string'},
+                matchOn: STRINGS,
+                ignoreFields: STRINGS,
+                onMiss: {type: 'string', enum: ['error', 'mock']},
+                replayTiming: TOGGLE,
+                timeoutMs: DURATION_MS
+            },
+            additionalProperties: false
+        },
+        faults: {
+            type: 'object',
+            properties: {
+                enable: TOGGLE,
+                rules: {type: 'array', items: FAULT_RULE}
+            },
+            additionalProperties: false
+        },
+        assistants: {
+            type: 'object',
+            properties: {
+                runSchedule: {
+                    type: 'object',
+                    properties: {
+                        queuedMs: DURATION_MS,
+                        inProgressMs: DURATION_MS
+                    },
+                    additionalProperties: false
+                }
+            },
+            additionalProperties: false
+        },
+        batches: {
+            type: 'object',
+            properties: {
+                validatingMs: DURATION_MS,
+                perRequestDelayMs: DURATION_MS,
+                finalizingMs: DURATION_MS
+            },
+            additionalProperties: false
+        },
+        fineTuning: {
+            type: 'object',
+            properties: {
+                validatingMs: DURATION_MS,
+                queuedMs: DURATION_MS,
+                stepMs: DURATION_MS
+            },
+            additionalProperties: false
+        },
+        vectorStores: {
+            type: 'object',
+            properties: {
+                processingMs: DURATION_MS
+            },
+            additionalProperties: false
+        },
+        modelConfigs: {
+            type: 'object',
+            required: ['chat', 'vlm', 'imageGeneration', 'imageVariations', 'imageEdits', 'audioGeneration', 'audioTranscription', 'audioTranslation', 'embeddings'],
+            properties: {
+                chat: {
+                    type: 'object',
+                    required: ['models', 'sampleResponses', 'sampleResponsesForJsonOutput', 'tools'],
+                    properties: {
+                        models: {type: 'object', additionalProperties: TEXT_MODEL},
+                        scenariosDirectory: {type: ['string', 'null']},
+                        streaming: STREAMING,
+                        sampleResponses: SAMPLE_RESPONSES,
+                        sampleResponsesForJsonOutput: SAMPLE_JSON_RESPONSES,
+                        tools: {
+                            type: 'object',
+                            required: ['functions'],
+                            properties: {
+                                functions: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['functionName', 'arguments', 'regexToMatchAgainstPrompt'],
+                                        properties: {
+                                            functionName: {type: 'string'},
+                                            arguments: {type: 'object'},
+                                            regexToMatchAgainstPrompt: {type: 'string', format: 'regex'}
+                                        },
+                                        additionalProperties: false
+                                    }
+                                }
+                            },
+                            additionalProperties: false
+                        }
+                    },
+                    additionalProperties: false
+                },
+                completion: {
+                    type: 'object',
+                    required: ['models'],
+                    properties: {
+                        models: {type: 'object', additionalProperties: TEXT_MODEL},
+                        streaming: STREAMING
+                    },
+                    additionalProperties: false
+                },
+                vlm: {
+                    type: 'object',
+                    required: ['models', 'sampleResponses', 'sampleResponsesForJsonOutput'],
+                    properties: {
+                        models: {type: 'object', additionalProperties: TEXT_MODEL},
+                        sampleResponses: SAMPLE_RESPONSES,
+                        sampleResponsesForJsonOutput: SAMPLE_JSON_RESPONSES
+                    },
+                    additionalProperties: false
+                },
+                imageGeneration: imageSection({...IMAGE_MODEL, required: [...IMAGE_MODEL.required, 'availableQualities']}),
+                imageVariations: imageSection(IMAGE_MODEL),
+                imageEdits: imageSection(IMAGE_MODEL),
+                audioGeneration: {
+                    type: 'object',
+                    required: ['models', 'availableResponseFormats', 'allowedSpeedRange'],
+                    properties: {
+                        models: {
+                            type: 'object',
+                            additionalProperties: {
+                                type: 'object',
+                                required: ['voices', 'maxDurationSeconds'],
+                                properties: {
+                                    voices: {type: 'array', minItems: 1, items: {type: 'string'}},
+                                    maxDurationSeconds: {type: 'number', minimum: 1}
+                                },
+                                additionalProperties: false
+                            }
+                        },
+                        availableResponseFormats: STRINGS,
+                        allowedSpeedRange: {...RANGE, type: 'array'},
+                        sampleResponseFiles: STRINGS,
+                        generationFrom: GENERATION_FROM
+                    },
+                    additionalProperties: false
+                },
+                audioTranscription: transcriptionSection({allowedTimestampGranularities: STRINGS}),
+                audioTranslation: transcriptionSection(),
+                embeddings: {
+                    type: 'object',
+                    required: ['models', 'maxDimensions', 'availableEncodingFormats'],
+                    properties: {
+                        models: {
+                            type: 'object',
+                            additionalProperties: {
+                                type: 'object',
+                                required: ['maxInputTokens'],
+                                properties: {
+                                    maxInputTokens: {type: 'integer', minimum: 1},
+                                    encoding: ENCODING
+                                },
+                                additionalProperties: false
+                            }
+                        },
+                        maxDimensions: {type: 'integer', minimum: 1},
+                        availableEncodingFormats: STRINGS
+                    },
+                    additionalProperties: false
+                },
+                moderation: {
+                    type: 'object',
+                    required: ['models', 'defaultModel'],
+                    properties: {
+                        models: {
+                            type: 'object',
+                            additionalProperties: {
+                                type: 'object',
+                                properties: {
+                                    supportsImages: TOGGLE
+                                },
+                                additionalProperties: false
+                            }
+                        },
+                        defaultModel: {type: 'string'},
+                        categories: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['category', 'regexToMatchAgainstInput'],
+                                properties: {
+                                    category: {type: 'string'},
+                                    regexToMatchAgainstInput: {type: 'string', format: 'regex'}
+                                },
+                                additionalProperties: false
+                            }
+                        }
+                    },
+                    additionalProperties: false
+                },
+                realtime: {
+                    type: 'object',
+                    required: ['models', 'voices'],
+                    properties: {
+                        models: {
+                            type: 'object',
+                            additionalProperties: {
+                                type: 'object',
+                                properties: {
+                                    encoding: ENCODING,
+                                    streaming: STREAMING
+                                },
+                                additionalProperties: false
+                            }
+                        },
+                        voices: {type: 'array', minItems: 1, items: {type: 'string'}},
+                        streaming: STREAMING
+                    },
+                    additionalProperties: false
+                }
+            },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false
+};
+
+const DISTRIBUTION_FIELDS = {
+    fixed: ['ms'],
+    uniform: ['minMs', 'maxMs'],
+    normal: ['meanMs', 'stdDevMs'],
+    lognormal: ['medianMs', 'sigma'],
+    histogram: ['buckets']
+};
+
+// Returns {errors, warnings}, both lists of messages starting with the path of the offending value.
+function validateConfig(config) {
+    const problems = {errors: [], warnings: []};
+
+    validateValue(config, CONFIG_SCHEMA, 'config', problems);
+    if (problems.errors.length === 0) {
+        checkConsistency(config, problems);
+    }
+
+    return problems;
+}
+
+// what the schema can't say: values that depend on each other, and files that must exist
+function checkConsistency(config, problems) {
+    if (config.responseDelay.minDelayMs > config.responseDelay.maxDelayMs) {
+        problems.errors.push(`config.responseDelay.minDelayMs: must not be greater than maxDelayMs (${config.responseDelay.maxDelayMs}). Given: ${config.responseDelay.minDelayMs}`);
+    }
+
+    const profiles = config.latency?.profiles ?? {};
+    Object.entries(profiles).forEach(([name, profile]) => {
+        ['baseLatencyMs', 'timeToFirstByteMs'].forEach((key) => {
+            const spec = profile[key];
+            const fields = DISTRIBUTION_FIELDS[spec?.distribution] ?? [];
+            fields.filter(field => spec[field] == null).forEach((field) => {
+                problems.errors.push(`config.latency.profiles.${name}.${key}.${field}: is required for '${spec.distribution}'.`);
+            });
+            if (spec?.minMs > spec?.maxMs) {
+                problems.errors.push(`config.latency.profiles.${name}.${key}.minMs: must not be greater than maxMs (${spec.maxMs}). Given: ${spec.minMs}`);
+            }
+        });
+    });
+    (config.latency?.rules ?? []).forEach((rule, idx) => {
+        if (!(rule.profile in profiles)) {
+            problems.errors.push(`config.latency.rules[${idx}].profile: must be one of ${JSON.stringify(Object.keys(profiles))}. Given: ${JSON.stringify(rule.profile)}`);
+        }
+    });
+
+    const moderation = config.modelConfigs.moderation;
+    if (moderation && !(moderation.defaultModel in moderation.models)) {
+        problems.errors.push(`config.modelConfigs.moderation.defaultModel: must be one of ${JSON.stringify(Object.keys(moderation.models))}. Given: ${JSON.stringify(moderation.defaultModel)}`);
+    }
+
+    ['imageGeneration', 'imageVariations', 'imageEdits', 'audioGeneration'].forEach((task) => {
+        const section = config.modelConfigs[task];
+        if (section.generationFrom !== 'samples') {
+            return;
+        }
+
+        const path = `config.modelConfigs.${task}.sampleResponseFiles`;
+        if (!section.sampleResponseFiles?.length) {
+            problems.errors.push(`${path}: must list at least one file with 'generationFrom: samples'.`);
+        }
+        (section.sampleResponseFiles ?? []).forEach((file, idx) => {
+            if (!fs.existsSync(file)) {
+                problems.errors.push(`${path}[${idx}]: file not found. Given: ${JSON.stringify(file)}`);
+            }
+        });
+    });
+}
+
+function validateValue(value, schema, path, problems) {
+    const types = schema.type == null ? null : (Array.isArray(schema.type) ? schema.type : [schema.type]);
+    const type = getType(value);
+    if (types && !types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+        problems.errors.push(`${path}: must be ${types.map(withArticle).join(' or ')}. Given: ${JSON.stringify(value) ?? 'nothing'}`);
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}. Given: ${JSON.stringify(value)}`);
+        return;
+    }
+
+    if (type === 'number' || type === 'integer') {
+        if (schema.minimum != null && value < schema.minimum) {
+            problems.errors.push(`${path}: must be at least ${schema.minimum}. Given: ${value}`);
+        }
+        if (schema.maximum != null && value > schema.maximum) {
+            problems.errors.push(`${path}: must be at most ${schema.maximum}. Given: ${value}`);
+        }
+    } else if (type === 'string') {
+        validateFormat(value, schema.format, path, problems);
+    } else if (type === 'array') {
+        if (schema.minItems != null && value.length < schema.minItems) {
+            problems.errors.push(`${path}: must have at least ${schema.minItems} item(s). Given: ${value.length}`);
+        }
+        if (schema.maxItems != null && value.length > schema.maxItems) {
+            problems.errors.push(`${path}: must have at most ${schema.maxItems} item(s). Given: ${value.length}`);
+        }
+        if (schema.items) {
+            value.forEach((item, idx) => validateValue(item, schema.items, `${path}[${idx}]`, problems));
+        }
+    } else if (type === 'object') {
+        (schema.required ?? [])
+            .filter(key => !(key in value))
+            .forEach(key => problems.errors.push(`${path}.${key}: is required.`));
+
+        Object.entries(value).forEach(([key, item]) => {
+            const itemSchema = schema.properties?.[key] ?? schema.additionalProperties;
+            if (itemSchema === false) {
+                const known = Object.keys(schema.properties ?? {});
+                problems.warnings.push(`${path}.${key}: unknown key, ignored. Known keys: ${known.join(', ')}`);
+            } else if (itemSchema && itemSchema !== true) {
+                validateValue(item, itemSchema, `${path}.${key}`, problems);
+            }
+        });
+    }
+}
+
+function validateFormat(value, format, path, problems) {
+    if (format === 'regex') {
+        try {
+            new RegExp(value.replace(/[\r\n]+$/, ''), 'i');
+        } catch (e) {
+            problems.errors.push(`${path}: invalid regex. ${e.message}`);
+        }
+    } else if (format === 'date-time' && value !== '' && isNaN(new Date(value).getTime())) {
+        problems.errors.push(`${path}: must be an ISO 8601 date. Given: ${JSON.stringify(value)}`);
+    }
+}
+
+function getType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+function withArticle(type) {
+    return ['array', 'object', 'integer'].includes(type) ? `an ${type}` : (type === 'null' ? 'null' : `a ${type}`);
+}
+
+export {
+    CONFIG_SCHEMA,
+    validateConfig
+};
@@ -0,0 +1,98 @@
+import {AsyncLocalStorage} from "async_hooks";
+import crypto from "crypto";
+import seedrandom from "seedrandom";
+
+// Single source of randomness, ids and time for the whole server.
+// Each request can run inside a context holding its own seeded PRNG (see runWithSeed). All code that needs randomness
+// calls random() and so picks it up, without the PRNG having to be passed around. Outside such a context Math.random is used.
+// With `determinism.enable`, every request gets a PRNG seeded from the global seed plus the request itself, so identical
+// requests produce identical responses (ids included), and timestamps come from a controllable clock.
+
+const requestContext = new AsyncLocalStorage();
+
+let settings = {
+    enable: false,
+    seed: 0,
+    clock: {startTime: null, stepMs: 0}
+};
+let clockMs = null;
+
+function init(cfg) {
+    settings = {
+        ...settings,
+        ...cfg?.determinism,
+        clock: {...settings.clock, ...cfg?.determinism?.clock}
+    };
+
+    resetClock();
+}
+
+function isDeterministic() {
+    return settings.enable === true;
+}
+
+// request-level seed... `seedMaterial` is anything that identifies the request (route, body), so that different requests
+// with the same seed still get different (but reproducible) outputs
+function runWithSeed(seed, seedMaterial, fn) {
+    const hash = crypto.createHash('sha256')
+        .update(JSON.stringify([settings.enable ? settings.seed : null, seed, seedMaterial]))
+        .digest('hex');
+
+    return requestContext.run({rng: seedrandom(hash)}, fn);
+}
+
+function random() {
+    const store = requestContext.getStore();
+    return store ? store.rng() : Math.random();
+}
+
+// v4 layout, but drawn from random() so that it is reproducible inside a seeded context
+function getUuid() {
+    if (!requestContext.getStore()) {
+        return crypto.randomUUID();
+    }
+
+    const bytes = Array.from({length: 16}, () => Math.floor(random() * 256));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+    const hex = bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// frozen at clock.startTime (or the time of startup) in deterministic mode, advancing by clock.stepMs on every read
+function nowMs() {
+    if (!isDeterministic()) {
+        return Date.now();
+    }
+
+    const current = clockMs;
+    clockMs += settings.clock.stepMs ?? 0;
+    return current;
+}
+
+function setClock(timeMs, stepMs = settings.clock.stepMs) {
+    clockMs = timeMs;
+    settings.clock.stepMs = stepMs;
+}
+
+function resetClock() {
+    clockMs = settings.clock.startTime ? new Date(settings.clock.startTime).getTime() : Date.now();
+}
+
+// identifies the "backend configuration" like the real API does... stable for a given model
+function getSystemFingerprint(model) {
+    return `fp_${crypto.createHash('md5').update(`${model}`).digest('hex').slice(0, 10)}`;
+}
+
+export {
+    init,
+    isDeterministic,
+    runWithSeed,
+    random,
+    getUuid,
+    nowMs,
+    setClock,
+    resetClock,
+    getSystemFingerprint
+};
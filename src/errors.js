@@ -0,0 +1,75 @@
+// Error model shared by all routes. Mirrors the envelope returned by the real API:
+// { "error": { "message": "...", "type": "...", "param": "...", "code": "..." } }
+// so that the typed error classes in the official SDKs get populated.
+
+const ERROR_TYPES = {
+    invalidRequest: 'invalid_request_error',
+    authentication: 'authentication_error',
+    permission: 'permission_error',
+    notFound: 'not_found_error',
+    rateLimit: 'rate_limit_error',
+    server: 'server_error'
+};
+
+function apiError(statusCode, message, {type = ERROR_TYPES.invalidRequest, param = null, code = null} = {}) {
+    return {
+        statusCode,
+        error: {message, type, param, code}
+    };
+}
+
+function invalidRequestError(message, param = null, code = null) {
+    return apiError(400, message, {param, code});
+}
+
+function invalidApiKeyError(token) {
+    const message = token
+        ? `Incorrect API key provided: ${maskApiKey(token)}.`
+        : `You didn't provide an API key. You need to provide your API key in an Authorization header using Bearer auth (i.e. Authorization: Bearer YOUR_KEY).`;
+
+    return apiError(401, message, {code: 'invalid_api_key'});
+}
+
+function modelNotFoundError(model, availableModels = null) {
+    const message = `The model \`${model}\` does not exist or you do not have access to it.`
+        + (availableModels ? ` Available models: ${JSON.stringify(availableModels)}.` : '');
+
+    return apiError(404, message, {param: 'model', code: 'model_not_found'});
+}
+
+function contextLengthExceededError(maxContextTokens, requestedTokens, param = 'messages') {
+    const reduce = param === 'messages' ? 'the length of the messages' : `your ${param}`;
+    return invalidRequestError(
+        `This model's maximum context length is ${maxContextTokens} tokens. However, you requested ${requestedTokens} tokens. Please reduce ${reduce} or completion.`,
+        param,
+        'context_length_exceeded'
+    );
+}
+
+function notFoundError(message, param = null) {
+    return apiError(404, message, {param});
+}
+
+function serverError(message = 'The server had an error while processing your request. Sorry about that!') {
+    return apiError(500, message, {type: ERROR_TYPES.server});
+}
+
+function sendError(res, err) {
+    return res.status(err.statusCode).json({error: err.error});
+}
+
+function maskApiKey(token) {
+    return token.length > 8 ? `${token.slice(0, 3)}*****${token.slice(-4)}` : '*****';
+}
+
+export {
+    ERROR_TYPES,
+    apiError,
+    invalidRequestError,
+    invalidApiKeyError,
+    modelNotFoundError,
+    contextLengthExceededError,
+    notFoundError,
+    serverError,
+    sendError
+};
@@ -0,0 +1,117 @@
+import {sleep, matchesRouteAndModel} from "./utils.js";
+import {apiError, sendError, ERROR_TYPES} from "./errors.js";
+import {random} from "./determinism.js";
+
+// Fault injection for /v1/*, to exercise client retry, backoff and circuit-breaker logic.
+// Rules in `faults.rules` are checked in order and the first one matching the request (route, method, model, api key)
+// decides. It fires with its `probability`, on every `everyNth` of its calls, or on the call numbers in `onCalls`.
+// Faults: 'error' (any status, 500 by default), 'overloaded', 'timeout' (408), 'drop' (connection closed before any
+// header) and 'hang' (never responds). `delayMs` waits before the fault.
+
+const FAULT_TYPES = ['error', 'overloaded', 'timeout', 'drop', 'hang'];
+
+const DEFAULT_ERROR_MESSAGES = {
+    500: 'The server had an error while processing your request. Sorry about that!',
+    502: 'Bad gateway.',
+    503: 'The server is overloaded or not ready yet.',
+    504: 'Gateway timeout.'
+};
+
+let config = null;
+// rule index -> number of requests that matched it
+let callCounts = [];
+
+function init(cfg) {
+    config = cfg;
+    callCounts = [];
+
+    (cfg.faults?.rules ?? []).forEach((rule, idx) => {
+        const type = rule.fault?.type ?? 'error';
+        if (!FAULT_TYPES.includes(type)) {
+            throw new Error(`faults.rules[${idx}].fault.type can only be one of ${JSON.stringify(FAULT_TYPES)}. Given: ${type}`);
+        }
+    });
+}
+
+async function faultMiddleware(req, res, next) {
+    if (!config.faults?.enable) {
+        return next();
+    }
+
+    const rules = config.faults.rules ?? [];
+    const ruleIdx = rules.findIndex(rule => matchesRule(rule, req));
+    if (ruleIdx === -1) {
+        return next();
+    }
+
+    const rule = rules[ruleIdx];
+    const callNumber = (callCounts[ruleIdx] ?? 0) + 1;
+    callCounts[ruleIdx] = callNumber;
+
+    if (!shouldFire(rule, callNumber)) {
+        return next();
+    }
+
+    const fault = rule.fault ?? {};
+
+    if (fault.delayMs > 0) {
+        await sleep(fault.delayMs);
+    }
+
+    switch (fault.type ?? 'error') {
+        case 'drop':
+            return req.socket.destroy();
+        case 'hang':
+            // nothing is ever sent... the client has to time out
+            return;
+        case 'timeout':
+            return sendFaultError(res, apiError(408, fault.message ?? 'Request timed out.', {type: ERROR_TYPES.server, code: 'timeout'}), fault);
+        case 'overloaded':
+            return sendFaultError(res, apiError(fault.statusCode ?? 503, fault.message ?? 'The server is currently overloaded, please try again later.', {type: 'overloaded_error', code: fault.code ?? null}), fault);
+        default: {
+            const statusCode = fault.statusCode ?? 500;
+            const message = fault.message ?? DEFAULT_ERROR_MESSAGES[statusCode] ?? `Injected fault (${statusCode}).`;
+            return sendFaultError(res, apiError(statusCode, message, {type: fault.errorType ?? (statusCode >= 500 ? ERROR_TYPES.server : ERROR_TYPES.invalidRequest), code: fault.code ?? null}), fault);
+        }
+    }
+}
+
+function sendFaultError(res, err, fault) {
+    if (fault.retryAfterSeconds != null) {
+        res.setHeader('retry-after', String(fault.retryAfterSeconds));
+    }
+    sendError(res, err);
+}
+
+// all given conditions must hold
+function matchesRule(rule, req) {
+    if (!matchesRouteAndModel(rule, {route: req.baseUrl + req.path, model: req.body?.model})) {
+        return false;
+    }
+    if (rule.method && rule.method.toUpperCase() !== req.method) {
+        return false;
+    }
+    if (rule.apiKey && toList(rule.apiKey).every(key => `Bearer ${key}` !== req.headers['authorization'])) {
+        return false;
+    }
+    return true;
+}
+
+function shouldFire(rule, callNumber) {
+    if (rule.onCalls) {
+        return rule.onCalls.includes(callNumber);
+    }
+    if (rule.everyNth) {
+        return callNumber % rule.everyNth === 0;
+    }
+    return random() < (rule.probability ?? 1);
+}
+
+function toList(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+export {
+    init,
+    faultMiddleware
+};
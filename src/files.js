@@ -0,0 +1,133 @@
+import fs from "fs";
+import path from "path";
+import {getRandomString, getTimestampSeconds, paginate} from "./utils.js";
+import {invalidRequestError, notFoundError} from "./errors.js";
+
+// Files API store. Contents live in the public files directory (uploads come in through multer, generated files like
+// batch output are written here), and their metadata in an index file next to them, so files survive restarts.
+// The index is a dotfile, which express.static does not serve.
+
+const INDEX_FILE_NAME = '.files-index.json';
+
+// purposes clients can upload with... the rest are for generated files
+const UPLOAD_PURPOSES = ['assistants', 'batch', 'fine-tune', 'vision', 'user_data', 'evals'];
+const JSONL_PURPOSES = {'batch': 'Batch API', 'fine-tune': 'Fine-Tuning API'};
+
+let directory = null;
+// file id -> {file, storedName}, in creation order
+let files = new Map();
+
+function init(filesDirectory) {
+    directory = filesDirectory;
+    files = new Map();
+
+    const indexPath = path.join(directory, INDEX_FILE_NAME);
+    if (fs.existsSync(indexPath)) {
+        JSON.parse(fs.readFileSync(indexPath, 'utf-8'))
+            .filter(entry => fs.existsSync(path.join(directory, entry.storedName)))
+            .forEach(entry => files.set(entry.file.id, entry));
+    }
+}
+
+// `storedName` is the name of the already written file inside the files directory (e.g. multer's random name)
+function addUploadedFile(storedName, filename, purpose) {
+    if (!UPLOAD_PURPOSES.includes(purpose)) {
+        removeStoredFile(storedName);
+        return {data: null, error: invalidRequestError(`Invalid value for 'purpose': expected one of ${UPLOAD_PURPOSES.map(p => `'${p}'`).join(', ')}. Given: ${JSON.stringify(purpose)}.`, 'purpose')};
+    }
+
+    if (JSONL_PURPOSES[purpose] && !filename.toLowerCase().endsWith('.jsonl')) {
+        removeStoredFile(storedName);
+        return {data: null, error: invalidRequestError(`Invalid file format for ${JSONL_PURPOSES[purpose]}. Must be .jsonl`, 'file')};
+    }
+
+    return {data: addFile(storedName, filename, purpose), error: null};
+}
+
+// for files generated by the server itself (batch output, fine-tuning results, ...)
+function createFileFromContent(content, filename, purpose) {
+    const storedName = `generated_file_${getRandomString(24)}`;
+    fs.writeFileSync(path.join(directory, storedName), content);
+
+    return {data: addFile(storedName, filename, purpose), error: null};
+}
+
+function listFiles(query) {
+    const matching = [...files.values()]
+        .map(entry => entry.file)
+        .filter(file => !query.purpose || file.purpose === query.purpose);
+
+    return {data: paginate(matching, query, {defaultLimit: 10000, maxLimit: 10000}), error: null};
+}
+
+function getFile(fileId) {
+    const entry = files.get(fileId);
+    return entry
+        ? {data: entry.file, error: null}
+        : {data: null, error: notFoundError(`No such File object: ${fileId}`, 'id')};
+}
+
+function getFilePath(fileId) {
+    const entry = files.get(fileId);
+    return entry
+        ? {data: path.join(directory, entry.storedName), error: null}
+        : {data: null, error: notFoundError(`No such File object: ${fileId}`, 'id')};
+}
+
+function readFileContent(fileId) {
+    const {data: filePath, error} = getFilePath(fileId);
+    return error
+        ? {data: null, error}
+        : {data: fs.readFileSync(filePath, 'utf-8'), error: null};
+}
+
+function deleteFile(fileId) {
+    const entry = files.get(fileId);
+    if (!entry) {
+        return {data: null, error: notFoundError(`No such File object: ${fileId}`, 'id')};
+    }
+
+    files.delete(fileId);
+    removeStoredFile(entry.storedName);
+    saveIndex();
+
+    return {data: {id: fileId, object: 'file', deleted: true}, error: null};
+}
+
+function addFile(storedName, filename, purpose) {
+    const file = {
+        id: `file-${getRandomString(24)}`,
+        object: 'file',
+        bytes: fs.statSync(path.join(directory, storedName)).size,
+        created_at: getTimestampSeconds(),
+        filename,
+        purpose,
+        status: 'processed',
+        status_details: null,
+        expires_at: null
+    };
+
+    files.set(file.id, {file, storedName});
+    saveIndex();
+
+    return file;
+}
+
+function removeStoredFile(storedName) {
+    fs.rmSync(path.join(directory, storedName), {force: true});
+}
+
+function saveIndex() {
+    fs.writeFileSync(path.join(directory, INDEX_FILE_NAME), JSON.stringify([...files.values()], null, 2));
+}
+
+export {
+    init,
+    addUploadedFile,
+    createFileFromContent,
+    listFiles,
+    getFile,
+    getFilePath,
+    readFileContent,
+    deleteFile
+};
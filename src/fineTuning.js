@@ -0,0 +1,375 @@
+import {getRandomString, getTimestampSeconds, paginate, sleep} from "./utils.js";
+import {invalidRequestError, notFoundError} from "./errors.js";
+import {getFile, readFileContent, createFileFromContent} from "./files.js";
+import {countChatPromptTokens} from "./tokenizer.js";
+import {random} from "./determinism.js";
+
+// Fine-tuning jobs API with a simulated training run.
+// Jobs go validating_files -> queued -> running -> succeeded (or failed/cancelled) on the schedule in `fineTuning`. The
+// training file is validated like the real API does (failing the job with `invalid_training_file`), training emits a
+// metrics event per step and a checkpoint per epoch, and on success the fine-tuned model `ft:<base>:<org>::<id>` is added
+// to the chat models, so that /v1/models and the chat routes accept it.
+
+const MIN_TRAINING_EXAMPLES = 10;
+const VALID_ROLES = ['system', 'developer', 'user', 'assistant', 'tool', 'function'];
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+let config = null;
+let settings = {
+    validatingMs: 1000,
+    queuedMs: 1000,
+    stepMs: 100
+};
+
+const jobs = new Map();
+// job id -> events / checkpoints, in creation order
+const jobEvents = new Map();
+const jobCheckpoints = new Map();
+
+function init(cfg) {
+    config = cfg;
+    settings = {...settings, ...cfg?.fineTuning};
+
+    // the config may have been reloaded or reset... fine-tuned models stay available
+    jobs.forEach((job) => {
+        if (job.fine_tuned_model && !(job.fine_tuned_model in config.modelConfigs.chat.models)) {
+            registerModel(job.model, job.fine_tuned_model);
+        }
+    });
+}
+
+function createJob({model, training_file: trainingFile, validation_file: validationFile, hyperparameters, suffix, seed, metadata}) {
+    const availableModels = Object.keys(config.modelConfigs.chat.models);
+    if (!availableModels.includes(model)) {
+        return {data: null, error: invalidRequestError(`Model ${model} is not available for fine-tuning or does not exist.`, 'model', 'model_not_available')};
+    }
+
+    if (!trainingFile) {
+        return {data: null, error: invalidRequestError(`Missing required parameter: 'training_file'.`, 'training_file', 'missing_required_parameter')};
+    }
+
+    for (const [param, fileId] of [['training_file', trainingFile], ['validation_file', validationFile]]) {
+        if (!fileId) {
+            continue;
+        }
+        const {data: file, error} = getFile(fileId);
+        if (error) {
+            return {data: null, error: invalidRequestError(`Invalid file ID: ${fileId}.`, param, 'invalid_file_id')};
+        }
+        if (file.purpose !== 'fine-tune') {
+            return {data: null, error: invalidRequestError(`File ${fileId} has purpose '${file.purpose}', but fine-tuning files must have purpose 'fine-tune'.`, param)};
+        }
+    }
+
+    for (const [name, isValid, expected] of [
+        ['n_epochs', value => Number.isInteger(value) && value >= 1 && value <= 50, 'an integer between 1 and 50'],
+        ['batch_size', value => Number.isInteger(value) && value >= 1 && value <= 256, 'an integer between 1 and 256'],
+        ['learning_rate_multiplier', value => typeof value === 'number' && value > 0, 'a number greater than 0']
+    ]) {
+        const value = hyperparameters?.[name];
+        if (value != null && value !== 'auto' && !isValid(value)) {
+            return {data: null, error: invalidRequestError(`Invalid value for 'hyperparameters.${name}': expected 'auto' or ${expected}. Given: ${JSON.stringify(value)}.`, `hyperparameters.${name}`)};
+        }
+    }
+
+    if (suffix != null && (typeof suffix !== 'string' || suffix.length > 64)) {
+        return {data: null, error: invalidRequestError(`'suffix' should be a string of at most 64 characters. Given: ${JSON.stringify(suffix)}.`, 'suffix')};
+    }
+
+    const job = {
+        object: 'fine_tuning.job',
+        id: `ftjob-${getRandomString(24)}`,
+        model,
+        created_at: getTimestampSeconds(),
+        finished_at: null,
+        fine_tuned_model: null,
+        organization_id: `org-${getOrganizationSlug()}`,
+        result_files: [],
+        status: 'validating_files',
+        validation_file: validationFile ?? null,
+        training_file: trainingFile,
+        hyperparameters: {
+            n_epochs: hyperparameters?.n_epochs ?? 'auto',
+            batch_size: hyperparameters?.batch_size ?? 'auto',
+            learning_rate_multiplier: hyperparameters?.learning_rate_multiplier ?? 'auto'
+        },
+        trained_tokens: null,
+        error: null,
+        user_provided_suffix: suffix ?? null,
+        seed: seed ?? Math.floor(random() * 2 ** 31),
+        estimated_finish: null,
+        integrations: [],
+        metadata: metadata ?? null,
+        method: {type: 'supervised'}
+    };
+
+    jobs.set(job.id, job);
+    jobEvents.set(job.id, []);
+    jobCheckpoints.set(job.id, []);
+
+    addEvent(job, `Created fine-tuning job: ${job.id}`);
+    addEvent(job, `Validating training file: ${trainingFile}` + (validationFile ? ` and validation file: ${validationFile}` : ''));
+
+    runJob(job).catch(err => {
+        console.error(`[fine-tuning] ${job.id}`, err);
+        failJob(job, 'server_error', err.message, null);
+    });
+
+    return {data: job, error: null};
+}
+
+function listJobs(query) {
+    const matching = [...jobs.values()].filter(job => matchesMetadata(job, query));
+    return {data: paginate(matching, query), error: null};
+}
+
+function getJob(jobId) {
+    const job = jobs.get(jobId);
+    return job
+        ? {data: job, error: null}
+        : {data: null, error: notFoundError(`Could not find fine-tuning job with id '${jobId}'.`, 'fine_tuning_job_id')};
+}
+
+function cancelJob(jobId) {
+    const {data: job, error} = getJob(jobId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    if (TERMINAL_STATUSES.includes(job.status)) {
+        return {data: null, error: invalidRequestError(`Job has already completed: ${jobId}.`)};
+    }
+
+    // picked up by runJob before its next step
+    job.status = 'cancelled';
+    job.finished_at = getTimestampSeconds();
+    addEvent(job, 'Fine-tuning job cancelled');
+
+    return {data: job, error: null};
+}
+
+function listJobEvents(jobId, query) {
+    const {error} = getJob(jobId);
+    return error
+        ? {data: null, error}
+        : {data: paginate(jobEvents.get(jobId), query), error: null};
+}
+
+function listJobCheckpoints(jobId, query) {
+    const {error} = getJob(jobId);
+    return error
+        ? {data: null, error}
+        : {data: paginate(jobCheckpoints.get(jobId), query, {defaultLimit: 10}), error: null};
+}
+
+// lifecycle
+
+async function runJob(job) {
+    await sleep(settings.validatingMs);
+    if (job.status === 'cancelled') {
+        return;
+    }
+
+    const encoding = config.modelConfigs.chat.models[job.model]?.encoding;
+    const training = validateTrainingFile(job.training_file, encoding);
+    if (training.error) {
+        return failJob(job, 'invalid_training_file', `The job failed due to an invalid training file. ${training.error}`, 'training_file');
+    }
+    if (job.validation_file) {
+        const validation = validateTrainingFile(job.validation_file, encoding, 1);
+        if (validation.error) {
+            return failJob(job, 'invalid_validation_file', `The job failed due to an invalid validation file. ${validation.error}`, 'validation_file');
+        }
+    }
+
+    const numExamples = training.examples.length;
+    const hyperparameters = {
+        n_epochs: job.hyperparameters.n_epochs === 'auto' ? 3 : job.hyperparameters.n_epochs,
+        batch_size: job.hyperparameters.batch_size === 'auto' ? Math.max(1, Math.ceil(numExamples * 0.002)) : job.hyperparameters.batch_size,
+        learning_rate_multiplier: job.hyperparameters.learning_rate_multiplier === 'auto' ? 2 : job.hyperparameters.learning_rate_multiplier
+    };
+    const stepsPerEpoch = Math.ceil(numExamples / hyperparameters.batch_size);
+    const totalSteps = stepsPerEpoch * hyperparameters.n_epochs;
+
+    job.status = 'queued';
+    job.hyperparameters = hyperparameters;
+    job.method = {type: 'supervised', supervised: {hyperparameters}};
+    addEvent(job, 'Files validated, moving job to queued state');
+
+    await sleep(settings.queuedMs);
+    if (job.status === 'cancelled') {
+        return;
+    }
+
+    // checkpoints are named after the model the job will produce
+    const fineTunedModel = getFineTunedModelName(job);
+
+    job.status = 'running';
+    job.estimated_finish = getTimestampSeconds() + Math.ceil(totalSteps * settings.stepMs / 1000);
+    addEvent(job, 'Fine-tuning job started');
+
+    const metricsRows = ['step,train_loss,train_accuracy,valid_loss,valid_mean_token_accuracy'];
+    const initialLoss = 2 + random();
+
+    for (let step = 1; step <= totalSteps; step++) {
+        await sleep(settings.stepMs);
+        if (job.status === 'cancelled') {
+            return;
+        }
+
+        // decaying loss with some noise, accuracy going up accordingly
+        const trainLoss = round(initialLoss * Math.exp(-3 * step / totalSteps) + 0.1 * random());
+        const trainAccuracy = round(Math.min(0.99, 1 - trainLoss / (initialLoss + 0.5)));
+        const validLoss = job.validation_file ? round(trainLoss * (1.05 + 0.1 * random())) : null;
+        const validAccuracy = validLoss != null ? round(Math.min(0.99, 1 - validLoss / (initialLoss + 0.5))) : null;
+
+        metricsRows.push([step, trainLoss, trainAccuracy, validLoss ?? '', validAccuracy ?? ''].join(','));
+        addEvent(job, `Step ${step}/${totalSteps}: training loss=${trainLoss.toFixed(2)}` + (validLoss != null ? `, validation loss=${validLoss.toFixed(2)}` : ''), 'metrics', {
+            step,
+            train_loss: trainLoss,
+            train_mean_token_accuracy: trainAccuracy,
+            ...(validLoss != null ? {valid_loss: validLoss, valid_mean_token_accuracy: validAccuracy} : {}),
+            total_steps: totalSteps
+        });
+
+        if (step % stepsPerEpoch === 0) {
+            addCheckpoint(job, fineTunedModel, step, {step, train_loss: trainLoss, train_mean_token_accuracy: trainAccuracy, valid_loss: validLoss, valid_mean_token_accuracy: validAccuracy, full_valid_loss: validLoss, full_valid_mean_token_accuracy: validAccuracy});
+        }
+    }
+
+    registerModel(job.model, fineTunedModel);
+
+    const {data: resultFile} = createFileFromContent(metricsRows.join('\n') + '\n', 'step_metrics.csv', 'fine-tune-results');
+
+    job.status = 'succeeded';
+    job.fine_tuned_model = fineTunedModel;
+    job.finished_at = getTimestampSeconds();
+    job.trained_tokens = training.tokens * hyperparameters.n_epochs;
+    job.result_files = [resultFile.id];
+    job.estimated_finish = null;
+    addEvent(job, `New fine-tuned model created: ${fineTunedModel}`);
+    addEvent(job, 'The job has successfully completed');
+}
+
+// Returns {examples, tokens, error}. Errors point at the example (line) and message, like the real validation does.
+function validateTrainingFile(fileId, encoding, minExamples = MIN_TRAINING_EXAMPLES) {
+    const {data: content, error} = readFileContent(fileId);
+    if (error) {
+        return {examples: [], tokens: 0, error: `Could not read file ${fileId}.`};
+    }
+
+    const examples = [];
+    let tokens = 0;
+
+    const lines = content.split(/\r?\n/).filter(line => line.trim());
+    for (const [idx, line] of lines.entries()) {
+        const lineNumber = idx + 1;
+
+        let example = null;
+        try {
+            example = JSON.parse(line);
+        } catch (e) {
+            return {examples, tokens, error: `Invalid file format. Line ${lineNumber} is not valid JSON.`};
+        }
+
+        if (!example || !Array.isArray(example.messages)) {
+            return {examples, tokens, error: `Invalid file format. Example ${lineNumber}: missing 'messages' list.`};
+        }
+        if (example.messages.length === 0) {
+            return {examples, tokens, error: `Invalid file format. Example ${lineNumber}: 'messages' list is empty.`};
+        }
+
+        for (const [messageIdx, message] of example.messages.entries()) {
+            if (!message || !message.role) {
+                return {examples, tokens, error: `Invalid file format. Example ${lineNumber}, message ${messageIdx + 1}: missing 'role' key.`};
+            }
+            if (!VALID_ROLES.includes(message.role)) {
+                return {examples, tokens, error: `Invalid file format. Example ${lineNumber}, message ${messageIdx + 1}: unrecognized role '${message.role}'. Valid roles are: ${VALID_ROLES.join(', ')}.`};
+            }
+            if (message.content == null && !message.tool_calls && !message.function_call) {
+                return {examples, tokens, error: `Invalid file format. Example ${lineNumber}, message ${messageIdx + 1}: missing 'content' key.`};
+            }
+            if (message.weight != null && ![0, 1].includes(message.weight)) {
+                return {examples, tokens, error: `Invalid file format. Example ${lineNumber}, message ${messageIdx + 1}: 'weight' must be 0 or 1.`};
+            }
+        }
+
+        if (!example.messages.some(message => message.role === 'assistant')) {
+            return {examples, tokens, error: `Invalid file format. Example ${lineNumber}: examples must contain at least one message with role 'assistant'.`};
+        }
+
+        examples.push(example);
+        tokens += countChatPromptTokens(example.messages, example.tools, encoding);
+    }
+
+    if (examples.length < minExamples) {
+        return {examples, tokens, error: `Training file has ${examples.length} example(s), but must have at least ${minExamples} examples.`};
+    }
+
+    return {examples, tokens, error: null};
+}
+
+// the base model's config (maxTokens, encoding, streaming) carries over
+function registerModel(baseModel, fineTunedModel) {
+    const chatModels = config.modelConfigs.chat.models;
+    chatModels[fineTunedModel] = {...chatModels[baseModel]};
+}
+
+function getFineTunedModelName(job) {
+    return `ft:${job.model}:${getOrganizationSlug()}:${job.user_provided_suffix ?? ''}:${getRandomString(8)}`;
+}
+
+function getOrganizationSlug() {
+    return (config.organizationName ?? 'personal').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function addEvent(job, message, type = 'message', data = {}) {
+    jobEvents.get(job.id).push({
+        object: 'fine_tuning.job.event',
+        id: `ftevent-${getRandomString(24)}`,
+        created_at: getTimestampSeconds(),
+        level: 'info',
+        message,
+        data,
+        type
+    });
+}
+
+function addCheckpoint(job, fineTunedModel, step, metrics) {
+    jobCheckpoints.get(job.id).push({
+        object: 'fine_tuning.job.checkpoint',
+        id: `ftckpt_${getRandomString(24)}`,
+        created_at: getTimestampSeconds(),
+        fine_tuned_model_checkpoint: `${fineTunedModel}:ckpt-step-${step}`,
+        fine_tuning_job_id: job.id,
+        metrics,
+        step_number: step
+    });
+}
+
+function failJob(job, code, message, param) {
+    job.status = 'failed';
+    job.finished_at = getTimestampSeconds();
+    job.error = {code, message, param};
+    addEvent(job, message, 'message');
+}
+
+// ?metadata[key]=value filters, as sent by the SDKs... the query parser gives them as a `metadata` object
+function matchesMetadata(job, query) {
+    const filters = query.metadata != null && typeof query.metadata === 'object' ? query.metadata : {};
+    return Object.entries(filters).every(([key, value]) => job.metadata?.[key] === value);
+}
+
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+export {
+    init,
+    createJob,
+    listJobs,
+    getJob,
+    cancelJob,
+    listJobEvents,
+    listJobCheckpoints
+};
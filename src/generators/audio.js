@@ -5,6 +5,7 @@ import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
 import ffmpeg from "fluent-ffmpeg";
 ffmpeg.setFfmpegPath(ffmpegInstaller.path);
 import {repeatText} from "../utils.js";
+import {random} from "../determinism.js";
 import {fileURLToPath} from "url";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -20,11 +21,15 @@ let audioGenerationCachedData = null;
 async function init(cfg) {
     config = cfg;
 
-    samplesGenerationFrom = config?.modelConfigs?.audioGeneration?.generationFrom ?? 'generated';
+    const generationFrom = config?.modelConfigs?.audioGeneration?.generationFrom ?? 'generated';
 
-    if(samplesGenerationFrom === 'samples') {
-        audioGenerationCachedData = await processAudioFiles(config?.modelConfigs?.audioGeneration?.sampleResponseFiles);
-    }
+    // samples are decoded before switching over, so that requests in between keep using the previous ones
+    const cachedData = generationFrom === 'samples'
+        ? await processAudioFiles(config?.modelConfigs?.audioGeneration?.sampleResponseFiles)
+        : null;
+
+    samplesGenerationFrom = generationFrom;
+    audioGenerationCachedData = cachedData;
 }
 
 async function getResponseForAudioGeneration(seed, durationSeconds, outputFormat, outputFilePath) {
@@ -33,7 +38,7 @@ async function getResponseForAudioGeneration(seed, durationSeconds, outputFormat
     let numChannels = 1;
 
     if(samplesGenerationFrom === 'samples') {
-        let audioData = audioGenerationCachedData[Math.floor(Math.random() * audioGenerationCachedData.length)];
+        let audioData = audioGenerationCachedData[Math.floor(random() * audioGenerationCachedData.length)];
         pcmBuffer = audioData.buffer;
         sampleRate = audioData.sampleRate;
         numChannels = audioData.channels;
@@ -59,7 +64,7 @@ async function getResponseForAudioGeneration(seed, durationSeconds, outputFormat
 function getTranscription(audioFileSizeInBytes, prompt, model, temperature, language) {
     const sampleResponses = config.modelConfigs.audioTranscription.sampleResponses;
 
-    const transcription = sampleResponses[Math.floor(Math.random() * sampleResponses.length)];
+    const transcription = sampleResponses[Math.floor(random() * sampleResponses.length)];
     const repetition = Math.floor(audioFileSizeInBytes / TRANSCRIPTION_REPETITION_BOUNDARY_BYTES);
 
     return repeatText(transcription, repetition);
@@ -68,7 +73,7 @@ function getTranscription(audioFileSizeInBytes, prompt, model, temperature, lang
 function getTranslation(audioFileSizeInBytes, prompt, model, temperature) {
     const sampleResponses = config.modelConfigs.audioTranslation.sampleResponses;
 
-    const transcription = sampleResponses[Math.floor(Math.random() * sampleResponses.length)];
+    const transcription = sampleResponses[Math.floor(random() * sampleResponses.length)];
     const repetition = Math.floor(audioFileSizeInBytes / TRANSCRIPTION_REPETITION_BOUNDARY_BYTES);
 
     return repeatText(transcription, repetition);
@@ -132,7 +137,7 @@ async function processAudioFiles(files) {
 }
 
 function generateBuffer(seed, totalBytes) {
-    const rng = seed ? seedrandom(seed.toString()) : Math.random;
+    const rng = seed ? seedrandom(seed.toString()) : random;
     const buffer = Buffer.alloc(totalBytes);
     for (let i = 0; i < totalBytes; i += 2) {
         const randomSample = Math.round((rng() * 65534) - 32767);
@@ -1,5 +1,11 @@
+import {invalidRequestError} from "../errors.js";
+import {generateFromJsonSchema} from "./jsonSchema.js";
+import {getScenarioResponse} from "./scenarios.js";
+import {getQueuedResponse} from "../responseQueue.js";
+import {random} from "../determinism.js";
+
 let config = null;
-const registeredFunctions = {};
+let registeredFunctions = {};
 
 // public methods
 
@@ -10,6 +16,8 @@ function init(cfg) {
 }
 
 function initToolsCache() {
+    registeredFunctions = {};
+
     const functions = config.modelConfigs.chat.tools.functions;
 
     functions.forEach((func) => {
@@ -20,21 +28,33 @@ function initToolsCache() {
     });
 }
 
-function getResponseForChatCompletion(messages, tools, toolChoice, returnJsonFormattedStrings = false) {
+function getResponseForChatCompletion({model, messages, tools, toolChoice, returnJsonFormattedStrings = false, jsonSchema = null, parallelToolCalls = true}) {
     let contentOrToolCalls = null;
-    let errorCode = null;
-    let errorMessage = null;
+    let error = null;
     const hasExplicitToolChoiceSpec = toolChoice != null && typeof toolChoice === 'object';
 
     const promptInputs = getPromptInputs(messages);
     const lastInput = promptInputs && promptInputs.length > 0 ? promptInputs[promptInputs.length - 1] : null;
 
-    if (!lastInput) return null;
+    if (!lastInput) {
+        return {contentOrToolCalls, error: invalidRequestError(`'messages' must contain at least one message.`, 'messages')};
+    }
+
+    // responses queued through the admin API come first, then scripted conversations, then sample responses and regex based tool matching
+    const queuedResponse = getQueuedResponse();
+    if (queuedResponse) {
+        return queuedResponse;
+    }
+
+    const scenarioResponse = getScenarioResponse(model, messages);
+    if (scenarioResponse) {
+        return scenarioResponse;
+    }
 
     if(!tools || tools.length == 0 || (typeof toolChoice === 'string' && toolChoice === 'none')) {
         contentOrToolCalls = {
             'tool_calls': null,
-            'content': getNonToolResponse(lastInput, returnJsonFormattedStrings)
+            'content': getNonToolResponse(lastInput, returnJsonFormattedStrings, jsonSchema)
         };
     } else {
         const toolResponse = getToolResponse(
@@ -46,19 +66,33 @@ function getResponseForChatCompletion(messages, tools, toolChoice, returnJsonFor
             toolChoice
         );
 
-        if(toolResponse['errorCode']) {
+        if(toolResponse['error']) {
             contentOrToolCalls = null;
-            errorCode = toolResponse['errorCode'];
-            errorMessage = toolResponse['errorMessage'];
+            error = toolResponse['error'];
         } else {
+            // with parallel tool calls disabled, the model calls at most one function per turn
+            const toolCalls = toolResponse['toolCalls'] && parallelToolCalls === false
+                ? toolResponse['toolCalls'].slice(0, 1)
+                : toolResponse['toolCalls'];
+
             contentOrToolCalls = {
-                'tool_calls': toolResponse['toolCalls'],
-                'content': toolResponse['toolCalls'] ? null : getNonToolResponse(lastInput, returnJsonFormattedStrings)
+                'tool_calls': toolCalls,
+                'content': toolResponse['toolCalls'] ? null : getNonToolResponse(lastInput, returnJsonFormattedStrings, jsonSchema)
             }
         }
     }
 
-    return {contentOrToolCalls, errorCode, errorMessage};
+    return {contentOrToolCalls, error};
+}
+
+// legacy text completions have no roles, tools or scenarios... just the sample responses
+function getResponseForTextCompletion(prompt) {
+    const queuedResponse = getQueuedResponse();
+    if (queuedResponse?.contentOrToolCalls.content != null) {
+        return queuedResponse.contentOrToolCalls.content;
+    }
+
+    return getNonToolResponse({user: {text: prompt}}, false);
 }
 
 function getMatchingFunctionsAndArgs(toolsArrayFromClient, textToMatch) {
@@ -82,7 +116,11 @@ function getMatchingFunctionsAndArgs(toolsArrayFromClient, textToMatch) {
     return matches;
 }
 
-function getNonToolResponse(lastInput, returnJsonFormattedStrings) {
+function getNonToolResponse(lastInput, returnJsonFormattedStrings, jsonSchema = null) {
+    if (jsonSchema?.schema) {
+        return JSON.stringify(generateFromJsonSchema(jsonSchema.schema));
+    }
+
     let sampleResponses = [];
 
     if (returnJsonFormattedStrings) {
@@ -91,28 +129,25 @@ function getNonToolResponse(lastInput, returnJsonFormattedStrings) {
         sampleResponses = 'imageUrl' in lastInput ? config.modelConfigs.vlm.sampleResponses : config.modelConfigs.chat.sampleResponses;
     }
 
-    return sampleResponses[Math.floor(Math.random() * sampleResponses.length)];
+    return sampleResponses[Math.floor(random() * sampleResponses.length)];
 }
 
 function getToolResponse(lastInput, tools, toolChoiceAuto, toolChoiceRequired, toolChoiceSpec, toolChoiceGivenSpec) {
     let toolCalls = null;
-    let errorCode = null;
-    let errorMessage = null;
+    let error = null;
 
     if(toolChoiceSpec) {
         const requiredToolName = toolChoiceGivenSpec?.function?.name;
 
         if(!requiredToolName) {
-            errorCode = 400;
-            errorMessage = `Invalid 'tool_choice' definition: ${JSON.stringify(toolChoiceGivenSpec)}.`;
+            error = invalidRequestError(`Invalid 'tool_choice' definition: ${JSON.stringify(toolChoiceGivenSpec)}.`, 'tool_choice');
         } else if(registeredFunctions[requiredToolName]) {
             toolCalls = [{
                 name: requiredToolName,
                 arguments: registeredFunctions[requiredToolName].arguments
             }];
         } else {
-            errorCode = 400;
-            errorMessage = `Sample response for required function: ${requiredToolName} not given in mock server config.`;
+            error = invalidRequestError(`Sample response for required function: ${requiredToolName} not given in mock server config.`, 'tool_choice');
         }
     } else {
         const matchingFunctionsAndArgs = getMatchingFunctionsAndArgs(tools, lastInput?.user?.text);
@@ -133,7 +168,7 @@ function getToolResponse(lastInput, tools, toolChoiceAuto, toolChoiceRequired, t
         }
     }
 
-    return {toolCalls, errorCode, errorMessage};
+    return {toolCalls, error};
 }
 
 // Returns array of the form:
@@ -181,5 +216,6 @@ function getPromptInputs(messages) {
 
 export {
     init,
-    getResponseForChatCompletion
+    getResponseForChatCompletion,
+    getResponseForTextCompletion
 };
@@ -1,4 +1,5 @@
 import fs from "fs";
+import {random} from "../determinism.js";
 
 let config = null;
 
@@ -23,7 +24,7 @@ async function getResponseForImageGeneration(task, prompt, width, height, qualit
 
     if(samplesGenerationSource[task] === 'samples') {
         const sampleFiles = config?.modelConfigs?.[task]?.sampleResponseFiles ?? [];
-        return fs.readFileSync(sampleFiles[Math.floor(Math.random() * sampleFiles.length)]);
+        return fs.readFileSync(sampleFiles[Math.floor(random() * sampleFiles.length)]);
     } else {
         const svg = `
         <svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
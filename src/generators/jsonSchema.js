@@ -0,0 +1,546 @@
+import {random} from '../determinism.js';
+
+const MAX_REF_DEPTH = 4;   // recursive schemas ($ref: '#', linked lists, trees) stop expanding after this many hops
+const DEFAULT_MAX_ARRAY_ITEMS = 3;
+const SAMPLE_WORDS = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot', 'golf', 'hotel', 'india', 'juliet'];
+const MAX_UNIQUE_ATTEMPTS = 20;
+const MAX_PATTERN_ATTEMPTS = 10;
+const MAX_PATTERN_REPEATS = 3;   // extra repetitions for '*', '+' and '{n,}'
+
+const DIGIT_CHARS = [...'0123456789'];
+const WORD_CHARS = [...'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_'];
+const PRINTABLE_CHARS = Array.from({length: 0x7f - 0x20}, (_, idx) => String.fromCharCode(0x20 + idx));
+
+// Builds an instance that validates against the given JSON schema.
+// `rng` is a () => [0, 1) function so callers can make the output reproducible.
+function generateFromJsonSchema(rootSchema, rng = random) {
+    return generateValue(rootSchema, rootSchema, {rng, refDepth: 0, propertyName: 'value'});
+}
+
+// Mirrors the subset of checks the real API does for `strict: true` schemas:
+// every object must list all of its properties in 'required' and set 'additionalProperties: false'.
+// Returns an error message, or null if the schema is acceptable.
+function validateStrictJsonSchema(rootSchema, schemaName) {
+    const problems = [];
+    collectStrictProblems(rootSchema, [], problems, new Set());
+
+    if (problems.length === 0) {
+        return null;
+    }
+
+    return `Invalid schema for response_format '${schemaName}': ${problems[0]}`;
+}
+
+// Returns the first $ref in the schema that does not point inside it, or null.
+function findUnresolvedRef(rootSchema) {
+    const stack = [rootSchema];
+    const visited = new Set();
+
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (!node || typeof node !== 'object' || visited.has(node)) {
+            continue;
+        }
+        visited.add(node);
+
+        if (typeof node.$ref === 'string') {
+            try {
+                resolveRef(node.$ref, rootSchema);
+            } catch (e) {
+                return node.$ref;
+            }
+        }
+
+        stack.push(...Object.values(node));
+    }
+
+    return null;
+}
+
+function collectStrictProblems(schema, context, problems, visited) {
+    if (!schema || typeof schema !== 'object' || visited.has(schema)) {
+        return;
+    }
+    visited.add(schema);
+
+    const contextString = `In context=(${context.map(c => `'${c}'`).join(', ')})`;
+
+    if (getTypes(schema).includes('object') || schema.properties) {
+        const propertyNames = Object.keys(schema.properties ?? {});
+        const required = Array.isArray(schema.required) ? schema.required : null;
+        const missing = propertyNames.filter(p => !required || !required.includes(p));
+
+        if (missing.length > 0) {
+            problems.push(`${contextString}, 'required' is required to be supplied and to be an array including every key in properties. Missing '${missing[0]}'.`);
+        }
+        if (schema.additionalProperties !== false) {
+            problems.push(`${contextString}, 'additionalProperties' is required to be supplied and to be false.`);
+        }
+
+        propertyNames.forEach(p => collectStrictProblems(schema.properties[p], [...context, 'properties', p], problems, visited));
+    }
+
+    if (schema.items) {
+        collectStrictProblems(schema.items, [...context, 'items'], problems, visited);
+    }
+
+    ['anyOf', 'allOf', 'oneOf'].forEach(keyword => {
+        (schema[keyword] ?? []).forEach((subSchema, idx) => collectStrictProblems(subSchema, [...context, keyword, String(idx)], problems, visited));
+    });
+
+    ['$defs', 'definitions'].forEach(keyword => {
+        Object.entries(schema[keyword] ?? {}).forEach(([name, subSchema]) => collectStrictProblems(subSchema, [...context, keyword, name], problems, visited));
+    });
+}
+
+function generateValue(schema, rootSchema, ctx) {
+    if (schema === true || schema == null) {
+        return getRandomWord(ctx.rng);
+    }
+
+    if (schema.$ref) {
+        // a required, non-nullable recursive property can never terminate... cut it off rather than loop forever
+        if (ctx.refDepth >= MAX_REF_DEPTH * 4) {
+            return null;
+        }
+        const resolved = resolveRef(schema.$ref, rootSchema);
+        const {$ref, ...siblings} = schema;
+        return generateValue({...resolved, ...siblings}, rootSchema, {...ctx, refDepth: ctx.refDepth + 1});
+    }
+
+    if ('const' in schema) {
+        return schema.const;
+    }
+
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+        return pick(schema.enum, ctx.rng);
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        const {allOf, ...rest} = schema;
+        return generateValue(allOf.reduce((merged, subSchema) => mergeSchemas(merged, resolveIfRef(subSchema, rootSchema)), rest), rootSchema, ctx);
+    }
+
+    const alternatives = schema.anyOf ?? schema.oneOf;
+    if (Array.isArray(alternatives) && alternatives.length > 0) {
+        return generateValue(pickAlternative(alternatives, rootSchema, ctx), rootSchema, ctx);
+    }
+
+    const types = getTypes(schema);
+    const nonNullTypes = types.filter(t => t !== 'null');
+    if (types.includes('null') && (nonNullTypes.length === 0 || ctx.refDepth >= MAX_REF_DEPTH)) {
+        return null;
+    }
+
+    switch (nonNullTypes.length > 0 ? pick(nonNullTypes, ctx.rng) : inferType(schema)) {
+        case 'object':
+            return generateObject(schema, rootSchema, ctx);
+        case 'array':
+            return generateArray(schema, rootSchema, ctx);
+        case 'integer':
+            return generateNumber(schema, true, ctx.rng);
+        case 'number':
+            return generateNumber(schema, false, ctx.rng);
+        case 'boolean':
+            return ctx.rng() < 0.5;
+        case 'null':
+            return null;
+        default:
+            return generateString(schema, ctx);
+    }
+}
+
+function generateObject(schema, rootSchema, ctx) {
+    const properties = schema.properties ?? {};
+    const required = new Set(schema.required ?? []);
+    const result = {};
+
+    Object.entries(properties).forEach(([name, propertySchema]) => {
+        // optional properties are dropped once we are deep inside a recursive structure, so that it terminates
+        if (!required.has(name) && ctx.refDepth >= MAX_REF_DEPTH) {
+            return;
+        }
+        result[name] = generateValue(propertySchema, rootSchema, {...ctx, propertyName: name});
+    });
+
+    // required keys without a property schema are still required
+    required.forEach(name => {
+        if (!(name in result)) {
+            result[name] = getRandomWord(ctx.rng);
+        }
+    });
+
+    return result;
+}
+
+function generateArray(schema, rootSchema, ctx) {
+    const minItems = schema.minItems ?? (ctx.refDepth >= MAX_REF_DEPTH ? 0 : 1);
+    const maxItems = Math.max(minItems, Math.min(schema.maxItems ?? DEFAULT_MAX_ARRAY_ITEMS, minItems + DEFAULT_MAX_ARRAY_ITEMS));
+    const length = ctx.refDepth >= MAX_REF_DEPTH ? minItems : minItems + Math.floor(ctx.rng() * (maxItems - minItems + 1));
+
+    const prefixItems = Array.isArray(schema.prefixItems) ? schema.prefixItems : [];
+    const result = prefixItems.map(itemSchema => generateValue(itemSchema, rootSchema, ctx));
+
+    const isDuplicate = (value) => schema.uniqueItems && result.some(existing => JSON.stringify(existing) === JSON.stringify(value));
+    while (result.length < length) {
+        let value = generateValue(schema.items ?? {}, rootSchema, ctx);
+        // retries tag their strings (nested ones included) with the item's position, so that they differ even once the
+        // sample words run out
+        for (let attempt = 1; isDuplicate(value) && attempt < MAX_UNIQUE_ATTEMPTS; attempt++) {
+            value = generateValue(schema.items ?? {}, rootSchema, {...ctx, variant: `-${result.length + 1}`});
+        }
+        if (isDuplicate(value)) {
+            // the items can't take that many distinct values (a short enum, booleans...), so no array would validate
+            break;
+        }
+        result.push(value);
+    }
+
+    return result;
+}
+
+function generateNumber(schema, isInteger, rng) {
+    let min = schema.minimum ?? (typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum : 0);
+    let max = schema.maximum ?? (typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum : min + 100);
+    const step = schema.multipleOf ?? (isInteger ? 1 : null);
+
+    if (step) {
+        min = Math.ceil(min / step) * step;
+        max = Math.floor(max / step) * step;
+        if (typeof schema.exclusiveMinimum === 'number' && min <= schema.exclusiveMinimum) min += step;
+        if (typeof schema.exclusiveMaximum === 'number' && max >= schema.exclusiveMaximum) max -= step;
+
+        const value = min + Math.floor(rng() * (Math.floor((max - min) / step) + 1)) * step;
+        return Number(value.toFixed(10));
+    }
+
+    const value = Math.round((min + rng() * (max - min)) * 100) / 100;
+    const isOutOfBounds = (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum)
+        || (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum);
+
+    return isOutOfBounds ? (min + max) / 2 : value;
+}
+
+function generateString(schema, ctx) {
+    const formatted = generateFormattedString(schema.format, ctx.rng);
+    if (formatted != null) {
+        return formatted;
+    }
+
+    const minLength = schema.minLength ?? 0;
+    const maxLength = schema.maxLength ?? Infinity;
+
+    if (typeof schema.pattern === 'string') {
+        const matching = generateFromPattern(schema.pattern, minLength, maxLength, ctx.rng);
+        if (matching != null) {
+            return matching;
+        }
+    }
+
+    let value = `${ctx.propertyName}${ctx.variant ?? ''}-${getRandomWord(ctx.rng)}`;
+    while (value.length < minLength) {
+        value += `-${getRandomWord(ctx.rng)}`;
+    }
+
+    return value.slice(0, maxLength);
+}
+
+function generateFormattedString(format, rng) {
+    const timestamp = new Date(Date.UTC(2025, 0, 1) + Math.floor(rng() * 365 * 24 * 3600) * 1000).toISOString();
+
+    switch (format) {
+        case 'date-time':
+            return timestamp.replace(/\.\d{3}Z$/, 'Z');
+        case 'date':
+            return timestamp.slice(0, 10);
+        case 'time':
+            return timestamp.slice(11, 19) + 'Z';
+        case 'duration':
+            return `PT${1 + Math.floor(rng() * 59)}M`;
+        case 'email':
+            return `${getRandomWord(rng)}@example.com`;
+        case 'hostname':
+            return `${getRandomWord(rng)}.example.com`;
+        case 'uri':
+        case 'url':
+            return `https://example.com/${getRandomWord(rng)}`;
+        case 'uuid':
+            return getRandomUuid(rng);
+        case 'ipv4':
+            return Array.from({length: 4}, () => Math.floor(rng() * 256)).join('.');
+        case 'ipv6':
+            return Array.from({length: 8}, () => Math.floor(rng() * 65536).toString(16)).join(':');
+        default:
+            return null;
+    }
+}
+
+// v4 layout
+function getRandomUuid(rng) {
+    const hex = Array.from({length: 32}, () => Math.floor(rng() * 16).toString(16));
+    hex[12] = '4';
+    hex[16] = (8 + Math.floor(rng() * 4)).toString(16);
+    return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].map(part => part.join('')).join('-');
+}
+
+// A string matching `pattern` (and the length limits), or null when none was found or the pattern uses syntax that isn't
+// covered: lookarounds, backreferences, word boundaries, unicode escapes...
+function generateFromPattern(pattern, minLength, maxLength, rng) {
+    let node = null;
+    let regex = null;
+    try {
+        node = parsePattern(pattern);
+        regex = new RegExp(pattern, 'u');
+    } catch (e) {
+        return null;
+    }
+
+    for (let attempt = 0; attempt < MAX_PATTERN_ATTEMPTS; attempt++) {
+        const value = generateFromPatternNode(node, rng);
+        if (regex.test(value) && value.length >= minLength && value.length <= maxLength) {
+            return value;
+        }
+    }
+    return null;
+}
+
+// Parses the regex into {type: 'alternation', branches}, {type: 'sequence', items}, {type: 'repeat', node, min, max} and
+// {type: 'chars', chars} nodes... anchors are dropped, a generated string is matched as a whole anyway
+function parsePattern(pattern) {
+    let pos = 0;
+
+    const parseAlternation = () => {
+        const branches = [parseSequence()];
+        while (pattern[pos] === '|') {
+            pos++;
+            branches.push(parseSequence());
+        }
+        return {type: 'alternation', branches};
+    };
+
+    const parseSequence = () => {
+        const items = [];
+        while (pos < pattern.length && pattern[pos] !== '|' && pattern[pos] !== ')') {
+            const atom = parseAtom();
+            if (atom) {
+                items.push(parseQuantifier(atom));
+            }
+        }
+        return {type: 'sequence', items};
+    };
+
+    const parseAtom = () => {
+        const c = pattern[pos++];
+        switch (c) {
+            case '^':
+            case '$':
+                return null;
+            case '(': {
+                if (pattern.startsWith('?:', pos)) {
+                    pos += 2;
+                } else if (pattern.startsWith('?<', pos) && !['=', '!'].includes(pattern[pos + 2])) {
+                    const end = pattern.indexOf('>', pos);
+                    if (end === -1) {
+                        throw new Error(`Unterminated group name.`);
+                    }
+                    pos = end + 1;
+                } else if (pattern[pos] === '?') {
+                    throw new Error(`Unsupported group at ${pos}.`);
+                }
+                const group = parseAlternation();
+                if (pattern[pos++] !== ')') {
+                    throw new Error(`Unterminated group.`);
+                }
+                return group;
+            }
+            case '[':
+                return {type: 'chars', chars: parseClass()};
+            case '.':
+                return {type: 'chars', chars: WORD_CHARS};
+            case '\\':
+                return {type: 'chars', chars: parseEscape()};
+            case '*':
+            case '+':
+            case '?':
+            case '{':
+                throw new Error(`Nothing to repeat at ${pos - 1}.`);
+            default:
+                return {type: 'chars', chars: [c]};
+        }
+    };
+
+    const parseEscape = () => {
+        const c = pattern[pos++];
+        switch (c) {
+            case 'd':
+                return DIGIT_CHARS;
+            case 'w':
+                return WORD_CHARS;
+            case 's':
+                return [' '];
+            case 'n':
+                return ['\n'];
+            case 't':
+                return ['\t'];
+            case 'r':
+                return ['\r'];
+            default:
+                if (c == null || /[a-zA-Z0-9]/.test(c)) {
+                    throw new Error(`Unsupported escape '\\${c}'.`);
+                }
+                return [c];
+        }
+    };
+
+    const parseClass = () => {
+        const negated = pattern[pos] === '^';
+        if (negated) {
+            pos++;
+        }
+
+        const chars = new Set();
+        while (pattern[pos] !== ']') {
+            if (pos >= pattern.length) {
+                throw new Error(`Unterminated character class.`);
+            }
+            const from = pattern[pos] === '\\' ? (pos++, parseEscape()) : [pattern[pos++]];
+            if (from.length === 1 && pattern[pos] === '-' && pattern[pos + 1] !== ']') {
+                pos++;
+                const to = pattern[pos] === '\\' ? (pos++, parseEscape()) : [pattern[pos++]];
+                if (to.length !== 1) {
+                    throw new Error(`Invalid range in character class.`);
+                }
+                for (let code = from[0].charCodeAt(0); code <= to[0].charCodeAt(0); code++) {
+                    chars.add(String.fromCharCode(code));
+                }
+            } else {
+                from.forEach(ch => chars.add(ch));
+            }
+        }
+        pos++;
+
+        const result = negated ? PRINTABLE_CHARS.filter(ch => !chars.has(ch)) : [...chars];
+        if (result.length === 0) {
+            throw new Error(`Empty character class.`);
+        }
+        return result;
+    };
+
+    const parseQuantifier = (node) => {
+        let min = 1;
+        let max = 1;
+        const c = pattern[pos];
+        if (c === '?' || c === '*' || c === '+') {
+            pos++;
+            min = c === '+' ? 1 : 0;
+            max = c === '?' ? 1 : min + MAX_PATTERN_REPEATS;
+        } else if (c === '{') {
+            const bounds = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(pos));
+            if (!bounds) {
+                throw new Error(`Invalid quantifier at ${pos}.`);
+            }
+            pos += bounds[0].length;
+            min = Number(bounds[1]);
+            max = bounds[2] == null ? min : bounds[3] ? Number(bounds[3]) : min + MAX_PATTERN_REPEATS;
+        } else {
+            return node;
+        }
+        // lazy quantifiers generate the same strings
+        if (pattern[pos] === '?') {
+            pos++;
+        }
+        return {type: 'repeat', node, min, max};
+    };
+
+    const root = parseAlternation();
+    if (pos < pattern.length) {
+        throw new Error(`Unbalanced ')' at ${pos}.`);
+    }
+    return root;
+}
+
+function generateFromPatternNode(node, rng) {
+    switch (node.type) {
+        case 'alternation':
+            return generateFromPatternNode(pick(node.branches, rng), rng);
+        case 'sequence':
+            return node.items.map(item => generateFromPatternNode(item, rng)).join('');
+        case 'repeat': {
+            const count = node.min + Math.floor(rng() * (node.max - node.min + 1));
+            return Array.from({length: count}, () => generateFromPatternNode(node.node, rng)).join('');
+        }
+        default:
+            return pick(node.chars, rng);
+    }
+}
+
+// prefer branches that do not recurse any further once the depth budget is used up
+function pickAlternative(alternatives, rootSchema, ctx) {
+    if (ctx.refDepth >= MAX_REF_DEPTH) {
+        const terminal = alternatives.find(a => !a.$ref && getTypes(resolveIfRef(a, rootSchema)).some(t => t !== 'object' && t !== 'array'));
+        if (terminal) {
+            return terminal;
+        }
+    }
+    return pick(alternatives, ctx.rng);
+}
+
+function resolveRef(ref, rootSchema) {
+    if (ref === '#') {
+        return rootSchema;
+    }
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Only local $ref's are supported. Given: ${ref}`);
+    }
+
+    const resolved = ref.slice(2).split('/')
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, part) => node?.[part], rootSchema);
+
+    if (resolved == null) {
+        throw new Error(`Could not resolve $ref: ${ref}`);
+    }
+    return resolved;
+}
+
+function resolveIfRef(schema, rootSchema) {
+    return schema?.$ref ? resolveRef(schema.$ref, rootSchema) : schema;
+}
+
+// properties and required only when a branch has them... they would make any merged schema an object
+function mergeSchemas(a, b) {
+    const merged = {...a, ...b};
+    if (a.properties || b.properties) {
+        merged.properties = {...a.properties, ...b.properties};
+    }
+    if (a.required || b.required) {
+        merged.required = [...new Set([...(a.required ?? []), ...(b.required ?? [])])];
+    }
+    return merged;
+}
+
+function getTypes(schema) {
+    if (Array.isArray(schema.type)) return schema.type;
+    return schema.type ? [schema.type] : [];
+}
+
+function inferType(schema) {
+    if (schema.properties || schema.required) return 'object';
+    if (schema.items || schema.prefixItems) return 'array';
+    if ('minimum' in schema || 'maximum' in schema) return 'number';
+    return 'string';
+}
+
+function pick(values, rng) {
+    return values[Math.floor(rng() * values.length)];
+}
+
+function getRandomWord(rng) {
+    return pick(SAMPLE_WORDS, rng);
+}
+
+export {
+    generateFromJsonSchema,
+    validateStrictJsonSchema,
+    findUnresolvedRef
+};
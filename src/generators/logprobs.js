@@ -0,0 +1,81 @@
+import crypto from "crypto";
+import {splitIntoTokenStrings} from "../tokenizer.js";
+
+// Candidates for top_logprobs alternatives, besides case/spacing variants of the chosen token itself
+const COMMON_TOKENS = [' the', ' a', ' to', ' and', ' of', ' is', ' that', ' you', ' it', ' in', ' for', ' this', ' I', ' can', ' be', ' with', ' on', ' your', ' have', ' more', '.', ',', '!', '?', '\n', ' an', ' as', ' or', ' if', ' will'];
+
+// Builds the `logprobs.content` entries for the given text. Values are derived from a hash of each token and its
+// position, so the same text always gets the same logprobs.
+function getLogprobsForContent(content, encoding, topLogprobs = 0, startPosition = 0) {
+    if (!content) {
+        return [];
+    }
+
+    return splitIntoTokenStrings(content, encoding).map((token, idx) => {
+        const position = startPosition + idx;
+        const logprob = getChosenLogprob(token, position);
+
+        return {
+            token,
+            logprob,
+            bytes: getBytes(token),
+            top_logprobs: getTopLogprobs(token, position, logprob, topLogprobs)
+        };
+    });
+}
+
+// mostly confident (close to 0), occasionally unsure
+function getChosenLogprob(token, position) {
+    const r = hashToUnit(`${position}:${token}`);
+    return roundLogprob(-Math.pow(r, 4) * 4 - 0.000001);
+}
+
+// the chosen token plus alternatives sharing the remaining probability mass, most likely first... like with real
+// sampling, an unsure pick is not necessarily the most likely token
+function getTopLogprobs(token, position, chosenLogprob, topLogprobs) {
+    if (!topLogprobs) {
+        return [];
+    }
+
+    const alternatives = getAlternativeTokens(token, position).slice(0, topLogprobs - 1);
+    let remainingProbability = Math.max(1 - Math.exp(chosenLogprob), 1e-9);
+
+    const entries = alternatives.map((alternative, idx) => {
+        const share = 0.5 + 0.3 * hashToUnit(`${position}:${token}:${idx}`);
+        const probability = remainingProbability * share;
+        remainingProbability -= probability;
+
+        return {token: alternative, logprob: roundLogprob(Math.log(probability)), bytes: getBytes(alternative)};
+    });
+
+    return [{token, logprob: chosenLogprob, bytes: getBytes(token)}, ...entries]
+        .sort((a, b) => b.logprob - a.logprob);
+}
+
+function getAlternativeTokens(token, position) {
+    const trimmed = token.trim();
+    const variants = trimmed
+        ? [token.startsWith(' ') ? trimmed : ` ${trimmed}`, token.toLowerCase(), token.toUpperCase(), ` ${trimmed[0].toUpperCase()}${trimmed.slice(1)}`]
+        : [];
+
+    const offset = Math.floor(hashToUnit(`${position}:${token}:common`) * COMMON_TOKENS.length);
+    const common = COMMON_TOKENS.map((_, idx) => COMMON_TOKENS[(offset + idx) % COMMON_TOKENS.length]);
+
+    return [...new Set([...variants, ...common])].filter(candidate => candidate !== token);
+}
+
+function getBytes(token) {
+    return Array.from(Buffer.from(token, 'utf-8'));
+}
+
+function hashToUnit(text) {
+    return parseInt(crypto.createHash('md5').update(text).digest('hex').slice(0, 8), 16) / 0xffffffff;
+}
+
+function roundLogprob(logprob) {
+    return Math.round(logprob * 1e6) / 1e6;
+}
+
+export {
+    getLogprobsForContent
+};
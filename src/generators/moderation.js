@@ -0,0 +1,68 @@
+import crypto from "crypto";
+
+// All categories of the moderation models, in the order the real API returns them. Only some of them apply to images.
+const CATEGORIES = [
+    'harassment', 'harassment/threatening', 'hate', 'hate/threatening', 'illicit', 'illicit/violent',
+    'self-harm', 'self-harm/intent', 'self-harm/instructions', 'sexual', 'sexual/minors', 'violence', 'violence/graphic'
+];
+const IMAGE_CATEGORIES = ['self-harm', 'self-harm/intent', 'self-harm/instructions', 'sexual', 'violence', 'violence/graphic'];
+
+let config = null;
+// category -> list of regexes
+let registeredRules = {};
+
+function init(cfg) {
+    config = cfg;
+
+    initRulesCache();
+}
+
+function initRulesCache() {
+    registeredRules = {};
+
+    (config.modelConfigs.moderation?.categories ?? []).forEach((rule) => {
+        if (!CATEGORIES.includes(rule.category)) {
+            throw new Error(`Unknown moderation category: ${rule.category}. Available: ${JSON.stringify(CATEGORIES)}`);
+        }
+        registeredRules[rule.category] = [
+            ...(registeredRules[rule.category] ?? []),
+            new RegExp(rule.regexToMatchAgainstInput.replace(/[\r\n]+$/, ''), 'i')
+        ];
+    });
+}
+
+// Scores for one input ('text' or 'image', where images are matched through their url). Matching categories score
+// above 0.5, the rest stay tiny. Both are derived from the input, so they are the same on every call.
+function getModerationScores(value, type) {
+    const scores = {};
+
+    CATEGORIES.forEach((category) => {
+        if (type === 'image' && !IMAGE_CATEGORIES.includes(category)) {
+            scores[category] = 0;
+            return;
+        }
+
+        const isMatch = (registeredRules[category] ?? []).some(regex => regex.test(value));
+        const unit = hashToUnit(`${category}:${value}`);
+        scores[category] = isMatch
+            ? round(0.6 + 0.39 * unit)
+            : round(1e-6 + 1e-3 * unit * unit);
+    });
+
+    return scores;
+}
+
+function hashToUnit(text) {
+    return parseInt(crypto.createHash('md5').update(text).digest('hex').slice(0, 8), 16) / 0xffffffff;
+}
+
+function round(score) {
+    return Math.round(score * 1e8) / 1e8;
+}
+
+export {
+    CATEGORIES,
+    IMAGE_CATEGORIES,
+    init,
+    getModerationScores
+};
@@ -0,0 +1,206 @@
+import fs from "fs";
+import path from "path";
+import yaml from "yaml";
+import {apiError} from "../errors.js";
+
+let config = null;
+let scenarios = [];
+
+// public methods
+
+function init(cfg) {
+    config = cfg;
+
+    scenarios = loadScenarios(config?.modelConfigs?.chat?.scenariosDirectory);
+}
+
+// Returns the scripted response of the first rule (across all scenarios, in file name order) that matches the
+// conversation, or null if none does. Response is of the form {contentOrToolCalls, error}, same as getResponseForChatCompletion.
+function getScenarioResponse(model, messages) {
+    for (const scenario of scenarios) {
+        if (scenario.models && !scenario.models.includes(model)) {
+            continue;
+        }
+
+        const rule = scenario.rules.find(r => matchesRule(r.match, messages));
+        if (rule) {
+            return buildResponse(rule.respond, scenario);
+        }
+    }
+
+    return null;
+}
+
+function loadScenarios(directory) {
+    if (!directory || !fs.existsSync(directory)) {
+        return [];
+    }
+
+    return fs.readdirSync(directory)
+        .filter(fileName => /\.(ya?ml|json)$/i.test(fileName))
+        .sort()
+        .map(fileName => {
+            const filePath = path.join(directory, fileName);
+            const scenario = yaml.parse(fs.readFileSync(filePath, 'utf-8'));
+
+            if (!scenario || !Array.isArray(scenario.rules)) {
+                throw new Error(`Scenario file ${filePath} should have a 'rules' array.`);
+            }
+
+            scenario.name = scenario.name ?? path.parse(fileName).name;
+            scenario.rules.forEach((rule, idx) => {
+                const where = `Rule at index ${idx} in scenario file ${filePath}`;
+                validateRespond(rule.respond, where);
+                rule.match = compileMatch(rule.match ?? {}, where);
+            });
+
+            return scenario;
+        });
+}
+
+// All given conditions must hold. Supported conditions:
+//   roleSequence:      array of roles that must equal the roles of the history, or a regex matched against them joined by ','
+//   turn:              number of user messages in the history
+//   lastUserMessage:   regex matched against the text of the last user message
+//   lastMessageRole:   role of the last message
+//   messages:          list of {role, regex}... each one must match at least one message in the history
+//   toolResults:       list of {name, regex}... each one must match at least one tool result in the history
+//   noToolResults:     true if the history must not have any tool result yet
+function matchesRule(match, messages) {
+    const roles = messages.map(m => m.role);
+
+    if (match.roleSequence != null) {
+        if (Array.isArray(match.roleSequence)) {
+            if (match.roleSequence.join(',') !== roles.join(',')) return false;
+        } else if (!match.roleSequence.test(roles.join(','))) {
+            return false;
+        }
+    }
+
+    if (match.turn != null && roles.filter(r => r === 'user').length !== match.turn) {
+        return false;
+    }
+
+    if (match.lastMessageRole != null && roles[roles.length - 1] !== match.lastMessageRole) {
+        return false;
+    }
+
+    if (match.lastUserMessage != null) {
+        const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+        if (!lastUserMessage || !match.lastUserMessage.test(getText(lastUserMessage))) return false;
+    }
+
+    if (match.messages != null) {
+        const allMatch = match.messages.every(({role, regex}) => messages.some(m =>
+            (role == null || m.role === role) && (regex == null || regex.test(getText(m)))
+        ));
+        if (!allMatch) return false;
+    }
+
+    const toolResults = getToolResults(messages);
+
+    if (match.noToolResults && toolResults.length > 0) {
+        return false;
+    }
+
+    if (match.toolResults != null) {
+        const allMatch = match.toolResults.every(({name, regex}) => toolResults.some(tr =>
+            (name == null || tr.name === name) && (regex == null || regex.test(tr.content))
+        ));
+        if (!allMatch) return false;
+    }
+
+    return true;
+}
+
+// respond can be one of:
+//   content:   string (or an object, which is sent as json)
+//   toolCalls: list of {name, arguments}
+//   error:     {statusCode, message, type, param, code}
+function buildResponse(respond, scenario) {
+    if (respond.error) {
+        const {statusCode = 400, message = `Scripted error from scenario '${scenario.name}'.`, type, param, code} = respond.error;
+        return {contentOrToolCalls: null, error: apiError(statusCode, message, {type, param, code})};
+    }
+
+    if (respond.toolCalls) {
+        return {
+            contentOrToolCalls: {
+                'tool_calls': respond.toolCalls.map(tc => ({name: tc.name, arguments: tc.arguments ?? {}})),
+                'content': null
+            },
+            error: null
+        };
+    }
+
+    return {
+        contentOrToolCalls: {
+            'tool_calls': null,
+            'content': typeof respond.content === 'string' ? respond.content : JSON.stringify(respond.content)
+        },
+        error: null
+    };
+}
+
+// bad files fail at startup (or reload) instead of while answering
+function validateRespond(respond, where) {
+    if (!respond) {
+        throw new Error(`${where} has no 'respond' section.`);
+    }
+    if (respond.content == null && !respond.toolCalls && !respond.error) {
+        throw new Error(`${where} should respond with 'content', 'toolCalls' or 'error'.`);
+    }
+    if (respond.toolCalls && (!Array.isArray(respond.toolCalls) || respond.toolCalls.some(tc => typeof tc?.name !== 'string'))) {
+        throw new Error(`${where} should have 'toolCalls' as a list of {name, arguments}.`);
+    }
+}
+
+// the conditions with their regexes compiled once
+function compileMatch(match, where) {
+    const compile = (pattern, key) => {
+        try {
+            return toRegex(pattern);
+        } catch (e) {
+            throw new Error(`${where} has an invalid regex in '${key}': ${e.message}`);
+        }
+    };
+
+    return {
+        ...match,
+        roleSequence: match.roleSequence != null && !Array.isArray(match.roleSequence) ? compile(match.roleSequence, 'roleSequence') : match.roleSequence,
+        lastUserMessage: match.lastUserMessage != null ? compile(match.lastUserMessage, 'lastUserMessage') : null,
+        messages: match.messages?.map(m => ({...m, regex: m.regex != null ? compile(m.regex, 'messages') : null})),
+        toolResults: match.toolResults?.map(tr => ({...tr, regex: tr.regex != null ? compile(tr.regex, 'toolResults') : null}))
+    };
+}
+
+// tool messages only carry the call id... the function name comes from the assistant message that made the call
+function getToolResults(messages) {
+    const functionNamesByCallId = {};
+    messages
+        .filter(m => m.role === 'assistant' && Array.isArray(m.tool_calls))
+        .forEach(m => m.tool_calls.forEach(tc => functionNamesByCallId[tc.id] = tc.function?.name));
+
+    return messages
+        .filter(m => m.role === 'tool')
+        .map(m => ({name: functionNamesByCallId[m.tool_call_id] ?? m.name ?? null, content: getText(m)}));
+}
+
+function getText(message) {
+    if (typeof message.content === 'string') {
+        return message.content;
+    }
+    if (Array.isArray(message.content)) {
+        return message.content.filter(item => item.type === 'text').map(item => item.text).join('\n');
+    }
+    return '';
+}
+
+function toRegex(pattern) {
+    return new RegExp(pattern, 'is');
+}
+
+export {
+    init,
+    getScenarioResponse
+};
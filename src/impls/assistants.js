@@ -0,0 +1,562 @@
+import {getRandomString, getTimestampSeconds, paginate} from "../utils.js";
+import {getResponseForChatCompletion} from '../generators/chat.js';
+import {invalidRequestError, notFoundError} from '../errors.js';
+import {countTokens, countChatPromptTokens} from '../tokenizer.js';
+import {DEFAULT_STREAMING_OPTIONS, updateContent, splitIntoChunks} from './chat.js';
+
+// Assistants API: assistants, threads, messages and runs, all kept in memory.
+// Runs are driven by timers: 'queued' for schedule.queuedMs, then 'in_progress' for schedule.inProgressMs, after which the
+// response is generated like for chat completions (sample responses, scenarios, regex tool matching). Tool calls put the
+// run into 'requires_action' until submitToolOutputs, which queues it again... otherwise the assistant message is added
+// to the thread and the run completes.
+// All functions return {data, error}.
+
+const DEFAULT_SCHEDULE = {
+    queuedMs: 200,
+    inProgressMs: 800
+};
+
+const ACTIVE_RUN_STATUSES = ['queued', 'in_progress', 'requires_action', 'cancelling'];
+
+const assistants = new Map();
+const threads = new Map();
+// thread id -> messages / runs, in creation order
+const threadMessages = new Map();
+const threadRuns = new Map();
+// run id -> {encoding, streamingOptions, schedule, timer, toolMessages, listener}
+const runStates = new Map();
+
+// assistants
+
+function createAssistant({model, name, description, instructions, tools, metadata, temperature, top_p, response_format}) {
+    const assistant = {
+        id: `asst_${getRandomString(24)}`,
+        object: 'assistant',
+        created_at: getTimestampSeconds(),
+        name: name ?? null,
+        description: description ?? null,
+        model,
+        instructions: instructions ?? null,
+        tools: tools ?? [],
+        tool_resources: {},
+        metadata: metadata ?? {},
+        temperature: temperature ?? 1,
+        top_p: top_p ?? 1,
+        response_format: response_format ?? 'auto'
+    };
+    assistants.set(assistant.id, assistant);
+
+    return {data: assistant, error: null};
+}
+
+function listAssistants(query) {
+    return {data: paginate([...assistants.values()], query), error: null};
+}
+
+function getAssistant(assistantId) {
+    const assistant = assistants.get(assistantId);
+    return assistant
+        ? {data: assistant, error: null}
+        : {data: null, error: notFoundError(`No assistant found with id '${assistantId}'.`)};
+}
+
+function updateAssistant(assistantId, changes) {
+    const {data: assistant, error} = getAssistant(assistantId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    ['model', 'name', 'description', 'instructions', 'tools', 'metadata', 'temperature', 'top_p', 'response_format']
+        .filter(field => changes[field] !== undefined)
+        .forEach(field => assistant[field] = changes[field]);
+
+    return {data: assistant, error: null};
+}
+
+function deleteAssistant(assistantId) {
+    if (!assistants.delete(assistantId)) {
+        return {data: null, error: notFoundError(`No assistant found with id '${assistantId}'.`)};
+    }
+    return {data: {id: assistantId, object: 'assistant.deleted', deleted: true}, error: null};
+}
+
+// threads
+
+function createThread({messages, metadata} = {}) {
+    const thread = {
+        id: `thread_${getRandomString(24)}`,
+        object: 'thread',
+        created_at: getTimestampSeconds(),
+        metadata: metadata ?? {},
+        tool_resources: {}
+    };
+    threads.set(thread.id, thread);
+    threadMessages.set(thread.id, []);
+    threadRuns.set(thread.id, []);
+
+    for (const message of messages ?? []) {
+        const {error} = createMessage(thread.id, message);
+        if (error) {
+            deleteThread(thread.id);
+            return {data: null, error};
+        }
+    }
+
+    return {data: thread, error: null};
+}
+
+function getThread(threadId) {
+    const thread = threads.get(threadId);
+    return thread
+        ? {data: thread, error: null}
+        : {data: null, error: notFoundError(`No thread found with id '${threadId}'.`)};
+}
+
+function updateThread(threadId, {metadata}) {
+    const {data: thread, error} = getThread(threadId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    if (metadata !== undefined) {
+        thread.metadata = metadata;
+    }
+    return {data: thread, error: null};
+}
+
+function deleteThread(threadId) {
+    if (!threads.delete(threadId)) {
+        return {data: null, error: notFoundError(`No thread found with id '${threadId}'.`)};
+    }
+
+    (threadRuns.get(threadId) ?? []).forEach(run => {
+        clearTimeout(runStates.get(run.id)?.timer);
+        runStates.delete(run.id);
+    });
+    threadMessages.delete(threadId);
+    threadRuns.delete(threadId);
+
+    return {data: {id: threadId, object: 'thread.deleted', deleted: true}, error: null};
+}
+
+// messages
+
+function createMessage(threadId, {role, content, attachments, metadata}, {assistantId = null, runId = null} = {}) {
+    const {error} = getThread(threadId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    if (!['user', 'assistant'].includes(role)) {
+        return {data: null, error: invalidRequestError(`Invalid value for 'role': expected one of 'user' or 'assistant'. Given: ${JSON.stringify(role)}.`, 'role')};
+    }
+
+    const contentParts = toMessageContent(content);
+    if (!contentParts) {
+        return {data: null, error: invalidRequestError(`'content' should be a string or an array of content parts.`, 'content')};
+    }
+
+    // messages generated by a run are added while it is active, of course
+    const activeRun = runId ? null : getActiveRun(threadId);
+    if (activeRun) {
+        return {data: null, error: invalidRequestError(`Can't add messages to ${threadId} while a run ${activeRun.id} is active.`)};
+    }
+
+    const createdAt = getTimestampSeconds();
+    const message = {
+        id: `msg_${getRandomString(24)}`,
+        object: 'thread.message',
+        created_at: createdAt,
+        assistant_id: assistantId,
+        thread_id: threadId,
+        run_id: runId,
+        role,
+        content: contentParts,
+        attachments: attachments ?? [],
+        metadata: metadata ?? {},
+        status: 'completed',
+        incomplete_details: null,
+        completed_at: createdAt,
+        incomplete_at: null
+    };
+    threadMessages.get(threadId).push(message);
+
+    return {data: message, error: null};
+}
+
+function listMessages(threadId, query) {
+    const {error} = getThread(threadId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    const messages = threadMessages.get(threadId).filter(message => !query.run_id || message.run_id === query.run_id);
+    return {data: paginate(messages, query), error: null};
+}
+
+function getMessage(threadId, messageId) {
+    const {error} = getThread(threadId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    const message = threadMessages.get(threadId).find(m => m.id === messageId);
+    return message
+        ? {data: message, error: null}
+        : {data: null, error: notFoundError(`No message found with id '${messageId}'.`)};
+}
+
+function updateMessage(threadId, messageId, {metadata}) {
+    const {data: message, error} = getMessage(threadId, messageId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    if (metadata !== undefined) {
+        message.metadata = metadata;
+    }
+    return {data: message, error: null};
+}
+
+function deleteMessage(threadId, messageId) {
+    const {error} = getMessage(threadId, messageId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    threadMessages.set(threadId, threadMessages.get(threadId).filter(m => m.id !== messageId));
+    return {data: {id: messageId, object: 'thread.message.deleted', deleted: true}, error: null};
+}
+
+// runs
+
+// `onEvent(type, data)` receives the stream events of the run, ending with ('done', '[DONE]') once the run is finished or
+// waits for tool outputs
+function createRun(threadId, assistant, {model, instructions, additional_instructions, additional_messages, tools, tool_choice, parallel_tool_calls, max_completion_tokens, temperature, top_p, metadata}, {encoding, schedule, streamingOptions, onEvent = null}) {
+    const {error} = getThread(threadId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    const activeRun = getActiveRun(threadId);
+    if (activeRun) {
+        return {data: null, error: invalidRequestError(`Thread ${threadId} already has an active run ${activeRun.id}.`)};
+    }
+
+    for (const message of additional_messages ?? []) {
+        const {error: messageError} = createMessage(threadId, message);
+        if (messageError) {
+            return {data: null, error: messageError};
+        }
+    }
+
+    const runInstructions = [instructions ?? assistant.instructions, additional_instructions].filter(Boolean).join('\n\n');
+    const createdAt = getTimestampSeconds();
+
+    const run = {
+        id: `run_${getRandomString(24)}`,
+        object: 'thread.run',
+        created_at: createdAt,
+        assistant_id: assistant.id,
+        thread_id: threadId,
+        status: 'queued',
+        started_at: null,
+        expires_at: createdAt + 600,
+        cancelled_at: null,
+        failed_at: null,
+        completed_at: null,
+        required_action: null,
+        last_error: null,
+        model: model ?? assistant.model,
+        instructions: runInstructions || null,
+        tools: tools ?? assistant.tools,
+        metadata: metadata ?? {},
+        usage: null,
+        temperature: temperature ?? assistant.temperature,
+        top_p: top_p ?? assistant.top_p,
+        max_prompt_tokens: null,
+        max_completion_tokens: max_completion_tokens ?? null,
+        truncation_strategy: {type: 'auto', last_messages: null},
+        incomplete_details: null,
+        response_format: assistant.response_format,
+        tool_choice: tool_choice ?? 'auto',
+        parallel_tool_calls: parallel_tool_calls ?? true
+    };
+    threadRuns.get(threadId).push(run);
+
+    runStates.set(run.id, {
+        encoding,
+        schedule: {...DEFAULT_SCHEDULE, ...schedule},
+        streamingOptions: {...DEFAULT_STREAMING_OPTIONS, ...streamingOptions, encoding},
+        timer: null,
+        toolMessages: [],
+        listener: onEvent
+    });
+
+    emit(run, 'thread.run.created', run);
+    queueRun(run);
+
+    return {data: run, error: null};
+}
+
+function listRuns(threadId, query) {
+    const {error} = getThread(threadId);
+    if (error) {
+        return {data: null, error};
+    }
+    return {data: paginate(threadRuns.get(threadId), query), error: null};
+}
+
+function getRun(threadId, runId) {
+    const {error} = getThread(threadId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    const run = threadRuns.get(threadId).find(r => r.id === runId);
+    return run
+        ? {data: run, error: null}
+        : {data: null, error: notFoundError(`No run found with id '${runId}'.`)};
+}
+
+function updateRun(threadId, runId, {metadata}) {
+    const {data: run, error} = getRun(threadId, runId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    if (metadata !== undefined) {
+        run.metadata = metadata;
+    }
+    return {data: run, error: null};
+}
+
+function cancelRun(threadId, runId) {
+    const {data: run, error} = getRun(threadId, runId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    if (!['queued', 'in_progress', 'requires_action'].includes(run.status)) {
+        return {data: null, error: invalidRequestError(`Cannot cancel run with status '${run.status}'.`)};
+    }
+
+    const state = runStates.get(run.id);
+    clearTimeout(state.timer);
+
+    setStatus(run, 'cancelling');
+    state.timer = setTimeout(() => {
+        run.cancelled_at = getTimestampSeconds();
+        run.required_action = null;
+        setStatus(run, 'cancelled');
+        endStream(run);
+    }, 0);
+
+    return {data: run, error: null};
+}
+
+function submitToolOutputs(threadId, runId, toolOutputs, {onEvent = null} = {}) {
+    const {data: run, error} = getRun(threadId, runId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    if (run.status !== 'requires_action') {
+        return {data: null, error: invalidRequestError(`Runs in status "${run.status}" do not accept tool outputs.`)};
+    }
+
+    const toolCalls = run.required_action.submit_tool_outputs.tool_calls;
+    const missing = toolCalls.filter(tc => !(toolOutputs ?? []).some(output => output.tool_call_id === tc.id));
+    if (missing.length > 0) {
+        return {data: null, error: invalidRequestError(`Expected tool outputs for call_ids ${JSON.stringify(toolCalls.map(tc => tc.id))}, got ${JSON.stringify((toolOutputs ?? []).map(output => output.tool_call_id))}.`, 'tool_outputs')};
+    }
+
+    const state = runStates.get(run.id);
+    state.listener = onEvent;
+    state.toolMessages.push(
+        {role: 'assistant', content: null, tool_calls: toolCalls},
+        ...toolOutputs.map(output => ({role: 'tool', tool_call_id: output.tool_call_id, content: output.output ?? ''}))
+    );
+
+    run.required_action = null;
+    queueRun(run);
+
+    return {data: run, error: null};
+}
+
+// run lifecycle
+
+function queueRun(run) {
+    const state = runStates.get(run.id);
+
+    setStatus(run, 'queued');
+    state.timer = setTimeout(() => {
+        run.started_at = run.started_at ?? getTimestampSeconds();
+        setStatus(run, 'in_progress');
+        state.timer = setTimeout(() => finishStep(run), state.schedule.inProgressMs);
+    }, state.schedule.queuedMs);
+}
+
+// runs from a timer... a throw fails the run instead of the process
+function finishStep(run) {
+    const state = runStates.get(run.id);
+    if (!state || run.status !== 'in_progress') {
+        return;
+    }
+
+    try {
+        generateStep(run, state);
+    } catch (err) {
+        console.error(`[assistants] ${run.id}`, err);
+        failRun(run, 'The server had an error while processing your request. Sorry about that!');
+    }
+}
+
+function generateStep(run, state) {
+    const messages = [
+        ...(run.instructions ? [{role: 'system', content: run.instructions}] : []),
+        ...threadMessages.get(run.thread_id).map(m => ({role: m.role, content: m.content.map(part => part.text?.value ?? '').join('\n')})),
+        ...state.toolMessages
+    ];
+    const tools = run.tools.filter(tool => tool.type === 'function');
+
+    const {contentOrToolCalls, error} = getResponseForChatCompletion({
+        model: run.model,
+        messages,
+        tools,
+        toolChoice: tools.length > 0 ? run.tool_choice : 'none',
+        parallelToolCalls: run.parallel_tool_calls
+    });
+
+    if (error) {
+        return failRun(run, error.error.message);
+    }
+
+    const promptTokens = countChatPromptTokens(messages, tools, state.encoding);
+
+    if (contentOrToolCalls.tool_calls && contentOrToolCalls.tool_calls.length > 0) {
+        const toolCalls = contentOrToolCalls.tool_calls.map(tc => ({
+            id: `call_${getRandomString(24)}`,
+            type: 'function',
+            function: {name: tc.name, arguments: JSON.stringify(tc.arguments)}
+        }));
+
+        addUsage(run, promptTokens, toolCalls.reduce((sum, tc) => sum + countTokens(tc.function.name, state.encoding) + countTokens(tc.function.arguments, state.encoding), 0));
+        run.required_action = {type: 'submit_tool_outputs', submit_tool_outputs: {tool_calls: toolCalls}};
+        setStatus(run, 'requires_action');
+        return endStream(run);
+    }
+
+    const original = contentOrToolCalls.content;
+    const text = updateContent(original, [], run.max_completion_tokens, 0, 0, false, state.encoding);
+    const isTruncated = run.max_completion_tokens && countTokens(original, state.encoding) > run.max_completion_tokens;
+
+    addUsage(run, promptTokens, countTokens(text, state.encoding));
+    addAssistantMessage(run, text);
+
+    if (isTruncated) {
+        run.incomplete_details = {reason: 'max_completion_tokens'};
+        setStatus(run, 'incomplete');
+    } else {
+        run.completed_at = getTimestampSeconds();
+        setStatus(run, 'completed');
+    }
+    endStream(run);
+}
+
+function failRun(run, message) {
+    run.failed_at = getTimestampSeconds();
+    run.last_error = {code: 'server_error', message};
+    setStatus(run, 'failed');
+    endStream(run);
+}
+
+// the message is streamed as created -> in_progress -> deltas -> completed
+function addAssistantMessage(run, text) {
+    const state = runStates.get(run.id);
+    const {data: message} = createMessage(run.thread_id, {role: 'assistant', content: text}, {assistantId: run.assistant_id, runId: run.id});
+
+    if (!state.listener) {
+        return;
+    }
+
+    const empty = {...message, status: 'in_progress', content: [], completed_at: null};
+    emit(run, 'thread.message.created', empty);
+    emit(run, 'thread.message.in_progress', empty);
+    splitIntoChunks(text, state.streamingOptions).forEach(chunk => {
+        emit(run, 'thread.message.delta', {
+            id: message.id,
+            object: 'thread.message.delta',
+            delta: {content: [{index: 0, type: 'text', text: {value: chunk, annotations: []}}]}
+        });
+    });
+    emit(run, 'thread.message.completed', message);
+}
+
+function addUsage(run, promptTokens, completionTokens) {
+    const usage = run.usage ?? {prompt_tokens: 0, completion_tokens: 0, total_tokens: 0};
+    run.usage = {
+        prompt_tokens: usage.prompt_tokens + promptTokens,
+        completion_tokens: usage.completion_tokens + completionTokens,
+        total_tokens: usage.total_tokens + promptTokens + completionTokens
+    };
+}
+
+function setStatus(run, status) {
+    run.status = status;
+    emit(run, `thread.run.${status}`, run);
+}
+
+function emit(run, type, data) {
+    const listener = runStates.get(run.id)?.listener;
+    if (listener) {
+        listener(type, data);
+    }
+}
+
+function endStream(run) {
+    const state = runStates.get(run.id);
+    emit(run, 'done', '[DONE]');
+    state.listener = null;
+}
+
+function getActiveRun(threadId) {
+    return (threadRuns.get(threadId) ?? []).find(run => ACTIVE_RUN_STATUSES.includes(run.status)) ?? null;
+}
+
+// helpers
+
+function toMessageContent(content) {
+    if (typeof content === 'string') {
+        return [{type: 'text', text: {value: content, annotations: []}}];
+    }
+    if (Array.isArray(content) && content.length > 0) {
+        return content.map(part => part.type === 'text' && typeof part.text === 'string'
+            ? {type: 'text', text: {value: part.text, annotations: []}}
+            : part);
+    }
+    return null;
+}
+
+export {
+    createAssistant,
+    listAssistants,
+    getAssistant,
+    updateAssistant,
+    deleteAssistant,
+    createThread,
+    getThread,
+    updateThread,
+    deleteThread,
+    createMessage,
+    listMessages,
+    getMessage,
+    updateMessage,
+    deleteMessage,
+    createRun,
+    listRuns,
+    getRun,
+    updateRun,
+    cancelRun,
+    submitToolOutputs
+};
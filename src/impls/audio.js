@@ -7,6 +7,7 @@ import seedrandom from 'seedrandom';
 import {fileURLToPath} from "url";
 import crypto from "crypto";
 import {repeatText, generateTokens} from '../utils.js';
+import {random} from '../determinism.js';
 import {getResponseForAudioGeneration, getTranscription, getTranslation} from '../generators/audio.js';
 
 const TOKENS_PER_SEGMENT = 14;
@@ -122,9 +123,9 @@ function textToSegmentTimeStamps(text, language = "english", totalDuration = 10)
             text: segment.trim(),
             tokens: tokens,
             temperature: 0.0, // Mocked value
-            avg_logprob: -0.28 + Math.random() * 0.02, // Mocked value
-            compression_ratio: 1.23 + Math.random() * 0.02, // Mocked value
-            no_speech_prob: Math.random() * 0.01, // Mocked value
+            avg_logprob: -0.28 + random() * 0.02, // Mocked value
+            compression_ratio: 1.23 + random() * 0.02, // Mocked value
+            no_speech_prob: random() * 0.01, // Mocked value
         };
     });
 }
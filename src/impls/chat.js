@@ -1,11 +1,30 @@
 import {fileURLToPath} from "url";
 import path from "path";
-import {getId, getRandomString, getTimestampSeconds, sleep} from "../utils.js";
+import {getId, getRandomString, getTimestampSeconds, getRandomDivisibleBy, sleep} from "../utils.js";
 import {getResponseForChatCompletion} from '../generators/chat.js';
+import {getLogprobsForContent} from '../generators/logprobs.js';
+import {invalidRequestError} from '../errors.js';
+import {countTokens, truncateToTokens, countChatPromptTokens, splitIntoTokenStrings} from '../tokenizer.js';
+import {random, getSystemFingerprint} from '../determinism.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const DEFAULT_STREAMING_OPTIONS = {
+    chunkBy: 'word',
+    chunkSize: 1,
+    timeToFirstTokenMs: 0,
+    interChunkDelayMs: 0,
+    tokensPerSecond: 0,
+    interleaveToolCalls: false
+};
+
+// 'token' chunks come from the model's tokenizer instead
+const CHUNK_PATTERNS = {
+    character: /[\s\S]/gu,
+    word: /\s*\S+|\s+$/g
+};
+
 function applyStopSequences(content, stopSequences) {
     return stopSequences == null
         ? content
@@ -29,7 +48,7 @@ function applyFrequencyPenalty(input, frequencyPenalty = 0) {
         wordFrequency[lowerWord] = (wordFrequency[lowerWord] || 0) + 1;
 
         const penalty = frequencyPenalty * (wordFrequency[lowerWord] - 1);
-        const keepWord = Math.random() > Math.min(1, Math.max(0, penalty)); // Randomly keep/discard
+        const keepWord = random() > Math.min(1, Math.max(0, penalty)); // Randomly keep/discard
 
         if (keepWord || frequencyPenalty <= 0) {
             adjustedWords.push(word);
@@ -62,85 +81,72 @@ function applyPresencePenalty(input, presencePenalty = 0) {
     return penalizedContent.filter(word => word !== "").join(" ");
 }
 
-function updateContent(content, stopSequences, maxTokens, frequencyPenalty, presencePenalty) {
+// penalties drop words, which would break json output... so they are skipped for it
+function updateContent(content, stopSequences, maxTokens, frequencyPenalty, presencePenalty, isJsonOutput = false, encoding = null) {
     let updatedContent = content;
 
-    if(maxTokens) updatedContent = content.slice(0, maxTokens);
+    if(maxTokens) updatedContent = truncateToTokens(content, maxTokens, encoding);
     updatedContent = applyStopSequences(updatedContent, stopSequences);
-    updatedContent = applyFrequencyPenalty(updatedContent, frequencyPenalty);
-    updatedContent = applyPresencePenalty(updatedContent, presencePenalty);
+    if(!isJsonOutput) {
+        updatedContent = applyFrequencyPenalty(updatedContent, frequencyPenalty);
+        updatedContent = applyPresencePenalty(updatedContent, presencePenalty);
+    }
 
     return updatedContent;
 }
 
-function getPromptLength(messages) {
-    if(!messages || !Array.isArray(messages)) return 0;
-
-    let totalLength = 0;
-
-    messages.forEach(message => {
-        if (Array.isArray(message.content)) {
-            message.content.forEach(item => {
-                if (item.type === "text" && typeof item.text === "string") {
-                    totalLength += item.text.length;
-                }
-            });
-        } else if (typeof message.content === "string") {
-            totalLength += message.content.length;
-        }
-    });
-
-    return totalLength;
+function getPromptTokens(messages, tools, encoding) {
+    return countChatPromptTokens(messages, tools, encoding);
 }
 
-function processContentOrToolCalls(contentOrToolCalls, stopSequences, maxTokens, frequencyPenalty, presencePenalty) {
+function processContentOrToolCalls(contentOrToolCalls, stopSequences, maxTokens, frequencyPenalty, presencePenalty, isJsonOutput, encoding) {
     let finishReason = 'stop';
     let completionTokens = 0;
-    let errorCode = null;
-    let errorMessage = null;
+    let error = null;
 
     if(('tool_calls' in contentOrToolCalls) && contentOrToolCalls['tool_calls'] != null && contentOrToolCalls['tool_calls'].length > 0) {
-        const allArgs = contentOrToolCalls['tool_calls'].map(tc => tc.arguments);
-        if(JSON.stringify(allArgs).length > maxTokens) {
-            errorCode = 400;
-            errorMessage = 'Could not finish the message because max_tokens was reached. Please try again with higher max_tokens.';
+        const argumentsTokens = contentOrToolCalls['tool_calls']
+            .map(tc => countTokens(tc.name, encoding) + countTokens(JSON.stringify(tc.arguments), encoding))
+            .reduce((a, b) => a + b, 0);
+        if(maxTokens && argumentsTokens > maxTokens) {
+            error = invalidRequestError('Could not finish the message because max_tokens was reached. Please try again with higher max_tokens.', 'max_tokens');
         } else {
-            completionTokens += JSON.stringify(allArgs).length;
+            completionTokens += argumentsTokens;
             finishReason = 'tool_calls';
         }
     } else {
-        let contentBefore = contentOrToolCalls['content'];
+        const isTruncated = maxTokens && countTokens(contentOrToolCalls['content'], encoding) > maxTokens;
 
-        contentOrToolCalls['content'] = updateContent(contentOrToolCalls['content'], stopSequences, maxTokens, frequencyPenalty, presencePenalty)
-        completionTokens += contentOrToolCalls['content'].length;
+        contentOrToolCalls['content'] = updateContent(contentOrToolCalls['content'], stopSequences, maxTokens, frequencyPenalty, presencePenalty, isJsonOutput, encoding)
+        completionTokens += countTokens(contentOrToolCalls['content'], encoding);
 
-        finishReason = contentBefore.length != contentOrToolCalls['content'].length ? 'length' : 'stop';
+        finishReason = isTruncated ? 'length' : 'stop';
     }
 
     return {
-        contentOrToolCalls, finishReason, completionTokens, errorCode, errorMessage
+        contentOrToolCalls, finishReason, completionTokens, error
     }
 }
 
-function oneShotResponse({ model, messages, tools, toolChoice, maxTokens, numGenerations, temperature, stopSequences, frequencyPenalty, presencePenalty, isJsonOutput, givenJsonSchema, onData, onError }) {
-    const promptTokens = getPromptLength(messages) + (tools ? JSON.stringify(tools).length : 0);
+function oneShotResponse({ model, encoding, messages, tools, toolChoice, parallelToolCalls, maxTokens, logprobs, topLogprobs, numGenerations, temperature, stopSequences, frequencyPenalty, presencePenalty, isJsonOutput, givenJsonSchema, onData, onError }) {
+    const promptTokens = getPromptTokens(messages, tools, encoding);
 
     let completionTokens = 0;
 
     let choices = [];
     for(let i = 0; i < numGenerations; i++) {
-        let {contentOrToolCalls: contentOrToolCallsOriginal, errorCode, errorMessage} = getResponseForChatCompletion(messages, tools, toolChoice, isJsonOutput);
-        if(errorCode) {
-            return onError(errorCode, errorMessage);
+        let {contentOrToolCalls: contentOrToolCallsOriginal, error} = getResponseForChatCompletion({model, messages, tools, toolChoice, returnJsonFormattedStrings: isJsonOutput, jsonSchema: givenJsonSchema, parallelToolCalls});
+        if(error) {
+            return onError(error);
         }
 
-        let {contentOrToolCalls, finishReason, completionTokens: completionTokensUpdated, errorCode: errorCode2, errorMessage: errorMessage2}
-            = processContentOrToolCalls(contentOrToolCallsOriginal, stopSequences, maxTokens, frequencyPenalty, presencePenalty);
-        if(errorCode2) {
-            return onError(errorCode2, errorMessage2);
+        let {contentOrToolCalls, finishReason, completionTokens: completionTokensUpdated, error: error2}
+            = processContentOrToolCalls(contentOrToolCallsOriginal, stopSequences, maxTokens, frequencyPenalty, presencePenalty, isJsonOutput, encoding);
+        if(error2) {
+            return onError(error2);
         }
 
-        completionTokens = completionTokensUpdated;
+        completionTokens += completionTokensUpdated;
 
         let isToolResponse = ('tool_calls' in contentOrToolCalls) && contentOrToolCalls['tool_calls'] != null && contentOrToolCalls['tool_calls'].length > 0;
 
@@ -151,7 +157,7 @@ function oneShotResponse({ model, messages, tools, toolChoice, maxTokens, numGen
                 content: isToolResponse ? null : contentOrToolCalls['content'],
                 tool_calls: isToolResponse ? contentOrToolCalls['tool_calls'].map((tc, idx) => ({
                     index: idx,
-                    id: `call_${getRandomString(24)}`,
+                    id: getToolCallId(),
                     type: 'function',
                     'function': {
                         name: tc.name,
@@ -159,6 +165,10 @@ function oneShotResponse({ model, messages, tools, toolChoice, maxTokens, numGen
                     }
                 })) : null
             },
+            logprobs: logprobs ? {
+                content: isToolResponse ? null : getLogprobsForContent(contentOrToolCalls['content'], encoding, topLogprobs),
+                refusal: null
+            } : null,
             finish_reason: finishReason,
         });
     }
@@ -168,6 +178,7 @@ function oneShotResponse({ model, messages, tools, toolChoice, maxTokens, numGen
         object: 'chat.completion',
         created: getTimestampSeconds(),
         model,
+        system_fingerprint: getSystemFingerprint(model),
         choices,
         usage: {
             prompt_tokens: promptTokens,
@@ -184,106 +195,211 @@ function oneShotResponse({ model, messages, tools, toolChoice, maxTokens, numGen
     });
 }
 
-function streamResponse({ model, messages, tools, toolChoice, maxTokens, temperature, stopSequences, frequencyPenalty, presencePenalty, addExtraUsageOnlyChunk, isJsonOutput, givenJsonSchema, onChunk, onCompletion, onError }) {
-    const promptTokens = getPromptLength(messages) + (tools ? JSON.stringify(tools).length : 0);
+function streamResponse({ model, encoding, messages, tools, toolChoice, parallelToolCalls, maxTokens, logprobs, topLogprobs, temperature, stopSequences, frequencyPenalty, presencePenalty, addExtraUsageOnlyChunk, isJsonOutput, givenJsonSchema, streamingOptions, isCancelled, onChunk, onCompletion, onError }) {
+    const promptTokens = getPromptTokens(messages, tools, encoding);
 
     const id = getId();
+    const created = getTimestampSeconds();
     let completionTokens = 0;
 
-    let {contentOrToolCalls: contentOrToolCallsOriginal, errorCode, errorMessage} = getResponseForChatCompletion(messages, tools, toolChoice, isJsonOutput);
-    if(errorCode) {
-        return onError(errorCode, errorMessage);
+    let {contentOrToolCalls: contentOrToolCallsOriginal, error} = getResponseForChatCompletion({model, messages, tools, toolChoice, returnJsonFormattedStrings: isJsonOutput, jsonSchema: givenJsonSchema, parallelToolCalls});
+    if(error) {
+        return onError(error);
     }
 
-    let {contentOrToolCalls, finishReason, completionTokens: completionTokensUpdated, errorCode: errorCode2, errorMessage: errorMessage2}
-        = processContentOrToolCalls(contentOrToolCallsOriginal, stopSequences, maxTokens, frequencyPenalty, presencePenalty);
-    if(errorCode2) {
-        return onError(errorCode2, errorMessage2);
+    let {contentOrToolCalls, finishReason, completionTokens: completionTokensUpdated, error: error2}
+        = processContentOrToolCalls(contentOrToolCallsOriginal, stopSequences, maxTokens, frequencyPenalty, presencePenalty, isJsonOutput, encoding);
+    if(error2) {
+        return onError(error2);
     }
 
     completionTokens = completionTokensUpdated;
 
-    let areTheseToolChunks = false;
-    let chunks = [];
+    const options = {...DEFAULT_STREAMING_OPTIONS, ...streamingOptions, encoding};
+
+    // first delta only carries the role, last one only the finish_reason
+    let deltas = [];
+    let deltaLogprobs = [];
     if(('tool_calls' in contentOrToolCalls) && contentOrToolCalls['tool_calls'] != null && contentOrToolCalls['tool_calls'].length > 0) {
-        areTheseToolChunks = true;
-
-        const toolCallId =`call_${getRandomString(24)}`;
-
-        for(let idx = 0; idx < contentOrToolCalls['tool_calls'].length; idx++) {
-            const tc = contentOrToolCalls['tool_calls'][idx];
-            const argumentStringChunk = JSON.stringify(tc.arguments);
-
-            chunks.push({
-                index: idx,
-                id: toolCallId,
-                type: 'function',
-                function: {
-                    name: tc.name,
-                    arguments: argumentStringChunk
-                }
-            });
-        }
+        deltas.push({role: 'assistant', content: null, refusal: null});
+        deltas.push(...buildToolCallDeltas(contentOrToolCalls['tool_calls'], options));
     } else {
-        areTheseToolChunks = false;
-        chunks = [contentOrToolCalls['content']];
+        deltas.push({role: 'assistant', content: '', refusal: null});
+        const chunks = splitIntoChunks(contentOrToolCalls['content'], options);
+        chunks.forEach(chunk => deltas.push({content: chunk}));
+        if (logprobs) {
+            deltaLogprobs = [null, ...assignLogprobsToChunks(chunks, getLogprobsForContent(contentOrToolCalls['content'], encoding, topLogprobs))];
+        }
     }
+    deltas.push({});
+
+    const usage = addExtraUsageOnlyChunk ? {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        prompt_tokens_details: { cached_tokens: 0, audio_tokens: 0 },
+        completion_tokens_details: {
+            reasoning_tokens: 0,
+            audio_tokens: 0,
+            accepted_prediction_tokens: 0,
+            rejected_prediction_tokens: 0
+        }
+    } : null;
 
-    let chunkIndex = 0;
+    let deltaIndex = 0;
 
     const sendData = () => {
-        if (chunkIndex >= chunks.length) {
-            onCompletion();
+        if (isCancelled && isCancelled()) {
             return;
         }
 
-        onChunk(buildResponsePart(model, id, chunks, chunkIndex, areTheseToolChunks, finishReason, null));
-
-        if(addExtraUsageOnlyChunk && chunkIndex === (chunks.length - 1)) {
-            onChunk(buildResponsePart(model, id, chunks, -1, areTheseToolChunks, finishReason, {
-                prompt_tokens: promptTokens,
-                completion_tokens: completionTokens,
-                total_tokens: promptTokens + completionTokens,
-                prompt_tokens_details: { cached_tokens: 0, audio_tokens: 0 },
-                completion_tokens_details: {
-                    reasoning_tokens: 0,
-                    audio_tokens: 0,
-                    accepted_prediction_tokens: 0,
-                    rejected_prediction_tokens: 0
-                }
-            }));
+        if (deltaIndex >= deltas.length) {
+            if (usage) {
+                onChunk(buildResponsePart(model, id, created, null, null, usage));
+            }
+            onCompletion();
+            return;
         }
 
-        chunkIndex++;
-        setImmediate(sendData);
+        const isLastDelta = deltaIndex === deltas.length - 1;
+        const chunkLogprobs = deltaLogprobs[deltaIndex] ? {content: deltaLogprobs[deltaIndex], refusal: null} : null;
+        onChunk(buildResponsePart(model, id, created, deltas[deltaIndex], isLastDelta ? finishReason : null, null, chunkLogprobs));
+
+        deltaIndex++;
+
+        const delta = deltas[deltaIndex - 1];
+        const delayMs = deltaIndex === 1 ? 0 : getChunkDelayMs(delta.content ?? delta.tool_calls?.[0].function.arguments, options);
+        if (delayMs > 0) {
+            setTimeout(sendData, delayMs);
+        } else {
+            setImmediate(sendData);
+        }
     };
 
-    sendData();
+    const timeToFirstTokenMs = getDelayMs(options.timeToFirstTokenMs);
+    if (timeToFirstTokenMs > 0) {
+        setTimeout(sendData, timeToFirstTokenMs);
+    } else {
+        sendData();
+    }
 }
 
-// index = -1 represents extra usage-only chunk. 'choices' field should be sent empty in this case.
-function buildResponsePart(model, id, chunks, chunkIndex, areTheseToolChunks, finishReason, usage) {
+// Each call gets its own id. The first delta of a call carries its id and name with empty arguments, the following ones
+// only carry argument fragments for that call's index. With 'interleaveToolCalls', fragments of parallel calls are sent
+// round-robin instead of one call after the other.
+function buildToolCallDeltas(toolCalls, options) {
+    // json has hardly any whitespace, so word chunking would send most arguments in one piece
+    const argumentOptions = {...options, chunkBy: options.chunkBy === 'character' ? 'character' : 'token'};
+
+    const perCallDeltas = toolCalls.map((tc, idx) => [
+        {index: idx, id: getToolCallId(), type: 'function', function: {name: tc.name, arguments: ''}},
+        ...splitIntoChunks(JSON.stringify(tc.arguments), argumentOptions).map(fragment => ({index: idx, function: {arguments: fragment}}))
+    ]);
+
+    const ordered = [];
+    if (options.interleaveToolCalls) {
+        const longest = Math.max(...perCallDeltas.map(d => d.length));
+        for (let i = 0; i < longest; i++) {
+            perCallDeltas.forEach(d => {
+                if (i < d.length) ordered.push(d[i]);
+            });
+        }
+    } else {
+        perCallDeltas.forEach(d => ordered.push(...d));
+    }
+
+    return ordered.map(toolCallDelta => ({tool_calls: [toolCallDelta]}));
+}
+
+function getToolCallId() {
+    return `call_${getRandomString(24)}`;
+}
+
+// delta = null represents extra usage-only chunk. 'choices' field should be sent empty in this case.
+function buildResponsePart(model, id, created, delta, finishReason, usage, logprobs = null) {
     return {
         id: id,
         object: 'chat.completion.chunk',
-        created: getTimestampSeconds(),
+        created: created,
         model: model,
-        choices: chunkIndex === -1 ? [] : [
+        system_fingerprint: getSystemFingerprint(model),
+        choices: delta === null ? [] : [
             {
                 index: 0,   // this is message index... same for all chunks corresponding to a single message response stream... increments according to 'n'(`numGenerations`)... not applicable to stream mode though
-                delta: {
-                    role: "assistant",
-                    content: areTheseToolChunks ? null : chunks[chunkIndex] + " ",
-                    tool_calls: areTheseToolChunks ? [chunks[chunkIndex]] : null
-                },
-                finish_reason: chunkIndex === chunks.length - 1 ? finishReason : null
+                delta,
+                logprobs,
+                finish_reason: finishReason
             }
         ],
         usage
     };
 }
 
+// Splits content into the pieces that are sent as individual deltas. Pieces keep their leading whitespace, like real
+// streams do, so that joining them gives back the original content.
+function splitIntoChunks(content, {chunkBy, chunkSize, encoding}) {
+    if (!content) {
+        return [];
+    }
+
+    const pieces = chunkBy === 'token'
+        ? splitIntoTokenStrings(content, encoding)
+        : content.match(CHUNK_PATTERNS[chunkBy] ?? CHUNK_PATTERNS.word) ?? [content];
+    const [minSize, maxSize] = Array.isArray(chunkSize) ? chunkSize : [chunkSize, chunkSize];
+
+    const chunks = [];
+    let idx = 0;
+    while (idx < pieces.length) {
+        const size = Math.max(1, getRandomDivisibleBy(minSize, maxSize, 1));
+        chunks.push(pieces.slice(idx, idx + size).join(''));
+        idx += size;
+    }
+
+    return chunks;
+}
+
+// Chunks don't necessarily end on token boundaries... a token goes with the chunk its last character is in
+function assignLogprobsToChunks(chunks, logprobEntries) {
+    const perChunk = chunks.map(() => []);
+    let chunkIdx = 0;
+    let chunkEnd = chunks.length > 0 ? chunks[0].length : 0;
+    let tokenEnd = 0;
+
+    logprobEntries.forEach(entry => {
+        tokenEnd += entry.token.length;
+        while (tokenEnd > chunkEnd && chunkIdx < chunks.length - 1) {
+            chunkIdx++;
+            chunkEnd += chunks[chunkIdx].length;
+        }
+        perChunk[chunkIdx].push(entry);
+    });
+
+    return perChunk;
+}
+
+// `delay` is either a fixed number of ms or a [min, max] range
+function getDelayMs(delay) {
+    if (Array.isArray(delay)) {
+        return getRandomDivisibleBy(delay[0], delay[1], 1);
+    }
+    return delay || 0;
+}
+
+// wait after sending a chunk: interChunkDelayMs, plus the time its tokens take at `tokensPerSecond` (fixed or a range)
+function getChunkDelayMs(chunk, options) {
+    const tokensPerSecond = getDelayMs(options.tokensPerSecond);
+    const generationMs = tokensPerSecond > 0 ? countTokens(chunk, options.encoding) * 1000 / tokensPerSecond : 0;
+    return getDelayMs(options.interChunkDelayMs) + generationMs;
+}
+
 export {
+    DEFAULT_STREAMING_OPTIONS,
     oneShotResponse,
-    streamResponse
+    streamResponse,
+    getPromptTokens,
+    updateContent,
+    splitIntoChunks,
+    assignLogprobsToChunks,
+    getDelayMs,
+    getChunkDelayMs
 }
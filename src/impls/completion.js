@@ -0,0 +1,232 @@
+import {getId, getTimestampSeconds} from "../utils.js";
+import {getResponseForTextCompletion} from '../generators/chat.js';
+import {getLogprobsForContent} from '../generators/logprobs.js';
+import {DEFAULT_STREAMING_OPTIONS, updateContent, splitIntoChunks, assignLogprobsToChunks, getDelayMs, getChunkDelayMs} from './chat.js';
+import {countTokens, decode} from '../tokenizer.js';
+import {getSystemFingerprint} from '../determinism.js';
+
+// Legacy text completions (/v1/completions). Same sample responses and stop/max_tokens/penalty pipeline as chat, but
+// with the old response shape: choices carry `text`, and `logprobs` holds parallel arrays instead of per-token objects.
+
+// `prompt` can be a string, an array of strings, an array of tokens or an array of token arrays... returns one text per
+// prompt, or null if the shape isn't one of these
+function getPromptTexts(prompt, encoding) {
+    const isTokenArray = (value) => Array.isArray(value) && value.length > 0 && value.every(token => Number.isInteger(token) && token >= 0);
+
+    if (typeof prompt === 'string') {
+        return [prompt];
+    }
+    if (isTokenArray(prompt)) {
+        return [decode(prompt, encoding)];
+    }
+    if (Array.isArray(prompt) && prompt.length > 0) {
+        if (prompt.every(item => typeof item === 'string')) {
+            return prompt;
+        }
+        if (prompt.every(isTokenArray)) {
+            return prompt.map(tokens => decode(tokens, encoding));
+        }
+    }
+    return null;
+}
+
+function getCompletionPromptTokens(promptTexts, suffix, encoding) {
+    return promptTexts
+        .map(promptText => countTokens(promptText, encoding) + countTokens(suffix, encoding))
+        .reduce((a, b) => a + b, 0);
+}
+
+function oneShotResponse({ model, encoding, promptTexts, suffix, echo, bestOf, numGenerations, logprobs, maxTokens, stopSequences, frequencyPenalty, presencePenalty, onData }) {
+    const promptTokens = getCompletionPromptTokens(promptTexts, suffix, encoding);
+    let completionTokens = 0;
+
+    const choices = [];
+    promptTexts.forEach((promptText, promptIdx) => {
+        // best_of candidates are all generated (and billed), the n with the highest mean logprob are returned
+        const candidates = Array.from({length: Math.max(bestOf, numGenerations)}, () => generateCompletion(promptText, encoding, maxTokens, stopSequences, frequencyPenalty, presencePenalty));
+        completionTokens += candidates.reduce((sum, candidate) => sum + candidate.completionTokens, 0);
+
+        const selected = bestOf > numGenerations
+            ? [...candidates].sort((a, b) => getMeanLogprob(b.text, encoding) - getMeanLogprob(a.text, encoding)).slice(0, numGenerations)
+            : candidates;
+
+        selected.forEach((candidate, i) => {
+            choices.push({
+                text: echo ? promptText + candidate.text : candidate.text,
+                index: promptIdx * numGenerations + i,
+                logprobs: logprobs != null ? buildLogprobs(promptText, candidate.text, echo, encoding, logprobs) : null,
+                finish_reason: candidate.finishReason
+            });
+        });
+    });
+
+    onData({
+        id: getId(),
+        object: 'text_completion',
+        created: getTimestampSeconds(),
+        model,
+        system_fingerprint: getSystemFingerprint(model),
+        choices,
+        usage: {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+        }
+    });
+}
+
+// Choices are streamed one after the other, each as its text chunks followed by an empty chunk carrying the finish_reason.
+function streamResponse({ model, encoding, promptTexts, suffix, echo, numGenerations, logprobs, maxTokens, stopSequences, frequencyPenalty, presencePenalty, addExtraUsageOnlyChunk, streamingOptions, isCancelled, onChunk, onCompletion }) {
+    const promptTokens = getCompletionPromptTokens(promptTexts, suffix, encoding);
+    const id = getId();
+    const created = getTimestampSeconds();
+    const options = {...DEFAULT_STREAMING_OPTIONS, ...streamingOptions, encoding};
+    let completionTokens = 0;
+
+    const parts = [];
+    promptTexts.forEach((promptText, promptIdx) => {
+        for (let i = 0; i < numGenerations; i++) {
+            const index = promptIdx * numGenerations + i;
+            const {text, finishReason, completionTokens: tokens} = generateCompletion(promptText, encoding, maxTokens, stopSequences, frequencyPenalty, presencePenalty);
+            completionTokens += tokens;
+
+            // with echo, the prompt goes out as the first chunk
+            if (echo) {
+                parts.push({
+                    text: promptText,
+                    index,
+                    logprobs: logprobs != null ? toLegacyLogprobs(getLogprobsForContent(promptText, encoding, logprobs), 0, true) : null,
+                    finish_reason: null
+                });
+            }
+
+            // logprobs are computed over the whole text (same as non-streaming) and handed out per chunk
+            const chunks = splitIntoChunks(text, options);
+            const chunkEntries = logprobs != null ? assignLogprobsToChunks(chunks, getLogprobsForContent(text, encoding, logprobs)) : [];
+            let textOffset = promptText.length;
+
+            chunks.forEach((chunk, chunkIdx) => {
+                parts.push({
+                    text: chunk,
+                    index,
+                    logprobs: logprobs != null ? toLegacyLogprobs(chunkEntries[chunkIdx], textOffset, false) : null,
+                    finish_reason: null
+                });
+                textOffset += chunkEntries[chunkIdx]?.reduce((length, entry) => length + entry.token.length, 0) ?? chunk.length;
+            });
+            parts.push({text: '', index, logprobs: null, finish_reason: finishReason});
+        }
+    });
+
+    const usage = addExtraUsageOnlyChunk ? {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+    } : null;
+
+    let partIndex = 0;
+
+    const sendData = () => {
+        if (isCancelled && isCancelled()) {
+            return;
+        }
+
+        if (partIndex >= parts.length) {
+            if (usage) {
+                onChunk(buildResponsePart(model, id, created, null, usage));
+            }
+            onCompletion();
+            return;
+        }
+
+        onChunk(buildResponsePart(model, id, created, parts[partIndex], null));
+        partIndex++;
+
+        const delayMs = getChunkDelayMs(parts[partIndex - 1].text, options);
+        if (delayMs > 0) {
+            setTimeout(sendData, delayMs);
+        } else {
+            setImmediate(sendData);
+        }
+    };
+
+    const timeToFirstTokenMs = getDelayMs(options.timeToFirstTokenMs);
+    if (timeToFirstTokenMs > 0) {
+        setTimeout(sendData, timeToFirstTokenMs);
+    } else {
+        sendData();
+    }
+}
+
+function generateCompletion(promptText, encoding, maxTokens, stopSequences, frequencyPenalty, presencePenalty) {
+    // max_tokens 0 (with echo) is how prompts get scored... nothing is generated
+    if (maxTokens === 0) {
+        return {text: '', finishReason: 'length', completionTokens: 0};
+    }
+
+    const content = getResponseForTextCompletion(promptText);
+    const isTruncated = maxTokens && countTokens(content, encoding) > maxTokens;
+    const text = updateContent(content, stopSequences, maxTokens, frequencyPenalty, presencePenalty, false, encoding);
+
+    return {
+        text,
+        finishReason: isTruncated ? 'length' : 'stop',
+        completionTokens: countTokens(text, encoding)
+    };
+}
+
+function buildLogprobs(promptText, text, echo, encoding, numLogprobs) {
+    const completionLogprobs = toLegacyLogprobs(getLogprobsForContent(text, encoding, numLogprobs), promptText.length, false);
+    if (!echo) {
+        return completionLogprobs;
+    }
+
+    const promptLogprobs = toLegacyLogprobs(getLogprobsForContent(promptText, encoding, numLogprobs), 0, true);
+    return {
+        tokens: [...promptLogprobs.tokens, ...completionLogprobs.tokens],
+        token_logprobs: [...promptLogprobs.token_logprobs, ...completionLogprobs.token_logprobs],
+        top_logprobs: [...promptLogprobs.top_logprobs, ...completionLogprobs.top_logprobs],
+        text_offset: [...promptLogprobs.text_offset, ...completionLogprobs.text_offset]
+    };
+}
+
+// the first token of an echoed prompt has nothing to be predicted from, so it gets null logprobs, like the real API
+function toLegacyLogprobs(entries, textOffset, isPromptStart) {
+    const offsets = [];
+    entries.forEach(entry => {
+        offsets.push(textOffset);
+        textOffset += entry.token.length;
+    });
+
+    return {
+        tokens: entries.map(entry => entry.token),
+        token_logprobs: entries.map((entry, idx) => isPromptStart && idx === 0 ? null : entry.logprob),
+        top_logprobs: entries.map((entry, idx) => isPromptStart && idx === 0 ? null : Object.fromEntries(entry.top_logprobs.map(top => [top.token, top.logprob]))),
+        text_offset: offsets
+    };
+}
+
+function getMeanLogprob(text, encoding) {
+    const entries = getLogprobsForContent(text, encoding);
+    return entries.length > 0 ? entries.reduce((sum, entry) => sum + entry.logprob, 0) / entries.length : 0;
+}
+
+// choice = null represents extra usage-only chunk. 'choices' field should be sent empty in this case.
+function buildResponsePart(model, id, created, choice, usage) {
+    return {
+        id,
+        object: 'text_completion',
+        created,
+        model,
+        system_fingerprint: getSystemFingerprint(model),
+        choices: choice === null ? [] : [choice],
+        usage
+    };
+}
+
+export {
+    getPromptTexts,
+    getCompletionPromptTokens,
+    oneShotResponse,
+    streamResponse
+};
@@ -1,8 +1,9 @@
 import {floatsArrayToBase64} from "../utils.js";
 import {getResponseForEmbedding} from '../generators/embedding.js';
+import {countTokens} from '../tokenizer.js';
 
 // input can be array of strings or an array of array of integers
-function generateEmbedding(input, model, encodingFormat, tokenCount) {
+function generateEmbedding(input, model, encodingFormat, tokenCount, encoding) {
     let response = {
         object: 'list',
         data: [],
@@ -19,8 +20,9 @@ function generateEmbedding(input, model, encodingFormat, tokenCount) {
             index: idx,
             embedding: getResponseForEmbedding(item, tokenCount)
         });
-        response.usage.prompt_tokens += item.length;
-        response.usage.total_tokens += item.length;
+        const numTokens = typeof item === 'string' ? countTokens(item, encoding) : item.length;
+        response.usage.prompt_tokens += numTokens;
+        response.usage.total_tokens += numTokens;
     });
 
     response.data = encodingFormat === 'base64'
@@ -0,0 +1,45 @@
+import {getRandomString} from "../utils.js";
+import {CATEGORIES, IMAGE_CATEGORIES, getModerationScores} from '../generators/moderation.js';
+
+const FLAG_THRESHOLD = 0.5;
+
+// `inputs` is a list of results to produce, each a list of {type: 'text'|'image', value} parts. A string array gives one
+// result per string, a multimodal array one result for all its parts.
+function generateModeration(inputs, model) {
+    return {
+        id: `modr-${getRandomString(24)}`,
+        model,
+        results: inputs.map(parts => getResult(parts))
+    };
+}
+
+function getResult(parts) {
+    const categoryScores = Object.fromEntries(CATEGORIES.map(category => [category, 0]));
+    const appliedInputTypes = Object.fromEntries(CATEGORIES.map(category => [category, []]));
+
+    parts.forEach(({type, value}) => {
+        const scores = getModerationScores(value, type);
+        CATEGORIES.forEach((category) => {
+            if (type === 'image' && !IMAGE_CATEGORIES.includes(category)) {
+                return;
+            }
+            categoryScores[category] = Math.max(categoryScores[category], scores[category]);
+            if (!appliedInputTypes[category].includes(type)) {
+                appliedInputTypes[category].push(type);
+            }
+        });
+    });
+
+    const categories = Object.fromEntries(CATEGORIES.map(category => [category, categoryScores[category] >= FLAG_THRESHOLD]));
+
+    return {
+        flagged: Object.values(categories).some(Boolean),
+        categories,
+        category_scores: categoryScores,
+        category_applied_input_types: appliedInputTypes
+    };
+}
+
+export {
+    generateModeration
+};
@@ -0,0 +1,556 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {getRandomString} from "../utils.js";
+import {getResponseForChatCompletion} from '../generators/chat.js';
+import {getResponseForAudioGeneration, getTranscription} from '../generators/audio.js';
+import {countTokens, countChatPromptTokens, truncateToTokens} from '../tokenizer.js';
+import {DEFAULT_STREAMING_OPTIONS, splitIntoChunks, getDelayMs, getChunkDelayMs} from './chat.js';
+import {toChatTools, toChatToolChoice} from './responses.js';
+
+// Realtime API (/v1/realtime) over a WebSocket. One session per connection, holding the conversation items and the input
+// audio buffer. Replies are generated like chat completions, from the conversation with audio turned into transcripts.
+// Server VAD is simulated on the appended audio: loud enough pcm16 chunks start speech, and `silence_duration_ms` of quiet
+// audio (or of no appends at all) ends it, which commits the buffer and creates a response.
+
+const AUDIO_FORMATS = ['pcm16', 'g711_ulaw', 'g711_alaw'];
+// bytes of audio per ms... pcm16 is 24kHz mono, g711 8kHz with one byte per sample
+const BYTES_PER_MS = {pcm16: 48, g711_ulaw: 8, g711_alaw: 8};
+const MIN_COMMIT_MS = 100;
+// audio tokens, roughly as billed by the real API
+const INPUT_AUDIO_MS_PER_TOKEN = 100;
+const OUTPUT_AUDIO_MS_PER_TOKEN = 50;
+const SPOKEN_WORDS_PER_SECOND = 2.5;
+
+const CLIENT_EVENTS = [
+    'session.update', 'input_audio_buffer.append', 'input_audio_buffer.commit', 'input_audio_buffer.clear',
+    'conversation.item.create', 'conversation.item.delete', 'response.create', 'response.cancel'
+];
+
+const DEFAULT_TURN_DETECTION = {type: 'server_vad', threshold: 0.5, prefix_padding_ms: 300, silence_duration_ms: 500, create_response: true, interrupt_response: true};
+
+function handleRealtimeConnection(ws, {model, encoding, voices, streamingOptions}) {
+    const session = {
+        id: `sess_${getRandomString(24)}`,
+        object: 'realtime.session',
+        model,
+        modalities: ['text', 'audio'],
+        instructions: '',
+        voice: voices[0],
+        input_audio_format: 'pcm16',
+        output_audio_format: 'pcm16',
+        input_audio_transcription: null,
+        turn_detection: {...DEFAULT_TURN_DETECTION},
+        tools: [],
+        tool_choice: 'auto',
+        temperature: 0.8,
+        max_response_output_tokens: 'inf'
+    };
+
+    const state = {
+        conversationId: `conv_${getRandomString(24)}`,
+        items: [],
+        // item id -> {transcript, durationMs} of committed input audio... the transcript stands in for the audio in prompts
+        inputAudio: new Map(),
+        audioChunks: [],
+        audioMs: 0,
+        // total audio appended over the session, for audio_start_ms/audio_end_ms
+        sessionAudioMs: 0,
+        vad: {speaking: false, itemId: null, silenceMs: 0, idleTimer: null},
+        activeResponse: null,
+        closed: false
+    };
+
+    const options = {...DEFAULT_STREAMING_OPTIONS, ...streamingOptions, encoding};
+
+    const send = (type, payload = {}) => {
+        if (!state.closed) {
+            ws.send(JSON.stringify({type, event_id: `event_${getRandomString(24)}`, ...payload}));
+        }
+    };
+
+    const sendError = (message, {code = null, param = null, eventId = null} = {}) => {
+        send('error', {error: {type: 'invalid_request_error', code, message, param, event_id: eventId}});
+    };
+
+    // conversation
+
+    const addItem = (item, previousItemId = undefined) => {
+        let idx = state.items.length;
+        if (previousItemId === null) {
+            idx = 0;
+        } else if (previousItemId !== undefined) {
+            idx = state.items.findIndex(existing => existing.id === previousItemId) + 1;
+        }
+        state.items.splice(idx, 0, item);
+        send('conversation.item.created', {previous_item_id: state.items[idx - 1]?.id ?? null, item});
+    };
+
+    const toChatMessages = (items) => items.flatMap(item => {
+        if (item.type === 'function_call') {
+            return [{role: 'assistant', content: null, tool_calls: [{id: item.call_id, type: 'function', function: {name: item.name, arguments: item.arguments}}]}];
+        }
+        if (item.type === 'function_call_output') {
+            return [{role: 'tool', tool_call_id: item.call_id, content: item.output}];
+        }
+        const text = (item.content ?? []).map(part => part.text ?? part.transcript ?? state.inputAudio.get(item.id)?.transcript ?? '').join('');
+        return [{role: item.role, content: text}];
+    });
+
+    // input audio buffer
+
+    const commitAudioBuffer = (itemId, eventId = null) => {
+        if (state.audioMs < MIN_COMMIT_MS) {
+            return sendError(`Error committing input audio buffer: buffer too small. Expected at least ${MIN_COMMIT_MS}ms of audio, but buffer only has ${state.audioMs.toFixed(2)}ms of audio.`, {code: 'input_audio_buffer_commit_empty', eventId});
+        }
+
+        const numBytes = state.audioChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const item = {id: itemId ?? `item_${getRandomString(24)}`, object: 'realtime.item', type: 'message', status: 'completed', role: 'user', content: [{type: 'input_audio', transcript: null}]};
+        const previousItemId = state.items[state.items.length - 1]?.id ?? null;
+
+        state.inputAudio.set(item.id, {transcript: getTranscription(numBytes), durationMs: state.audioMs});
+        state.audioChunks = [];
+        state.audioMs = 0;
+
+        send('input_audio_buffer.committed', {previous_item_id: previousItemId, item_id: item.id});
+        addItem(item);
+
+        if (session.input_audio_transcription) {
+            item.content[0].transcript = state.inputAudio.get(item.id).transcript;
+            send('conversation.item.input_audio_transcription.completed', {item_id: item.id, content_index: 0, transcript: item.content[0].transcript});
+        }
+        return item;
+    };
+
+    const appendAudio = (audio, eventId) => {
+        if (typeof audio !== 'string') {
+            return sendError(`Missing required parameter: 'audio'.`, {code: 'missing_required_parameter', param: 'audio', eventId});
+        }
+
+        const bytes = Buffer.from(audio, 'base64');
+        const chunkMs = bytes.length / BYTES_PER_MS[session.input_audio_format];
+        const chunkStartMs = state.sessionAudioMs;
+
+        state.audioChunks.push(bytes);
+        state.audioMs += chunkMs;
+        state.sessionAudioMs += chunkMs;
+
+        if (session.turn_detection) {
+            detectSpeech(bytes, chunkStartMs, chunkMs);
+        }
+    };
+
+    const detectSpeech = (bytes, chunkStartMs, chunkMs) => {
+        const vad = state.vad;
+        const turnDetection = session.turn_detection;
+        // threshold 0.5 (the default) means an rms of 0.05, about -26 dBFS
+        const isSpeech = getLoudness(bytes, session.input_audio_format) >= turnDetection.threshold * 0.1;
+
+        if (!vad.speaking && isSpeech) {
+            vad.speaking = true;
+            vad.itemId = `item_${getRandomString(24)}`;
+            vad.silenceMs = 0;
+            send('input_audio_buffer.speech_started', {audio_start_ms: Math.max(0, Math.round(chunkStartMs - turnDetection.prefix_padding_ms)), item_id: vad.itemId});
+
+            if (state.activeResponse && turnDetection.interrupt_response !== false) {
+                state.activeResponse.cancel('turn_detected');
+            }
+        } else if (vad.speaking) {
+            vad.silenceMs = isSpeech ? 0 : vad.silenceMs + chunkMs;
+        }
+
+        clearTimeout(vad.idleTimer);
+        if (!vad.speaking) {
+            return;
+        }
+        if (vad.silenceMs >= turnDetection.silence_duration_ms) {
+            return endSpeech();
+        }
+        // clients that simply stop sending audio end their turn too
+        vad.idleTimer = setTimeout(endSpeech, turnDetection.silence_duration_ms);
+    };
+
+    const endSpeech = () => {
+        const vad = state.vad;
+        clearTimeout(vad.idleTimer);
+        if (!vad.speaking || state.closed) {
+            return;
+        }
+
+        vad.speaking = false;
+        send('input_audio_buffer.speech_stopped', {audio_end_ms: Math.round(state.sessionAudioMs - vad.silenceMs), item_id: vad.itemId});
+
+        const item = commitAudioBuffer(vad.itemId);
+        if (item && session.turn_detection?.create_response !== false && !state.activeResponse) {
+            createResponse({}).catch(err => sendServerError(err, null));
+        }
+    };
+
+    const sendServerError = (err, eventId) => {
+        console.error(`[realtime] ${session.id}`, err);
+        send('error', {error: {type: 'server_error', code: null, message: 'The server had an error while processing your request. Sorry about that!', param: null, event_id: eventId}});
+    };
+
+    // responses
+
+    const createResponse = async (responseParams, eventId = null) => {
+        if (state.activeResponse) {
+            return sendError(`Conversation already has an active response`, {code: 'conversation_already_has_active_response', eventId});
+        }
+
+        const params = {...session, ...responseParams};
+        const outputsToConversation = responseParams.conversation !== 'none';
+        const response = {
+            id: `resp_${getRandomString(24)}`,
+            object: 'realtime.response',
+            status: 'in_progress',
+            status_details: null,
+            output: [],
+            conversation_id: outputsToConversation ? state.conversationId : null,
+            modalities: params.modalities,
+            voice: params.voice,
+            output_audio_format: params.output_audio_format,
+            temperature: params.temperature,
+            max_output_tokens: responseParams.max_output_tokens ?? session.max_response_output_tokens,
+            usage: null,
+            metadata: responseParams.metadata ?? null
+        };
+
+        let isCancelled = false;
+        state.activeResponse = {
+            response,
+            cancel: (reason) => {
+                isCancelled = true;
+                finish('cancelled', {type: 'cancelled', reason});
+            }
+        };
+
+        const finish = (status, statusDetails = null) => {
+            if (state.activeResponse?.response !== response) {
+                return;
+            }
+            state.activeResponse = null;
+            response.status = status;
+            response.status_details = statusDetails;
+            response.output.forEach(item => item.status = status === 'completed' ? 'completed' : 'incomplete');
+            send('response.done', {response});
+            send('rate_limits.updated', {rate_limits: [
+                {name: 'requests', limit: 5000, remaining: 4999, reset_seconds: 0.012},
+                {name: 'tokens', limit: 40000, remaining: 40000 - (response.usage?.total_tokens ?? 0), reset_seconds: 0.015}
+            ]});
+        };
+
+        send('response.created', {response: {...response, output: []}});
+
+        const inputItems = outputsToConversation ? state.items : (responseParams.input ?? []);
+        const instructions = params.instructions;
+        const messages = [
+            ...(instructions ? [{role: 'system', content: instructions}] : []),
+            ...toChatMessages(inputItems)
+        ];
+        const chatTools = toChatTools(params.tools);
+
+        // the model also replies to an empty conversation (e.g. a greeting requested with just instructions)
+        const {contentOrToolCalls, error} = getResponseForChatCompletion({
+            model: session.model,
+            messages: messages.some(message => message.role === 'user') ? messages : [...messages, {role: 'user', content: ''}],
+            tools: chatTools,
+            toolChoice: toChatToolChoice(params.tool_choice)
+        });
+        if (error) {
+            return finish('failed', {type: 'failed', error: {type: error.error.type, code: error.error.code, message: error.error.message}});
+        }
+
+        const withAudio = params.modalities.includes('audio');
+        const events = [];
+        let outputTextTokens = 0;
+        let outputAudioMs = 0;
+        let statusDetails = null;
+
+        if (contentOrToolCalls.tool_calls && contentOrToolCalls.tool_calls.length > 0) {
+            contentOrToolCalls.tool_calls.forEach((tc, outputIndex) => {
+                const item = {id: `item_${getRandomString(24)}`, object: 'realtime.item', type: 'function_call', status: 'completed', name: tc.name, call_id: `call_${getRandomString(16)}`, arguments: JSON.stringify(tc.arguments)};
+                const ids = {response_id: response.id, item_id: item.id, output_index: outputIndex};
+
+                events.push(() => addOutputItem(item, {...item, status: 'in_progress', arguments: ''}, outputIndex));
+                splitIntoChunks(item.arguments, {...options, chunkBy: 'token'}).forEach(delta => {
+                    events.push(['response.function_call_arguments.delta', {...ids, call_id: item.call_id, delta}, true]);
+                });
+                events.push(['response.function_call_arguments.done', {...ids, call_id: item.call_id, arguments: item.arguments}]);
+                events.push(['response.output_item.done', {response_id: response.id, output_index: outputIndex, item}]);
+                outputTextTokens += countTokens(item.name, encoding) + countTokens(item.arguments, encoding);
+            });
+        } else {
+            const original = contentOrToolCalls.content;
+            const maxTokens = response.max_output_tokens === 'inf' ? null : response.max_output_tokens;
+            const text = maxTokens ? truncateToTokens(original, maxTokens, encoding) : original;
+            if (text !== original) {
+                statusDetails = {type: 'incomplete', reason: 'max_output_tokens'};
+            }
+
+            const part = withAudio ? {type: 'audio', transcript: text} : {type: 'text', text};
+            const item = {id: `item_${getRandomString(24)}`, object: 'realtime.item', type: 'message', status: 'completed', role: 'assistant', content: [part]};
+            const ids = {response_id: response.id, item_id: item.id, output_index: 0, content_index: 0};
+            const chunks = splitIntoChunks(text, options);
+
+            events.push(() => addOutputItem(item, {...item, status: 'in_progress', content: []}, 0));
+            events.push(['response.content_part.added', {...ids, part: withAudio ? {type: 'audio', transcript: ''} : {type: 'text', text: ''}}]);
+
+            if (withAudio) {
+                const durationMs = Math.max(1000, Math.round(text.split(/\s+/).length / SPOKEN_WORDS_PER_SECOND * 1000));
+                let audio = null;
+                try {
+                    audio = await getOutputAudio(item.id, durationMs, params.output_audio_format);
+                } catch (err) {
+                    console.error(`[realtime] ${session.id}`, err);
+                    return finish('failed', {type: 'failed', error: {type: 'server_error', code: null, message: 'The server had an error while generating audio.'}});
+                }
+                if (isCancelled) {
+                    return;
+                }
+                const audioChunks = splitAudio(audio, chunks.length, params.output_audio_format);
+                outputAudioMs = audio.length / BYTES_PER_MS[params.output_audio_format];
+
+                chunks.forEach((delta, idx) => {
+                    events.push(['response.audio_transcript.delta', {...ids, delta}, true]);
+                    events.push(['response.audio.delta', {...ids, delta: audioChunks[idx].toString('base64')}]);
+                });
+                events.push(['response.audio.done', ids]);
+                events.push(['response.audio_transcript.done', {...ids, transcript: text}]);
+            } else {
+                chunks.forEach(delta => events.push(['response.text.delta', {...ids, delta}, true]));
+                events.push(['response.text.done', {...ids, text}]);
+            }
+            events.push(['response.content_part.done', {...ids, part}]);
+            events.push(['response.output_item.done', {response_id: response.id, output_index: 0, item}]);
+            outputTextTokens += countTokens(text, encoding);
+        }
+
+        const inputAudioMs = inputItems.reduce((sum, item) => sum + (state.inputAudio.get(item.id)?.durationMs ?? 0), 0);
+        const inputTextTokens = countChatPromptTokens(messages, chatTools, encoding);
+        const inputAudioTokens = Math.round(inputAudioMs / INPUT_AUDIO_MS_PER_TOKEN);
+        const outputAudioTokens = Math.round(outputAudioMs / OUTPUT_AUDIO_MS_PER_TOKEN);
+        const usage = {
+            total_tokens: inputTextTokens + inputAudioTokens + outputTextTokens + outputAudioTokens,
+            input_tokens: inputTextTokens + inputAudioTokens,
+            output_tokens: outputTextTokens + outputAudioTokens,
+            input_token_details: {cached_tokens: 0, text_tokens: inputTextTokens, audio_tokens: inputAudioTokens},
+            output_token_details: {text_tokens: outputTextTokens, audio_tokens: outputAudioTokens}
+        };
+
+        const addOutputItem = (item, inProgressItem, outputIndex) => {
+            response.output.push(item);
+            send('response.output_item.added', {response_id: response.id, output_index: outputIndex, item: inProgressItem});
+            if (outputsToConversation) {
+                addItem(item);
+            }
+        };
+
+        let eventIndex = 0;
+
+        const sendNext = () => {
+            if (isCancelled || state.closed) {
+                return;
+            }
+
+            if (eventIndex >= events.length) {
+                response.usage = usage;
+                return finish(statusDetails ? 'incomplete' : 'completed', statusDetails);
+            }
+
+            const event = events[eventIndex++];
+            const isDelta = Array.isArray(event) && event[2];
+            if (typeof event === 'function') {
+                event();
+            } else {
+                send(event[0], event[1]);
+            }
+
+            const delayMs = isDelta ? getChunkDelayMs(event[1].delta, options) : 0;
+            if (delayMs > 0) {
+                setTimeout(sendNext, delayMs);
+            } else {
+                setImmediate(sendNext);
+            }
+        };
+
+        const timeToFirstTokenMs = getDelayMs(options.timeToFirstTokenMs);
+        if (timeToFirstTokenMs > 0) {
+            setTimeout(sendNext, timeToFirstTokenMs);
+        } else {
+            sendNext();
+        }
+    };
+
+    // client events
+
+    const handlers = {
+        'session.update': ({session: update}, eventId) => {
+            const validationError = validateSessionUpdate(update, voices);
+            if (validationError) {
+                return sendError(validationError.message, {code: 'invalid_value', param: validationError.param, eventId});
+            }
+            Object.assign(session, update, update.turn_detection ? {turn_detection: {...DEFAULT_TURN_DETECTION, ...update.turn_detection}} : {});
+            send('session.updated', {session});
+        },
+        'input_audio_buffer.append': ({audio}, eventId) => appendAudio(audio, eventId),
+        'input_audio_buffer.commit': (event, eventId) => {
+            clearTimeout(state.vad.idleTimer);
+            state.vad.speaking = false;
+            commitAudioBuffer(state.vad.itemId, eventId);
+            state.vad.itemId = null;
+        },
+        'input_audio_buffer.clear': () => {
+            clearTimeout(state.vad.idleTimer);
+            state.audioChunks = [];
+            state.audioMs = 0;
+            state.vad.speaking = false;
+            send('input_audio_buffer.cleared');
+        },
+        'conversation.item.create': ({item, previous_item_id: previousItemId}, eventId) => {
+            const validationError = validateItem(item);
+            if (validationError) {
+                return sendError(validationError.message, {code: 'invalid_value', param: validationError.param, eventId});
+            }
+            if (previousItemId && !state.items.some(existing => existing.id === previousItemId)) {
+                return sendError(`Item with item_id '${previousItemId}' not found in the conversation.`, {code: 'item_not_found', param: 'previous_item_id', eventId});
+            }
+            addItem({id: item.id ?? `item_${getRandomString(24)}`, object: 'realtime.item', status: 'completed', ...item}, previousItemId);
+        },
+        'conversation.item.delete': ({item_id: itemId}, eventId) => {
+            const idx = state.items.findIndex(item => item.id === itemId);
+            if (idx === -1) {
+                return sendError(`Item with item_id '${itemId}' not found in the conversation.`, {code: 'item_not_found', param: 'item_id', eventId});
+            }
+            state.items.splice(idx, 1);
+            send('conversation.item.deleted', {item_id: itemId});
+        },
+        'response.create': ({response}, eventId) => createResponse(response ?? {}, eventId),
+        'response.cancel': (event, eventId) => {
+            if (!state.activeResponse) {
+                return sendError(`Cancellation failed: no active response found`, {code: 'response_cancel_not_active', eventId});
+            }
+            state.activeResponse.cancel('client_cancelled');
+        }
+    };
+
+    ws.on('message', (data) => {
+        let event = null;
+        try {
+            event = JSON.parse(data.toString());
+        } catch (e) {
+            return sendError(`The server failed to parse the event: ${e.message}`, {code: 'invalid_json'});
+        }
+
+        const handler = handlers[event?.type];
+        if (!handler) {
+            return sendError(`Invalid value: '${event?.type}'. Supported values are: ${CLIENT_EVENTS.map(type => `'${type}'`).join(', ')}.`, {code: 'invalid_value', param: 'type', eventId: event?.event_id ?? null});
+        }
+
+        Promise.resolve(handler(event, event.event_id ?? null)).catch(err => sendServerError(err, event.event_id ?? null));
+    });
+
+    ws.on('close', () => {
+        state.closed = true;
+        clearTimeout(state.vad.idleTimer);
+    });
+
+    // protocol errors (invalid utf-8, oversized frames, ...)... ws closes the connection after them
+    ws.on('error', (err) => {
+        console.error(`[realtime] ${session.id}`, err.message);
+        state.closed = true;
+        clearTimeout(state.vad.idleTimer);
+    });
+
+    send('session.created', {session});
+}
+
+// 0..1... g711 is companded, so its bytes are taken as always loud
+function getLoudness(bytes, format) {
+    if (format !== 'pcm16') {
+        return 1;
+    }
+    const numSamples = Math.floor(bytes.length / 2);
+    if (numSamples === 0) {
+        return 0;
+    }
+
+    let sumOfSquares = 0;
+    for (let i = 0; i < numSamples; i++) {
+        const sample = bytes.readInt16LE(i * 2) / 32768;
+        sumOfSquares += sample * sample;
+    }
+    return Math.sqrt(sumOfSquares / numSamples);
+}
+
+// raw audio from the speech generator, cut to the duration at the realtime sample rate
+async function getOutputAudio(seed, durationMs, format) {
+    const filePath = path.join(os.tmpdir(), `realtime_${getRandomString(16)}.pcm`);
+    try {
+        await getResponseForAudioGeneration(seed, Math.ceil(durationMs / 1000), 'pcm', filePath);
+        return fs.readFileSync(filePath).subarray(0, durationMs * BYTES_PER_MS[format]);
+    } finally {
+        fs.rmSync(filePath, {force: true});
+    }
+}
+
+// one audio chunk per transcript chunk, split on sample boundaries
+function splitAudio(audio, numChunks, format) {
+    const sampleBytes = format === 'pcm16' ? 2 : 1;
+    const count = Math.max(1, numChunks);
+    const chunkBytes = Math.ceil(audio.length / count / sampleBytes) * sampleBytes;
+
+    return Array.from({length: count}, (_, idx) => audio.subarray(idx * chunkBytes, (idx + 1) * chunkBytes));
+}
+
+// Returns null or {message, param}
+function validateSessionUpdate(update, voices) {
+    if (!update || typeof update !== 'object') {
+        return {message: `Missing required parameter: 'session'.`, param: 'session'};
+    }
+    if (update.modalities !== undefined && !(Array.isArray(update.modalities) && update.modalities.length > 0 && update.modalities.every(m => ['text', 'audio'].includes(m)))) {
+        return {message: `Invalid modalities: ${JSON.stringify(update.modalities)}. Supported combinations are: ['text'] and ['audio', 'text'].`, param: 'session.modalities'};
+    }
+    if (update.voice !== undefined && !voices.includes(update.voice)) {
+        return {message: `Invalid value: '${update.voice}'. Supported values are: ${voices.map(v => `'${v}'`).join(', ')}.`, param: 'session.voice'};
+    }
+    for (const key of ['input_audio_format', 'output_audio_format']) {
+        if (update[key] !== undefined && !AUDIO_FORMATS.includes(update[key])) {
+            return {message: `Invalid value: '${update[key]}'. Supported values are: ${AUDIO_FORMATS.map(f => `'${f}'`).join(', ')}.`, param: `session.${key}`};
+        }
+    }
+    if (update.turn_detection && !['server_vad', 'semantic_vad'].includes(update.turn_detection.type ?? 'server_vad')) {
+        return {message: `Invalid value: '${update.turn_detection.type}'. Supported values are: 'server_vad', 'semantic_vad'.`, param: 'session.turn_detection.type'};
+    }
+    if (update.temperature !== undefined && (typeof update.temperature !== 'number' || update.temperature < 0.6 || update.temperature > 1.2)) {
+        return {message: `Invalid 'session.temperature': decimal above maximum value. Expected a value between 0.6 and 1.2, but got ${update.temperature} instead.`, param: 'session.temperature'};
+    }
+    return null;
+}
+
+// Returns null or {message, param}
+function validateItem(item) {
+    if (!item || typeof item !== 'object') {
+        return {message: `Missing required parameter: 'item'.`, param: 'item'};
+    }
+    if (item.type === 'message') {
+        if (!['user', 'assistant', 'system'].includes(item.role)) {
+            return {message: `Invalid value: '${item.role}'. Supported values are: 'user', 'assistant', 'system'.`, param: 'item.role'};
+        }
+        if (!Array.isArray(item.content)) {
+            return {message: `Missing required parameter: 'item.content'.`, param: 'item.content'};
+        }
+        return null;
+    }
+    if (item.type === 'function_call') {
+        return item.call_id && item.name ? null : {message: `Missing required parameter: 'item.call_id' and 'item.name'.`, param: 'item'};
+    }
+    if (item.type === 'function_call_output') {
+        return item.call_id ? null : {message: `Missing required parameter: 'item.call_id'.`, param: 'item.call_id'};
+    }
+    return {message: `Invalid value: '${item.type}'. Supported values are: 'message', 'function_call', 'function_call_output'.`, param: 'item.type'};
+}
+
+export {
+    handleRealtimeConnection
+};
@@ -0,0 +1,323 @@
+import {getRandomString, getTimestampSeconds} from "../utils.js";
+import {getResponseForChatCompletion} from '../generators/chat.js';
+import {apiError, invalidRequestError} from '../errors.js';
+import {countTokens, countChatPromptTokens} from '../tokenizer.js';
+import {DEFAULT_STREAMING_OPTIONS, updateContent, splitIntoChunks, getDelayMs, getChunkDelayMs} from './chat.js';
+
+// Responses API (/v1/responses). Input items are turned into chat messages, so that the same sample responses, scenarios
+// and regex tool matching as chat completions apply. Stored responses keep the conversation they ended, which is what
+// `previous_response_id` continues from.
+
+const CONTENT_PART_TYPES = ['input_text', 'output_text', 'refusal', 'input_image', 'input_file', 'input_audio'];
+
+// response id -> {response, messages}
+const storedResponses = new Map();
+
+function getStoredResponse(id) {
+    return storedResponses.get(id)?.response ?? null;
+}
+
+function deleteStoredResponse(id) {
+    return storedResponses.delete(id);
+}
+
+// Returns {messages, error}. `messages` holds the previous conversation (without its instructions) followed by the new input.
+function getConversation(input, instructions, previousResponseId) {
+    let messages = [];
+
+    if (previousResponseId) {
+        const previous = storedResponses.get(previousResponseId);
+        if (!previous) {
+            return {messages, error: apiError(404, `Previous response with id '${previousResponseId}' not found.`, {param: 'previous_response_id', code: 'previous_response_not_found'})};
+        }
+        messages = [...previous.messages];
+    }
+
+    const items = typeof input === 'string' ? [{role: 'user', content: input}] : input;
+    for (const [idx, item] of items.entries()) {
+        const itemError = validateInputItem(item, `input[${idx}]`);
+        if (itemError) {
+            return {messages, error: itemError};
+        }
+
+        const message = inputItemToMessage(item);
+        if (!message) {
+            return {messages, error: invalidRequestError(`Invalid input item at index ${idx}: ${JSON.stringify(item)}.`, `input[${idx}]`)};
+        }
+        messages.push(message);
+    }
+
+    return {messages, error: null};
+}
+
+// the shape of the item and of its content parts... what they mean is left to inputItemToMessage
+function validateInputItem(item, param) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return invalidRequestError(`Invalid type for '${param}': expected an object, but got ${JSON.stringify(item)} instead.`, param, 'invalid_type');
+    }
+    if ((item.type ?? 'message') !== 'message' || item.content == null || typeof item.content === 'string') {
+        return null;
+    }
+    if (!Array.isArray(item.content)) {
+        return invalidRequestError(`Invalid type for '${param}.content': expected a string or an array of content parts, but got ${JSON.stringify(item.content)} instead.`, `${param}.content`, 'invalid_type');
+    }
+
+    for (const [idx, part] of item.content.entries()) {
+        const partParam = `${param}.content[${idx}]`;
+        if (!part || typeof part !== 'object' || Array.isArray(part)) {
+            return invalidRequestError(`Invalid type for '${partParam}': expected an object, but got ${JSON.stringify(part)} instead.`, partParam, 'invalid_type');
+        }
+        if (!CONTENT_PART_TYPES.includes(part.type)) {
+            return invalidRequestError(`Invalid value: ${JSON.stringify(part.type)}. Supported values are: ${CONTENT_PART_TYPES.map(type => `'${type}'`).join(', ')}.`, `${partParam}.type`, 'invalid_value');
+        }
+        if (['input_text', 'output_text'].includes(part.type) && part.text == null) {
+            return invalidRequestError(`Missing required parameter: '${partParam}.text'.`, `${partParam}.text`, 'missing_required_parameter');
+        }
+        if (['input_text', 'output_text'].includes(part.type) && typeof part.text !== 'string') {
+            return invalidRequestError(`Invalid type for '${partParam}.text': expected a string, but got ${JSON.stringify(part.text)} instead.`, `${partParam}.text`, 'invalid_type');
+        }
+    }
+    return null;
+}
+
+function inputItemToMessage(item) {
+    if (!item || typeof item !== 'object') {
+        return null;
+    }
+
+    const type = item.type ?? 'message';
+    if (type === 'message' && ['user', 'assistant', 'system', 'developer'].includes(item.role)) {
+        return {role: item.role, content: inputContentToChatContent(item.content)};
+    }
+    if (type === 'function_call' && item.call_id && item.name) {
+        return {role: 'assistant', content: null, tool_calls: [{id: item.call_id, type: 'function', function: {name: item.name, arguments: item.arguments ?? ''}}]};
+    }
+    if (type === 'function_call_output' && item.call_id) {
+        return {role: 'tool', tool_call_id: item.call_id, content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output)};
+    }
+    return null;
+}
+
+function inputContentToChatContent(content) {
+    if (!Array.isArray(content)) {
+        return content ?? '';
+    }
+
+    return content.map(part => {
+        if (['input_text', 'output_text'].includes(part.type)) {
+            return {type: 'text', text: part.text};
+        }
+        if (part.type === 'input_image') {
+            return {type: 'image_url', image_url: {url: part.image_url ?? part.file_id}};
+        }
+        return part;
+    });
+}
+
+// Responses tools are flat ({type, name, parameters})... chat ones nest them under 'function'
+function toChatTools(tools) {
+    return (tools ?? [])
+        .filter(tool => tool.type === 'function')
+        .map(tool => ({type: 'function', function: {name: tool.name, description: tool.description, parameters: tool.parameters}}));
+}
+
+function toChatToolChoice(toolChoice) {
+    return toolChoice && typeof toolChoice === 'object'
+        ? {type: 'function', function: {name: toolChoice.name}}
+        : toolChoice;
+}
+
+function createResponse({ model, encoding, input, instructions, previousResponseId, tools, toolChoice, parallelToolCalls, maxOutputTokens, temperature, topP, textFormat, store, metadata, user, onData, onError }) {
+    const {response, error} = generateResponse({model, encoding, input, instructions, previousResponseId, tools, toolChoice, parallelToolCalls, maxOutputTokens, temperature, topP, textFormat, store, metadata, user});
+    if (error) {
+        return onError(error);
+    }
+
+    onData(response);
+}
+
+// Semantic events, as sent by the real API: response.created/in_progress, then per output item its added/delta/done events,
+// then response.completed (or response.incomplete). Each event has a sequence_number. There is no [DONE] at the end.
+function streamResponse({ model, encoding, input, instructions, previousResponseId, tools, toolChoice, parallelToolCalls, maxOutputTokens, temperature, topP, textFormat, store, metadata, user, streamingOptions, isCancelled, onEvent, onCompletion, onError }) {
+    const {response, error} = generateResponse({model, encoding, input, instructions, previousResponseId, tools, toolChoice, parallelToolCalls, maxOutputTokens, temperature, topP, textFormat, store, metadata, user});
+    if (error) {
+        return onError(error);
+    }
+
+    const options = {...DEFAULT_STREAMING_OPTIONS, ...streamingOptions, encoding};
+    const inProgress = {...response, status: 'in_progress', incomplete_details: null, output: [], usage: null};
+
+    // [type, payload, isDelta]... only deltas are paced with interChunkDelayMs
+    const events = [
+        ['response.created', {response: inProgress}],
+        ['response.in_progress', {response: inProgress}]
+    ];
+
+    response.output.forEach((item, outputIndex) => {
+        if (item.type === 'message') {
+            const text = item.content[0].text;
+            const part = {type: 'output_text', text: '', annotations: []};
+
+            events.push(['response.output_item.added', {output_index: outputIndex, item: {...item, status: 'in_progress', content: []}}]);
+            events.push(['response.content_part.added', {item_id: item.id, output_index: outputIndex, content_index: 0, part}]);
+            splitIntoChunks(text, options).forEach(delta => {
+                events.push(['response.output_text.delta', {item_id: item.id, output_index: outputIndex, content_index: 0, delta}, true]);
+            });
+            events.push(['response.output_text.done', {item_id: item.id, output_index: outputIndex, content_index: 0, text}]);
+            events.push(['response.content_part.done', {item_id: item.id, output_index: outputIndex, content_index: 0, part: {...part, text}}]);
+        } else {
+            const argumentOptions = {...options, chunkBy: options.chunkBy === 'character' ? 'character' : 'token'};
+
+            events.push(['response.output_item.added', {output_index: outputIndex, item: {...item, status: 'in_progress', arguments: ''}}]);
+            splitIntoChunks(item.arguments, argumentOptions).forEach(delta => {
+                events.push(['response.function_call_arguments.delta', {item_id: item.id, output_index: outputIndex, delta}, true]);
+            });
+            events.push(['response.function_call_arguments.done', {item_id: item.id, output_index: outputIndex, arguments: item.arguments}]);
+        }
+        events.push(['response.output_item.done', {output_index: outputIndex, item}]);
+    });
+
+    events.push([response.status === 'incomplete' ? 'response.incomplete' : 'response.completed', {response}]);
+
+    let eventIndex = 0;
+
+    const sendData = () => {
+        if (isCancelled && isCancelled()) {
+            return;
+        }
+
+        if (eventIndex >= events.length) {
+            onCompletion();
+            return;
+        }
+
+        const [type, payload, isDelta] = events[eventIndex];
+        onEvent(type, {type, sequence_number: eventIndex, ...payload});
+        eventIndex++;
+
+        const delayMs = isDelta ? getChunkDelayMs(payload.delta, options) : 0;
+        if (delayMs > 0) {
+            setTimeout(sendData, delayMs);
+        } else {
+            setImmediate(sendData);
+        }
+    };
+
+    const timeToFirstTokenMs = getDelayMs(options.timeToFirstTokenMs);
+    if (timeToFirstTokenMs > 0) {
+        setTimeout(sendData, timeToFirstTokenMs);
+    } else {
+        sendData();
+    }
+}
+
+function generateResponse({ model, encoding, input, instructions, previousResponseId, tools, toolChoice, parallelToolCalls, maxOutputTokens, temperature, topP, textFormat, store, metadata, user }) {
+    const {messages, error: conversationError} = getConversation(input, instructions, previousResponseId);
+    if (conversationError) {
+        return {response: null, error: conversationError};
+    }
+
+    // instructions only apply to this turn... they are not carried over to the next one through previous_response_id
+    const promptMessages = instructions ? [{role: 'developer', content: instructions}, ...messages] : messages;
+    const chatTools = toChatTools(tools);
+
+    const isJsonOutput = ['json_object', 'json_schema'].includes(textFormat?.type);
+    const {contentOrToolCalls, error} = getResponseForChatCompletion({
+        model,
+        messages: promptMessages,
+        tools: chatTools,
+        toolChoice: toChatToolChoice(toolChoice),
+        returnJsonFormattedStrings: isJsonOutput,
+        jsonSchema: textFormat?.type === 'json_schema' ? textFormat : null,
+        parallelToolCalls
+    });
+    if (error) {
+        return {response: null, error};
+    }
+
+    const output = [];
+    const outputMessages = [];
+    let outputTokens = 0;
+    let incompleteDetails = null;
+
+    if (contentOrToolCalls.tool_calls && contentOrToolCalls.tool_calls.length > 0) {
+        contentOrToolCalls.tool_calls.forEach(tc => {
+            const item = {
+                type: 'function_call',
+                id: `fc_${getRandomString(48)}`,
+                call_id: `call_${getRandomString(24)}`,
+                name: tc.name,
+                arguments: JSON.stringify(tc.arguments),
+                status: 'completed'
+            };
+            output.push(item);
+            outputMessages.push(inputItemToMessage(item));
+            outputTokens += countTokens(item.name, encoding) + countTokens(item.arguments, encoding);
+        });
+    } else {
+        const original = contentOrToolCalls.content;
+        const text = updateContent(original, [], maxOutputTokens, 0, 0, isJsonOutput, encoding);
+        if (maxOutputTokens && countTokens(original, encoding) > maxOutputTokens) {
+            incompleteDetails = {reason: 'max_output_tokens'};
+        }
+
+        output.push({
+            type: 'message',
+            id: `msg_${getRandomString(48)}`,
+            status: incompleteDetails ? 'incomplete' : 'completed',
+            role: 'assistant',
+            content: [{type: 'output_text', text, annotations: []}]
+        });
+        outputMessages.push({role: 'assistant', content: text});
+        outputTokens += countTokens(text, encoding);
+    }
+
+    const inputTokens = countChatPromptTokens(promptMessages, chatTools, encoding);
+
+    const response = {
+        id: `resp_${getRandomString(48)}`,
+        object: 'response',
+        created_at: getTimestampSeconds(),
+        status: incompleteDetails ? 'incomplete' : 'completed',
+        error: null,
+        incomplete_details: incompleteDetails,
+        instructions: instructions ?? null,
+        max_output_tokens: maxOutputTokens ?? null,
+        model,
+        output,
+        parallel_tool_calls: parallelToolCalls ?? true,
+        previous_response_id: previousResponseId ?? null,
+        reasoning: {effort: null, summary: null},
+        store: store !== false,
+        temperature: temperature ?? 1,
+        text: {format: textFormat ?? {type: 'text'}},
+        tool_choice: toolChoice ?? 'auto',
+        tools: tools ?? [],
+        top_p: topP ?? 1,
+        truncation: 'disabled',
+        usage: {
+            input_tokens: inputTokens,
+            input_tokens_details: {cached_tokens: 0},
+            output_tokens: outputTokens,
+            output_tokens_details: {reasoning_tokens: 0},
+            total_tokens: inputTokens + outputTokens
+        },
+        user: user ?? null,
+        metadata: metadata ?? {}
+    };
+
+    if (store !== false) {
+        storedResponses.set(response.id, {response, messages: [...messages, ...outputMessages]});
+    }
+
+    return {response, error: null};
+}
+
+export {
+    createResponse,
+    streamResponse,
+    getStoredResponse,
+    deleteStoredResponse,
+    toChatTools,
+    toChatToolChoice
+};
@@ -0,0 +1,305 @@
+import fs from "fs";
+import {isDeepStrictEqual} from "util";
+import {globToRegex, getApiKey, getApiKeyLabel, paginate} from "./utils.js";
+import {invalidRequestError} from "./errors.js";
+import {evaluateJsonPath} from "./jsonPath.js";
+import {nowMs} from "./determinism.js";
+
+// In-memory journal of every request the server receives (the admin API aside): headers, parsed body, uploaded file
+// metadata, the response sent back and timing. Entries are added on arrival and completed once the response is sent,
+// then appended to `journal.sinkFile` (JSONL) when given.
+// JSON responses are kept parsed, streams as their list of events, anything else (audio, images, files) by type and size.
+// Tests query it through /__admin/requests, and verify counts through /__admin/requests/verify.
+
+const MAX_CAPTURED_BYTES = 1024 * 1024;
+
+let settings = {
+    enable: true,
+    maxEntries: 1000,
+    sinkFile: null
+};
+let sink = null;
+let sinkFile = null;
+let apiKeys = [];
+
+// oldest first
+let entries = [];
+let sequence = 0;
+
+function init(cfg) {
+    settings = {...settings, ...cfg?.journal};
+    apiKeys = cfg?.apiKeys ?? [];
+
+    // the sink outlives config changes that don't touch it
+    const file = settings.enable && settings.sinkFile ? settings.sinkFile : null;
+    if (file !== sinkFile) {
+        sink?.end();
+        sink = file ? fs.createWriteStream(file, {flags: 'a'}) : null;
+        sink?.on('error', (err) => console.error(`[journal] Could not write to ${file}: ${err.message}`));
+        sinkFile = file;
+    }
+}
+
+function clearJournal() {
+    entries = [];
+}
+
+function journalMiddleware(req, res, next) {
+    if (!settings.enable || req.path.startsWith('/__admin')) {
+        return next();
+    }
+
+    const startNs = process.hrtime.bigint();
+    const entry = {
+        id: `req_${++sequence}`,
+        object: 'admin.request',
+        receivedAt: new Date(nowMs()).toISOString(),
+        method: req.method,
+        route: req.path,
+        url: req.originalUrl,
+        query: {...req.query},
+        headers: getHeaders(req),
+        apiKey: getApiKeyEntry(req),
+        model: null,
+        body: null,
+        files: [],
+        response: null,
+        timeToFirstByteMs: null,
+        durationMs: null,
+        completed: false
+    };
+
+    entries.push(entry);
+    if (entries.length > settings.maxEntries) {
+        entries.splice(0, entries.length - settings.maxEntries);
+    }
+
+    const capture = {chunks: [], bytes: 0};
+    captureResponse(res, capture, () => {
+        entry.timeToFirstByteMs ??= Number(process.hrtime.bigint() - startNs) / 1e6;
+    });
+
+    // multipart bodies and files are only parsed by the route (multer)... read everything once it answered
+    let done = false;
+    const complete = () => {
+        if (done) {
+            return;
+        }
+        done = true;
+
+        entry.body = req.body ?? null;
+        entry.model = typeof req.body?.model === 'string' ? req.body.model : null;
+        entry.files = getUploadedFiles(req);
+        entry.response = {
+            statusCode: res.statusCode,
+            headers: res.getHeaders(),
+            ...getResponseBody(res, capture)
+        };
+        entry.durationMs = Number(process.hrtime.bigint() - startNs) / 1e6;
+        entry.completed = res.writableFinished;
+
+        sink?.write(JSON.stringify(entry) + '\n');
+    };
+    res.on('finish', complete);
+    res.on('close', complete);
+
+    next();
+}
+
+// Requests matching all the given filters, oldest first: route ('*' wildcards), method, model, apiKey, statusCode and
+// bodyPath, a JSONPath into the request body that must point at something (equal to bodyValue, when given).
+// Returns {data, error}.
+function findRequests({route, method, model, apiKey, statusCode, bodyPath, bodyValue} = {}) {
+    if (bodyValue != null && bodyPath == null) {
+        return {data: null, error: invalidRequestError(`'bodyValue' requires 'bodyPath'.`, 'bodyValue')};
+    }
+
+    const routeRegex = route ? globToRegex(route) : null;
+    const matches = [];
+    for (const entry of entries) {
+        if (routeRegex && !routeRegex.test(entry.route)) {
+            continue;
+        }
+        if (method && method.toUpperCase() !== entry.method) {
+            continue;
+        }
+        if (model && model !== entry.model) {
+            continue;
+        }
+        if (apiKey && (getApiKeyLabel(apiKey, apiKeys) ?? apiKey) !== entry.apiKey) {
+            continue;
+        }
+        if (statusCode != null && Number(statusCode) !== entry.response?.statusCode) {
+            continue;
+        }
+        if (bodyPath != null) {
+            const {data: values, error} = evaluateJsonPath(entry.body, bodyPath);
+            if (error) {
+                return {data: null, error: invalidRequestError(error, 'bodyPath')};
+            }
+            if (!values.some(value => bodyValue === undefined || isSameValue(value, bodyValue))) {
+                continue;
+            }
+        }
+        matches.push(entry);
+    }
+
+    return {data: matches, error: null};
+}
+
+function listRequests(query) {
+    const {data, error} = findRequests(query);
+    if (error) {
+        return {data: null, error};
+    }
+    return {data: paginate(data, query, {defaultLimit: 100, maxLimit: 1000}), error: null};
+}
+
+function getRequest(requestId) {
+    return entries.find(entry => entry.id === requestId) ?? null;
+}
+
+// Counts the requests matching the filters of findRequests against `count` (exactly), `atLeast` and/or `atMost`.
+// Without any of them, at least one request must match.
+function verifyRequests({count, atLeast, atMost, ...filters} = {}) {
+    for (const [name, value] of Object.entries({count, atLeast, atMost})) {
+        if (value != null && (!Number.isInteger(value) || value < 0)) {
+            return {data: null, error: invalidRequestError(`'${name}' must be a non-negative integer. Given: ${JSON.stringify(value)}`, name)};
+        }
+    }
+
+    const {data: matches, error} = findRequests(filters);
+    if (error) {
+        return {data: null, error};
+    }
+
+    const expected = count == null && atLeast == null && atMost == null ? {atLeast: 1} : {count, atLeast, atMost};
+    const problems = [
+        expected.count != null && matches.length !== expected.count ? `exactly ${expected.count}` : null,
+        expected.atLeast != null && matches.length < expected.atLeast ? `at least ${expected.atLeast}` : null,
+        expected.atMost != null && matches.length > expected.atMost ? `at most ${expected.atMost}` : null
+    ].filter(Boolean);
+
+    return {
+        data: {
+            verified: problems.length === 0,
+            matched: matches.length,
+            message: problems.length === 0
+                ? `${matches.length} matching request(s).`
+                : `Expected ${problems.join(' and ')} matching request(s), found ${matches.length}.`,
+            requestIds: matches.map(entry => entry.id)
+        },
+        error: null
+    };
+}
+
+// query strings only carry strings, so '2' matches 2 and 'true' matches true
+function isSameValue(value, expected) {
+    if (typeof expected === 'string' && (value == null || typeof value !== 'object')) {
+        return String(value) === expected;
+    }
+    return isDeepStrictEqual(value, expected);
+}
+
+// keeps what is sent, up to MAX_CAPTURED_BYTES, without touching the response itself
+function captureResponse(res, capture, onFirstByte) {
+    const collect = (chunk, encoding) => {
+        onFirstByte();
+        if (chunk == null || typeof chunk === 'function') {
+            return;
+        }
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf-8');
+        capture.bytes += buffer.length;
+        if (isTextual(res) && capture.bytes <= MAX_CAPTURED_BYTES) {
+            capture.chunks.push(buffer);
+        }
+    };
+
+    const originalWrite = res.write.bind(res);
+    res.write = (chunk, ...args) => {
+        collect(chunk, args[0]);
+        return originalWrite(chunk, ...args);
+    };
+
+    const originalEnd = res.end.bind(res);
+    res.end = (chunk, ...args) => {
+        collect(chunk, args[0]);
+        return originalEnd(chunk, ...args);
+    };
+}
+
+function getResponseBody(res, capture) {
+    const contentType = res.getHeader('content-type')?.toString() ?? null;
+    if (!isTextual(res)) {
+        return {contentType, bytes: capture.bytes};
+    }
+    if (capture.bytes > MAX_CAPTURED_BYTES) {
+        return {contentType, bytes: capture.bytes, truncated: true};
+    }
+
+    const text = Buffer.concat(capture.chunks).toString('utf-8');
+    if (contentType.startsWith('text/event-stream')) {
+        return {contentType, events: parseEvents(text)};
+    }
+    if (contentType.includes('json')) {
+        try {
+            return {contentType, body: JSON.parse(text)};
+        } catch (e) {
+            // dropped or cut short... keep what was sent
+        }
+    }
+    return {contentType, body: text};
+}
+
+// the data of each server-sent event, parsed when it is json ('[DONE]' stays a string)
+function parseEvents(text) {
+    return text.split('\n\n')
+        .map(block => block.split('\n').filter(line => line.startsWith('data:')).map(line => line.slice('data:'.length).trim()).join('\n'))
+        .filter(data => data.length > 0)
+        .map((data) => {
+            try {
+                return JSON.parse(data);
+            } catch (e) {
+                return data;
+            }
+        });
+}
+
+function isTextual(res) {
+    const contentType = res.getHeader('content-type')?.toString() ?? '';
+    return contentType.includes('json') || contentType.startsWith('text/');
+}
+
+// the journal and its sink file never hold the key itself... `apiKey` only tells which one was used
+function getHeaders(req) {
+    const headers = {...req.headers};
+    if (headers['authorization'] != null) {
+        headers['authorization'] = '<redacted>';
+    }
+    return headers;
+}
+
+// the key's label for configured keys, 'unknown' for any other
+function getApiKeyEntry(req) {
+    const apiKey = getApiKey(req);
+    return apiKey == null ? null : getApiKeyLabel(apiKey, apiKeys) ?? 'unknown';
+}
+
+function getUploadedFiles(req) {
+    const files = req.file ? [req.file] : Object.values(req.files ?? {}).flat();
+    return files.map(file => ({
+        field: file.fieldname,
+        filename: file.originalname,
+        mimeType: file.mimetype,
+        bytes: file.size
+    }));
+}
+
+export {
+    init,
+    clearJournal,
+    journalMiddleware,
+    listRequests,
+    getRequest,
+    verifyRequests
+};
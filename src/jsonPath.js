@@ -0,0 +1,79 @@
+// The JSONPath subset needed to pick values out of request bodies: `$` followed by `.key`, `['key']`, `[index]` (negative
+// from the end), `[*]` / `.*` (every item or value) and `..key` (recursive descent).
+// e.g. `$.tools[*].function.name`, `$.messages[-1].content`, `$..name`
+
+const SEGMENT_PATTERN = /^(?:\.\.([A-Za-z_$][\w$-]*|\*)|\.([A-Za-z_$][\w$-]*|\*)|\[(\*|-?\d+|'[^']*'|"[^"]*")\])/;
+
+// Returns {data, error}, data being every value the path points at (empty when none)
+function evaluateJsonPath(value, path) {
+    const {data: segments, error} = parseJsonPath(path);
+    if (error) {
+        return {data: null, error};
+    }
+
+    let current = [value];
+    for (const {key, recursive} of segments) {
+        const sources = recursive ? current.flatMap(item => getDescendants(item)) : current;
+        current = sources.flatMap(item => getChildren(item, key));
+    }
+
+    return {data: current, error: null};
+}
+
+function parseJsonPath(path) {
+    if (typeof path !== 'string' || !path.startsWith('$')) {
+        return {data: null, error: `JSONPath must start with '$'. Given: ${JSON.stringify(path)}`};
+    }
+
+    const segments = [];
+    let rest = path.slice(1);
+    while (rest.length > 0) {
+        const match = rest.match(SEGMENT_PATTERN);
+        if (!match) {
+            return {data: null, error: `Unsupported JSONPath '${path}' at '${rest}'.`};
+        }
+
+        const [whole, recursiveKey, dotKey, bracketKey] = match;
+        if (recursiveKey != null) {
+            segments.push({key: recursiveKey, recursive: true});
+        } else if (dotKey != null) {
+            segments.push({key: dotKey, recursive: false});
+        } else if (/^['"]/.test(bracketKey)) {
+            segments.push({key: bracketKey.slice(1, -1), recursive: false});
+        } else {
+            segments.push({key: bracketKey === '*' ? '*' : parseInt(bracketKey, 10), recursive: false});
+        }
+        rest = rest.slice(whole.length);
+    }
+
+    return {data: segments, error: null};
+}
+
+function getChildren(item, key) {
+    if (item == null || typeof item !== 'object') {
+        return [];
+    }
+    if (key === '*') {
+        return Array.isArray(item) ? item : Object.values(item);
+    }
+    if (typeof key === 'number') {
+        if (!Array.isArray(item)) {
+            return [];
+        }
+        const idx = key < 0 ? item.length + key : key;
+        return idx >= 0 && idx < item.length ? [item[idx]] : [];
+    }
+    return Object.prototype.hasOwnProperty.call(item, key) ? [item[key]] : [];
+}
+
+// the item itself and everything below it
+function getDescendants(item) {
+    if (item == null || typeof item !== 'object') {
+        return [item];
+    }
+    return [item, ...(Array.isArray(item) ? item : Object.values(item)).flatMap(child => getDescendants(child))];
+}
+
+export {
+    evaluateJsonPath
+};
@@ -0,0 +1,192 @@
+import {sleep, matchesRouteAndModel, onResponseUsage} from "./utils.js";
+import {random} from "./determinism.js";
+
+// Latency profiles for /v1/*, so that the mock's timing looks like the models it stands in for under load.
+// Rules in `latency.rules` are checked in order and the first one matching the request (route, model) picks one of
+// `latency.profiles`. A profile has
+//   - `baseLatencyMs`: time to answer before the prompt is read and the completion generated
+//   - `timeToFirstByteMs`: for streams, used instead of baseLatencyMs
+//   - `msPerPromptToken`: added for every prompt token
+//   - `tokensPerSecond`: generation speed... answers wait for their completion tokens, streams pace their deltas with it
+// Successful responses are held until that time has passed since the request arrived, so the time spent generating them
+// (images, audio) counts towards it. Errors are sent right away. Streams generated by the impls (chat, completions,
+// responses) aren't held but get their time to first token and pacing through getStreamingLatency().
+
+// roughly, for prompts only known from the request (streams, images, audio)
+const CHARS_PER_TOKEN = 4;
+
+let config = null;
+// request -> time it arrived, while latencyMiddleware handles it
+const arrivals = new WeakMap();
+// requests whose streams are timed by the impls
+const pacedRequests = new WeakSet();
+
+function init(cfg) {
+    config = cfg;
+}
+
+function latencyMiddleware(req, res, next) {
+    if (!config.latency?.enable) {
+        return next();
+    }
+
+    const startMs = Date.now();
+    arrivals.set(req, startMs);
+    let usage = null;
+    onResponseUsage(res, (reported) => {
+        usage ??= reported;
+    });
+
+    // everything sent is queued behind the first write... multipart bodies (audio, image edits) are only parsed by then
+    let held = null;
+    let released = false;
+    const hold = (send) => {
+        if (released) {
+            return send();
+        }
+        if (!held) {
+            const profile = getLatencyProfile(req);
+            const waitMs = profile && res.statusCode < 400 && !pacedRequests.has(req) ? getTargetMs(profile, req, res, usage) - (Date.now() - startMs) : 0;
+            if (waitMs <= 0) {
+                released = true;
+                return send();
+            }
+            held = sleep(waitMs).then(() => {
+                released = true;
+            });
+        }
+        held.then(send);
+    };
+
+    const originalWrite = res.write.bind(res);
+    res.write = (chunk, ...args) => {
+        hold(() => originalWrite(chunk, ...args));
+        return true;
+    };
+
+    const originalEnd = res.end.bind(res);
+    res.end = (...args) => {
+        hold(() => originalEnd(...args));
+        return res;
+    };
+
+    next();
+}
+
+// the profile of the first rule matching the request, or null
+function getLatencyProfile(req) {
+    if (!config.latency?.enable) {
+        return null;
+    }
+
+    const rule = (config.latency.rules ?? []).find(rule => matchesRouteAndModel(rule, {route: req.baseUrl + req.path, model: req.body?.model}));
+    return rule ? config.latency.profiles?.[rule.profile] ?? null : null;
+}
+
+// Streaming options for the request's profile: the time left to its first byte as timeToFirstTokenMs, and deltas paced
+// at its tokensPerSecond. latencyMiddleware then lets the stream through as it is written.
+function getStreamingLatency(req) {
+    const profile = getLatencyProfile(req);
+    if (!profile) {
+        return {};
+    }
+
+    pacedRequests.add(req);
+    const elapsedMs = Date.now() - (arrivals.get(req) ?? Date.now());
+    const firstByteMs = sampleMs(profile.timeToFirstByteMs ?? profile.baseLatencyMs) + getPromptMs(profile, req, null);
+    return {
+        timeToFirstTokenMs: Math.max(0, Math.round(firstByteMs - elapsedMs)),
+        tokensPerSecond: profile.tokensPerSecond ?? 0
+    };
+}
+
+function getTargetMs(profile, req, res, usage) {
+    const isStream = res.getHeader('content-type')?.toString().startsWith('text/event-stream');
+    if (isStream) {
+        return sampleMs(profile.timeToFirstByteMs ?? profile.baseLatencyMs) + getPromptMs(profile, req, usage);
+    }
+
+    const tokensPerSecond = sampleMs(profile.tokensPerSecond);
+    const generationMs = tokensPerSecond > 0 ? (usage?.completionTokens ?? 0) * 1000 / tokensPerSecond : 0;
+    return sampleMs(profile.baseLatencyMs) + getPromptMs(profile, req, usage) + generationMs;
+}
+
+function getPromptMs(profile, req, usage) {
+    const promptTokens = usage?.promptTokens ?? estimatePromptTokens(req.body);
+    return promptTokens * (profile.msPerPromptToken ?? 0);
+}
+
+// `spec` is a fixed number, a [min, max] range (uniform) or {distribution, ...}, clamped to its minMs and maxMs when given
+function sampleMs(spec) {
+    if (spec == null) {
+        return 0;
+    }
+    if (typeof spec === 'number') {
+        return spec;
+    }
+    if (Array.isArray(spec)) {
+        return spec[0] + random() * (spec[1] - spec[0]);
+    }
+
+    let ms;
+    switch (spec.distribution) {
+        case 'fixed':
+            ms = spec.ms;
+            break;
+        case 'uniform':
+            ms = spec.minMs + random() * (spec.maxMs - spec.minMs);
+            break;
+        case 'normal':
+            ms = spec.meanMs + spec.stdDevMs * sampleStandardNormal();
+            break;
+        case 'lognormal':
+            ms = spec.medianMs * Math.exp(spec.sigma * sampleStandardNormal());
+            break;
+        case 'histogram':
+            ms = sampleHistogram(spec.buckets);
+            break;
+        default:
+            ms = 0;
+    }
+
+    return Math.min(spec.maxMs ?? Infinity, Math.max(spec.minMs ?? 0, ms));
+}
+
+// Box-Muller
+function sampleStandardNormal() {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// buckets are [{upToMs, count}], count being the observations above the previous bucket's upToMs (not cumulative)...
+// a bucket is picked by its count, then a time uniformly within it
+function sampleHistogram(buckets) {
+    const sorted = [...buckets].sort((a, b) => a.upToMs - b.upToMs);
+    const total = sorted.reduce((sum, bucket) => sum + bucket.count, 0);
+    if (total <= 0) {
+        return 0;
+    }
+
+    let pick = random() * total;
+    for (const [idx, bucket] of sorted.entries()) {
+        pick -= bucket.count;
+        if (pick < 0) {
+            const lowerMs = idx > 0 ? sorted[idx - 1].upToMs : 0;
+            return lowerMs + random() * (bucket.upToMs - lowerMs);
+        }
+    }
+    return sorted[sorted.length - 1].upToMs;
+}
+
+function estimatePromptTokens(body) {
+    const prompt = [body?.messages, body?.prompt, body?.input, body?.instructions].filter(value => value != null);
+    return prompt.length > 0 ? Math.ceil(JSON.stringify(prompt).length / CHARS_PER_TOKEN) : 0;
+}
+
+export {
+    init,
+    latencyMiddleware,
+    getLatencyProfile,
+    getStreamingLatency
+};
@@ -0,0 +1,226 @@
+import {getApiKey, getApiKeyLabel as getConfiguredKeyLabel, onResponseUsage} from "./utils.js";
+
+// Per-request metrics: Prometheus series for GET /metrics, and the window counters behind the periodic [summary] log.
+// Series are labelled by route (the route pattern, so ids don't multiply them), model, status and api key. Models and
+// api keys that aren't configured are labelled 'unknown', for the same reason. Tokens come from the usage computed for
+// each response (streams only when they carry usage).
+
+const PREFIX = 'mock_openai';
+const DEFAULT_LATENCY_BUCKETS_SECONDS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+// object ids in paths that no route matched (rejected by faults or rate limits before routing)
+const ID_SEGMENT_PATTERN = /^([a-z]+[-_][A-Za-z0-9_-]{6,}|gen-.+|\d+)$/;
+
+let config = null;
+let settings = {
+    enable: true,
+    latencyBucketsSeconds: DEFAULT_LATENCY_BUCKETS_SECONDS
+};
+const startTimeSeconds = Date.now() / 1000;
+
+// series key (JSON of the label values) -> value
+const requestCounts = new Map();
+const errorCounts = new Map();
+const inFlightCounts = new Map();
+const tokenCounts = new Map();
+// series key -> {buckets: counts per bucket, sum, count}
+const latencies = new Map();
+
+// for the [summary] log... reset on every log line
+let inFlightRequests = 0;
+let windowStarted = 0;
+let windowCompleted = 0;
+let windowErrors = 0;
+let windowLatencies = [];
+
+function init(cfg) {
+    config = cfg;
+    settings = {...settings, ...cfg?.monitoring?.metrics};
+    settings.latencyBucketsSeconds = [...settings.latencyBucketsSeconds].sort((a, b) => a - b);
+}
+
+function metricsMiddleware(req, res, next) {
+    if (req.path === '/metrics') {
+        return next();
+    }
+
+    const startNs = process.hrtime.bigint();
+    const apiKey = getApiKeyLabel(req);
+    const model = getModelLabel(req.body?.model);
+    const inFlightKey = JSON.stringify([model, apiKey]);
+
+    inFlightRequests++;
+    windowStarted++;
+    inFlightCounts.set(inFlightKey, (inFlightCounts.get(inFlightKey) ?? 0) + 1);
+
+    let errorType = null;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        errorType = body?.error?.type ?? errorType;
+        return originalJson(body);
+    };
+
+    const tokens = {prompt: 0, completion: 0};
+    onResponseUsage(res, ({promptTokens, completionTokens}) => {
+        tokens.prompt += promptTokens;
+        tokens.completion += completionTokens;
+    });
+
+    // 'close' alone means the connection went away before the response was complete (client timeout, dropped by a fault)
+    let done = false;
+    const complete = () => {
+        if (done) {
+            return;
+        }
+        done = true;
+
+        const durationMs = Number(process.hrtime.bigint() - startNs) / 1e6;
+        inFlightRequests--;
+        inFlightCounts.set(inFlightKey, inFlightCounts.get(inFlightKey) - 1);
+
+        windowCompleted++;
+        windowLatencies.push(durationMs);
+        if (res.statusCode >= 500) {
+            windowErrors++;
+        }
+
+        // multipart bodies (audio, image edits) are only parsed by the route
+        const labels = [getRouteLabel(req, res), model !== 'none' ? model : getModelLabel(req.body?.model), res.writableFinished ? String(res.statusCode) : 'aborted', apiKey];
+        const key = JSON.stringify(labels);
+        requestCounts.set(key, (requestCounts.get(key) ?? 0) + 1);
+        observeLatency(key, durationMs / 1000);
+
+        if (!res.writableFinished || res.statusCode >= 400) {
+            const errorKey = JSON.stringify([...labels, errorType ?? (res.writableFinished ? 'unknown' : 'aborted')]);
+            errorCounts.set(errorKey, (errorCounts.get(errorKey) ?? 0) + 1);
+        }
+
+        Object.entries(tokens).forEach(([type, count]) => {
+            if (count > 0) {
+                const tokenKey = JSON.stringify([labels[0], labels[1], apiKey, type]);
+                tokenCounts.set(tokenKey, (tokenCounts.get(tokenKey) ?? 0) + count);
+            }
+        });
+    };
+    res.on('finish', complete);
+    res.on('close', complete);
+
+    next();
+}
+
+function observeLatency(key, seconds) {
+    const buckets = settings.latencyBucketsSeconds;
+    if (!latencies.has(key)) {
+        latencies.set(key, {buckets: buckets.map(() => 0), sum: 0, count: 0});
+    }
+
+    const histogram = latencies.get(key);
+    buckets.forEach((bound, idx) => {
+        if (seconds <= bound) {
+            histogram.buckets[idx]++;
+        }
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+}
+
+// Prometheus text exposition format (0.0.4)
+function renderMetrics() {
+    const lines = [];
+    const requestLabels = ['route', 'model', 'status', 'api_key'];
+
+    addFamily(lines, `${PREFIX}_requests_total`, 'counter', 'Requests handled, by route, model, status and api key.', requestCounts, requestLabels);
+    addFamily(lines, `${PREFIX}_request_errors_total`, 'counter', 'Requests answered with an error status or aborted, by error type.', errorCounts, [...requestLabels, 'type']);
+    addFamily(lines, `${PREFIX}_requests_in_flight`, 'gauge', 'Requests being handled.', inFlightCounts, ['model', 'api_key']);
+    addFamily(lines, `${PREFIX}_tokens_total`, 'counter', 'Tokens from the usage of responses, by type (prompt or completion).', tokenCounts, ['route', 'model', 'api_key', 'type']);
+
+    const name = `${PREFIX}_request_duration_seconds`;
+    lines.push(`# HELP ${name} Time to complete requests, by route, model, status and api key.`);
+    lines.push(`# TYPE ${name} histogram`);
+    latencies.forEach((histogram, key) => {
+        const labels = formatLabels(requestLabels, JSON.parse(key));
+        // bucket counts are kept per bucket... cumulative by construction, since a value lands in every bucket above it
+        settings.latencyBucketsSeconds.forEach((bound, idx) => {
+            lines.push(`${name}_bucket{${labels},le="${bound}"} ${histogram.buckets[idx]}`);
+        });
+        lines.push(`${name}_bucket{${labels},le="+Inf"} ${histogram.count}`);
+        lines.push(`${name}_sum{${labels}} ${histogram.sum}`);
+        lines.push(`${name}_count{${labels}} ${histogram.count}`);
+    });
+
+    lines.push(`# HELP process_start_time_seconds Start time of the process since unix epoch in seconds.`);
+    lines.push(`# TYPE process_start_time_seconds gauge`);
+    lines.push(`process_start_time_seconds ${startTimeSeconds}`);
+    lines.push(`# HELP process_resident_memory_bytes Resident memory size in bytes.`);
+    lines.push(`# TYPE process_resident_memory_bytes gauge`);
+    lines.push(`process_resident_memory_bytes ${process.memoryUsage().rss}`);
+
+    return lines.join('\n') + '\n';
+}
+
+function addFamily(lines, name, type, help, series, labelNames) {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    series.forEach((value, key) => {
+        lines.push(`${name}{${formatLabels(labelNames, JSON.parse(key))}} ${value}`);
+    });
+}
+
+function formatLabels(names, values) {
+    return names.map((name, idx) => `${name}="${String(values[idx]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',');
+}
+
+function startSummaryLog(intervalMs) {
+    setInterval(() => {
+        const count = windowLatencies.length;
+        const sorted = [...windowLatencies].sort((a, b) => a - b);
+        const avgMs = count ? (sorted.reduce((a, b) => a + b, 0) / count) : 0;
+        const p95Ms = count ? sorted[Math.floor(0.95 * (count - 1))] : 0;
+        const maxMs = count ? sorted[sorted.length - 1] : 0;
+
+        console.log(`[summary ${new Date().toISOString()}] in_flight=${inFlightRequests} started=${windowStarted} completed=${windowCompleted} errors=${windowErrors} avg_ms=${avgMs.toFixed(1)} p95_ms=${p95Ms.toFixed(1)} max_ms=${maxMs.toFixed(1)}`);
+
+        windowStarted = 0;
+        windowCompleted = 0;
+        windowErrors = 0;
+        windowLatencies = [];
+    }, intervalMs);
+}
+
+// the matched route pattern... faults and rate limits answer before routing, so ids are masked in the path then
+function getRouteLabel(req, res) {
+    if (req.route?.path) {
+        return req.route.path;
+    }
+
+    const path = req.originalUrl.split('?')[0];
+    if (path.startsWith('/public/')) {
+        return '/public/*';
+    }
+    if (res.statusCode === 404) {
+        return 'unmatched';
+    }
+    return path.split('/').map(segment => ID_SEGMENT_PATTERN.test(segment) ? ':id' : segment).join('/');
+}
+
+function getModelLabel(model) {
+    if (typeof model !== 'string') {
+        return 'none';
+    }
+    const isKnown = Object.values(config.modelConfigs).some(section => section?.models && model in section.models);
+    return isKnown ? model : 'unknown';
+}
+
+function getApiKeyLabel(req) {
+    const apiKey = getApiKey(req);
+    if (apiKey == null) {
+        return 'none';
+    }
+    return getConfiguredKeyLabel(apiKey, config.apiKeys) ?? 'unknown';
+}
+
+export {
+    init,
+    metricsMiddleware,
+    renderMetrics,
+    startSummaryLog
+};
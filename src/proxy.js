@@ -0,0 +1,244 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import {sleep} from "./utils.js";
+import {apiError, sendError} from "./errors.js";
+
+// Record-and-replay proxy for /v1/*.
+// 'record': every request is forwarded to `upstreamBaseUrl` and the request/response pair (incl. SSE streams) is appended to a cassette.
+// 'replay': requests are served from the cassettes, without any network access.
+// A cassette holds all interactions recorded for one request key... replay serves them in recorded order and keeps repeating the last one.
+
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'content-length', 'content-encoding', 'host', 'upgrade'];
+
+function createProxyMiddleware(proxyConfig) {
+    const options = {
+        mode: 'off',
+        cassettesDirectory: './cassettes',
+        // everything that changes the answer... other fields (user, metadata, store, ...) don't split cassettes
+        matchOn: [
+            'model', 'messages', 'tools', 'tool_choice', 'response_format', 'stream', 'stream_options', 'input', 'prompt', 'instructions',
+            'n', 'max_tokens', 'max_completion_tokens', 'max_output_tokens', 'temperature', 'top_p', 'seed', 'logprobs', 'top_logprobs'
+        ],
+        ignoreFields: [],
+        onMiss: 'error',
+        replayTiming: false,
+        timeoutMs: 600000,
+        ...proxyConfig
+    };
+
+    if (options.mode === 'off') {
+        return null;
+    }
+    if (!['record', 'replay'].includes(options.mode)) {
+        throw new Error(`proxy.mode can only be one of 'off', 'record' or 'replay'. Given: ${options.mode}`);
+    }
+    if (options.mode === 'record' && !options.upstreamBaseUrl) {
+        throw new Error(`proxy.upstreamBaseUrl is mandatory in 'record' mode.`);
+    }
+
+    fs.mkdirSync(options.cassettesDirectory, {recursive: true});
+
+    let replayPositions = {};
+
+    const proxyMiddleware = async (req, res, next) => {
+        try {
+            const rawBody = req._body ? null : await readRawBody(req);
+            const key = getRequestKey(req, rawBody, options);
+            const cassettePath = path.join(options.cassettesDirectory, `${key}.json`);
+
+            if (options.mode === 'record') {
+                return await recordInteraction(req, res, rawBody, cassettePath, options);
+            }
+
+            const cassette = readCassette(cassettePath);
+            if (!cassette) {
+                // multipart bodies have already been consumed for hashing, so only json requests can fall through to the mock routes
+                if (options.onMiss === 'mock' && !rawBody) {
+                    return next();
+                }
+                return sendError(res, apiError(404, `No cassette recorded for ${req.method} ${req.originalUrl} (key: ${key}).`, {code: 'cassette_not_found'}));
+            }
+
+            const position = replayPositions[key] ?? 0;
+            replayPositions[key] = position + 1;
+            await replayInteraction(res, cassette.interactions[Math.min(position, cassette.interactions.length - 1)], options);
+        } catch (err) {
+            console.error(`[proxy] ${req.method} ${req.originalUrl}`, err);
+            if (!res.headersSent) {
+                sendError(res, apiError(502, `Proxy error: ${err.message}`, {type: 'server_error'}));
+            } else {
+                res.end();
+            }
+        }
+    };
+
+    // replay starts over from the first interaction of every cassette
+    proxyMiddleware.reset = () => {
+        replayPositions = {};
+    };
+
+    return proxyMiddleware;
+}
+
+async function recordInteraction(req, res, rawBody, cassettePath, options) {
+    const upstreamUrl = options.upstreamBaseUrl.replace(/\/+$/, '') + req.url;
+
+    const headers = {};
+    Object.entries(req.headers)
+        .filter(([name]) => !HOP_BY_HOP_HEADERS.includes(name))
+        .forEach(([name, value]) => headers[name] = value);
+    if (options.upstreamApiKey) {
+        headers['authorization'] = `Bearer ${options.upstreamApiKey}`;
+    }
+
+    const body = ['GET', 'HEAD'].includes(req.method)
+        ? undefined
+        : (rawBody ?? JSON.stringify(req.body));
+
+    const startMs = Date.now();
+    const upstreamResponse = await fetch(upstreamUrl, {
+        method: req.method,
+        headers,
+        body,
+        signal: AbortSignal.timeout(options.timeoutMs)
+    });
+
+    const responseHeaders = {};
+    upstreamResponse.headers.forEach((value, name) => {
+        if (!HOP_BY_HOP_HEADERS.includes(name)) responseHeaders[name] = value;
+    });
+
+    res.status(upstreamResponse.status);
+    Object.entries(responseHeaders).forEach(([name, value]) => res.setHeader(name, value));
+
+    const interaction = {
+        request: {method: req.method, path: req.path, body: rawBody ? {rawBase64: rawBody.toString('base64')} : req.body},
+        response: {status: upstreamResponse.status, headers: responseHeaders}
+    };
+
+    const contentType = responseHeaders['content-type'] ?? '';
+    if (contentType.includes('text/event-stream') && upstreamResponse.body) {
+        // forward the stream as it arrives, remembering when each piece came in
+        const decoder = new TextDecoder();
+        const chunks = [];
+        let lastMs = startMs;
+
+        for await (const piece of upstreamResponse.body) {
+            const text = decoder.decode(piece, {stream: true});
+            const now = Date.now();
+            chunks.push({delayMs: now - lastMs, text});
+            lastMs = now;
+            res.write(text);
+        }
+        res.end();
+
+        interaction.response.stream = chunks;
+    } else {
+        const buffer = Buffer.from(await upstreamResponse.arrayBuffer());
+        const isText = /json|text|xml|srt|vtt/.test(contentType);
+
+        interaction.response.delayMs = Date.now() - startMs;
+        interaction.response[isText ? 'text' : 'bodyBase64'] = isText ? buffer.toString('utf-8') : buffer.toString('base64');
+        res.end(buffer);
+    }
+
+    const cassette = readCassette(cassettePath) ?? {interactions: []};
+    cassette.interactions.push(interaction);
+    fs.writeFileSync(cassettePath, JSON.stringify(cassette, null, 2));
+}
+
+async function replayInteraction(res, interaction, options) {
+    const {status, headers, stream, text, bodyBase64, delayMs} = interaction.response;
+
+    if (!stream && options.replayTiming && delayMs) {
+        await sleep(delayMs);
+    }
+
+    res.status(status);
+    Object.entries(headers ?? {}).forEach(([name, value]) => res.setHeader(name, value));
+
+    if (stream) {
+        for (const chunk of stream) {
+            if (res.destroyed) return;
+            if (options.replayTiming && chunk.delayMs) {
+                await sleep(chunk.delayMs);
+            }
+            res.write(chunk.text);
+        }
+        return res.end();
+    }
+
+    res.end(text != null ? text : Buffer.from(bodyBase64 ?? '', 'base64'));
+}
+
+// Key = hash of method, path and the matched part of the body. Multipart bodies are hashed raw, minus their random boundary.
+function getRequestKey(req, rawBody, options) {
+    let matchedBody = null;
+
+    if (rawBody) {
+        const boundary = /boundary=([^;]+)/.exec(req.headers['content-type'] ?? '')?.[1];
+        const bodyString = rawBody.toString('latin1');
+        matchedBody = boundary ? bodyString.split(boundary).join('') : bodyString;
+    } else if (req.body && typeof req.body === 'object') {
+        const selected = options.matchOn && options.matchOn.length > 0
+            ? Object.fromEntries(options.matchOn.filter(field => field in req.body).map(field => [field, req.body[field]]))
+            : req.body;
+
+        matchedBody = structuredClone(selected);
+        options.ignoreFields.forEach(fieldPath => removePath(matchedBody, fieldPath.split('.')));
+    }
+
+    const hash = crypto.createHash('sha256')
+        .update(JSON.stringify([req.method, req.path, canonicalize(matchedBody)]))
+        .digest('hex')
+        .slice(0, 16);
+
+    const routeSlug = req.path.replace(/^\/+/, '').replace(/[^a-zA-Z0-9]+/g, '_');
+    return `${routeSlug}-${hash}`;
+}
+
+// 'messages.*.tool_calls.*.id' removes the id of every tool call in every message
+function removePath(node, parts) {
+    if (node == null || typeof node !== 'object' || parts.length === 0) {
+        return;
+    }
+
+    const [head, ...rest] = parts;
+    const keys = head === '*' ? Object.keys(node) : [head];
+
+    keys.forEach(key => {
+        if (rest.length === 0) {
+            delete node[key];
+        } else {
+            removePath(node[key], rest);
+        }
+    });
+}
+
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return value.map(canonicalize);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalize(value[key])]));
+    }
+    return value;
+}
+
+function readCassette(cassettePath) {
+    return fs.existsSync(cassettePath) ? JSON.parse(fs.readFileSync(cassettePath, 'utf-8')) : null;
+}
+
+function readRawBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(chunks.length > 0 ? Buffer.concat(chunks) : null));
+        req.on('error', reject);
+    });
+}
+
+export {
+    createProxyMiddleware
+};
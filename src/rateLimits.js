@@ -0,0 +1,164 @@
+import {apiError, sendError} from "./errors.js";
+import {nowMs} from "./determinism.js";
+import {getApiKey, onResponseUsage} from "./utils.js";
+
+// Rate limits for /v1/*, over sliding windows of one minute: requests (RPM), tokens (TPM) and images (IPM). Key-level
+// limits (`rateLimits.defaults`, then `apiKeys.<key>`) are counted per api key, across its models. Model-level limits
+// (`models.<model>`, then `apiKeys.<key>.models.<model>`) are counted per api key and model. A request is admitted while its limits are not used up. Its tokens are taken from the usage of its response (streams
+// included, when they carry usage) and its images from the generated data, so they count against the following requests.
+// Every response gets the x-ratelimit-* headers, and rejected requests a 429 `rate_limit_exceeded` with retry-after.
+// Time comes from the determinism clock, so a frozen clock also freezes the windows.
+
+const WINDOW_MS = 60 * 1000;
+
+const LIMITS = {
+    requests: {setting: 'requestsPerMinute', label: 'requests per min (RPM)'},
+    tokens: {setting: 'tokensPerMinute', label: 'tokens per min (TPM)'},
+    images: {setting: 'imagesPerMinute', label: 'images per min (IPM)'}
+};
+
+let config = null;
+// bucket key -> [{timeMs, requests, tokens, images}], oldest first
+let windows = new Map();
+
+function init(cfg) {
+    config = cfg;
+    windows = new Map();
+}
+
+function rateLimitMiddleware(req, res, next) {
+    if (!config.rateLimits?.enable) {
+        return next();
+    }
+
+    const apiKey = getApiKey(req);
+    const model = typeof req.body?.model === 'string' ? req.body.model : null;
+    const limitNames = req.path.startsWith('/images/') ? ['requests', 'tokens', 'images'] : ['requests', 'tokens'];
+    const now = nowMs();
+    const buckets = getBuckets(apiKey, model, now);
+
+    for (const name of limitNames) {
+        for (const {limits, entries} of buckets) {
+            const limit = limits[name];
+            const used = sumOf(entries, name);
+            if (limit != null && used >= limit) {
+                const retryMs = getRetryMs(entries, name, limit, now);
+                // tokens are only counted once answered, so there's no requested amount to report for them
+                const requested = name === 'tokens' ? '' : `, Requested ${name === 'images' ? req.body?.n ?? 1 : 1}`;
+                setHeaders(res, buckets, limitNames, now);
+                res.setHeader('retry-after', String(Math.max(1, Math.ceil(retryMs / 1000))));
+                return sendError(res, apiError(429,
+                    `Rate limit reached for ${model ?? 'requests'} in organization ${config.organizationName} on ${LIMITS[name].label}: Limit ${limit}, Used ${used}${requested}. Please try again in ${formatDuration(retryMs)}. Visit https://platform.openai.com/account/rate-limits to learn more.`,
+                    {type: name, code: 'rate_limit_exceeded'}
+                ));
+            }
+        }
+    }
+
+    // the same entry goes in every window, so the usage tracked later counts in all of them
+    const entry = {timeMs: now, requests: 1, tokens: 0, images: 0};
+    buckets.forEach(({entries}) => entries.push(entry));
+    setHeaders(res, buckets, limitNames, now);
+    trackUsage(res, entry);
+
+    next();
+}
+
+// tokens and images are only known once the route answers
+function trackUsage(res, entry) {
+    onResponseUsage(res, ({totalTokens}) => entry.tokens += totalTokens);
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        entry.images += Array.isArray(body?.data) && body.data.some(item => item?.url || item?.b64_json) ? body.data.length : 0;
+        return originalJson(body);
+    };
+}
+
+// per limit, the window with the least remaining
+function setHeaders(res, buckets, limitNames, now) {
+    for (const name of limitNames) {
+        const tightest = buckets
+            .filter(({limits}) => limits[name] != null)
+            .map(({limits, entries}) => ({limit: limits[name], remaining: Math.max(0, limits[name] - sumOf(entries, name)), entries}))
+            .sort((a, b) => a.remaining - b.remaining)[0];
+        if (!tightest) {
+            continue;
+        }
+        res.setHeader(`x-ratelimit-limit-${name}`, String(tightest.limit));
+        res.setHeader(`x-ratelimit-remaining-${name}`, String(tightest.remaining));
+        res.setHeader(`x-ratelimit-reset-${name}`, formatDuration(getResetMs(tightest.entries, name, now)));
+    }
+}
+
+// The key-level window, plus the key and model one when the request names a model, each with its limits... the most
+// specific setting wins
+function getBuckets(apiKey, model, now) {
+    const settings = config.rateLimits;
+    const {models: keyModelSettings, ...keySettings} = settings.apiKeys?.[apiKey] ?? {};
+    const buckets = [{
+        limits: toLimits({...settings.defaults, ...keySettings}),
+        entries: getWindow(JSON.stringify([apiKey]), now)
+    }];
+    if (model) {
+        buckets.push({
+            limits: toLimits({...settings.models?.[model], ...keyModelSettings?.[model]}),
+            entries: getWindow(JSON.stringify([apiKey, model]), now)
+        });
+    }
+    return buckets;
+}
+
+// missing limits are unlimited
+function toLimits(settings) {
+    return Object.fromEntries(Object.entries(LIMITS).map(([name, {setting}]) => [name, settings[setting] ?? null]));
+}
+
+// drops the entries that left the window
+function getWindow(key, now) {
+    const entries = (windows.get(key) ?? []).filter(entry => entry.timeMs > now - WINDOW_MS);
+    windows.set(key, entries);
+    return entries;
+}
+
+function sumOf(entries, name) {
+    return entries.reduce((sum, entry) => sum + entry[name], 0);
+}
+
+// until enough of the oldest usage leaves the window to get below the limit again
+function getRetryMs(entries, name, limit, now) {
+    let used = sumOf(entries, name);
+    for (const entry of entries) {
+        used -= entry[name];
+        if (used < limit) {
+            return Math.max(0, entry.timeMs + WINDOW_MS - now);
+        }
+    }
+    return 0;
+}
+
+// until the window is back to its initial state, i.e. the newest usage left it
+function getResetMs(entries, name, now) {
+    const newest = [...entries].reverse().find(entry => entry[name] > 0);
+    return newest ? Math.max(0, newest.timeMs + WINDOW_MS - now) : 0;
+}
+
+// like the real headers: '0s', '20ms', '1.5s', '6m0s'
+function formatDuration(ms) {
+    if (ms <= 0) {
+        return '0s';
+    }
+    if (ms < 1000) {
+        return `${Math.round(ms)}ms`;
+    }
+    const seconds = ms / 1000;
+    if (seconds < 60) {
+        return `${Number(seconds.toFixed(3))}s`;
+    }
+    return `${Math.floor(seconds / 60)}m${Number((seconds % 60).toFixed(3))}s`;
+}
+
+export {
+    init,
+    rateLimitMiddleware
+};
@@ -0,0 +1,180 @@
+import {AsyncLocalStorage} from "async_hooks";
+import {sleep, globToRegex, matchesRouteAndModel} from "./utils.js";
+import {apiError, invalidRequestError, sendError, ERROR_TYPES} from "./errors.js";
+import {getUuid} from "./determinism.js";
+
+// Exact responses queued through the admin API, served to the next /v1 requests matching their route and model, one per
+// request and in the order they were queued, before sample responses, tool regexes and scenarios.
+// A queued response has the form of a scenario's `respond` (content, toolCalls or error), plus an optional `delayMs`
+// waited before it. Errors and delays apply to any route, and are taken from the queue as the request comes in. Content
+// and tool calls only to the routes generating text (tool calls not to legacy completions), where they take the place of
+// the generated response (streams included). They are only taken once the request is validated and generating.
+
+const TEXT_ROUTES = [
+    '/v1/chat/completions',
+    '/v1/completions',
+    '/v1/responses',
+    '/v1/threads/runs',
+    '/v1/threads/*/runs',
+    '/v1/threads/*/runs/*/submit_tool_outputs'
+].map(route => globToRegex(route));
+const TOOL_CALL_ROUTES = TEXT_ROUTES.filter(regex => !regex.test('/v1/completions'));
+
+const requestContext = new AsyncLocalStorage();
+
+// [{id, route, model, response}], oldest first
+let queue = [];
+
+function queueResponses({route = null, model = null, responses} = {}) {
+    if (route != null && typeof route !== 'string') {
+        return {data: null, error: invalidRequestError(`'route' must be a string. Given: ${JSON.stringify(route)}`, 'route')};
+    }
+    if (!Array.isArray(responses) || responses.length === 0) {
+        return {data: null, error: invalidRequestError(`'responses' must be a non-empty array.`, 'responses')};
+    }
+
+    for (const [idx, response] of responses.entries()) {
+        if (response?.content == null && !response?.toolCalls && !response?.error && response?.delayMs == null) {
+            return {data: null, error: invalidRequestError(`'responses[${idx}]' should have 'content', 'toolCalls', 'error' or 'delayMs'.`, `responses[${idx}]`)};
+        }
+        if (response.toolCalls && (!Array.isArray(response.toolCalls) || response.toolCalls.some(tc => typeof tc?.name !== 'string'))) {
+            return {data: null, error: invalidRequestError(`'responses[${idx}].toolCalls' must be a list of {name, arguments}.`, `responses[${idx}].toolCalls`)};
+        }
+    }
+
+    const queued = responses.map(response => ({id: `queued_${getUuid()}`, route, model, response}));
+    queue.push(...queued);
+
+    return {data: {object: 'list', data: queued}, error: null};
+}
+
+function listQueuedResponses() {
+    return {object: 'list', data: [...queue]};
+}
+
+function clearQueuedResponses() {
+    queue = [];
+}
+
+async function queuedResponseMiddleware(req, res, next) {
+    const request = {method: req.method, route: req.baseUrl + req.path, model: req.body?.model};
+    const idx = queue.findIndex(entry => matchesEntry(entry, request));
+    if (idx === -1) {
+        return next();
+    }
+
+    // content and tool calls are left queued for getQueuedResponse(), however deep in the request it is called... the
+    // request that takes the entry gets its delay, before the first byte of its response
+    const {response} = queue[idx];
+    if (isGenerated(response)) {
+        const store = {request, response: null};
+        delayResponse(res, () => store.response?.delayMs ?? 0);
+        return requestContext.run(store, next);
+    }
+
+    queue.splice(idx, 1);
+    if (response.delayMs > 0) {
+        await sleep(response.delayMs);
+    }
+
+    if (response.error) {
+        const {statusCode = 400, message = 'Queued error from the admin API.', type, param, code} = response.error;
+        return sendError(res, apiError(statusCode, message, {type: type ?? (statusCode >= 500 ? ERROR_TYPES.server : ERROR_TYPES.invalidRequest), param, code}));
+    }
+
+    next();
+}
+
+// Content or tool calls queued for the current request, or null. Same form as getScenarioResponse. The entry is taken
+// from the queue on the first call, later calls of the same request (one per choice) get it again.
+function getQueuedResponse() {
+    const store = requestContext.getStore();
+    if (!store) {
+        return null;
+    }
+
+    if (!store.response) {
+        const idx = queue.findIndex(entry => isGenerated(entry.response) && matchesEntry(entry, store.request));
+        if (idx === -1) {
+            return null;
+        }
+        store.response = queue.splice(idx, 1)[0].response;
+    }
+
+    const response = store.response;
+    if (response.toolCalls) {
+        return {
+            contentOrToolCalls: {
+                'tool_calls': response.toolCalls.map(tc => ({name: tc.name, arguments: tc.arguments ?? {}})),
+                'content': null
+            },
+            error: null
+        };
+    }
+
+    return {
+        contentOrToolCalls: {
+            'tool_calls': null,
+            'content': typeof response.content === 'string' ? response.content : JSON.stringify(response.content)
+        },
+        error: null
+    };
+}
+
+// everything sent is queued behind the first write, which waits for getDelayMs() as it is by then
+function delayResponse(res, getDelayMs) {
+    let held = null;
+    let released = false;
+    const hold = (send) => {
+        if (released) {
+            return send();
+        }
+        if (!held) {
+            const delayMs = getDelayMs();
+            if (delayMs <= 0) {
+                released = true;
+                return send();
+            }
+            held = sleep(delayMs).then(() => {
+                released = true;
+            });
+        }
+        held.then(send);
+    };
+
+    const originalWrite = res.write.bind(res);
+    res.write = (chunk, ...args) => {
+        hold(() => originalWrite(chunk, ...args));
+        return true;
+    };
+
+    const originalEnd = res.end.bind(res);
+    res.end = (...args) => {
+        hold(() => originalEnd(...args));
+        return res;
+    };
+}
+
+function isGenerated(response) {
+    return !response.error && (response.content != null || response.toolCalls);
+}
+
+// errors and delays match any route, content and tool calls only the text routes
+function matchesEntry(entry, request) {
+    if (!matchesRouteAndModel(entry, request)) {
+        return false;
+    }
+    const {response} = entry;
+    if (isGenerated(response)) {
+        return request.method === 'POST' && (response.toolCalls ? TOOL_CALL_ROUTES : TEXT_ROUTES).some(regex => regex.test(request.route));
+    }
+    return true;
+}
+
+export {
+    queueResponses,
+    listQueuedResponses,
+    clearQueuedResponses,
+    queuedResponseMiddleware,
+    getQueuedResponse
+};
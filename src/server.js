@@ -1,347 +1,1658 @@
 import express from 'express';
 import {getId, clipText, getTimestampSeconds, isIso6391_1, getRandomDivisibleBy, sleep} from "./utils.js";
-import {oneShotResponse, streamResponse} from './impls/chat.js';
+import {oneShotResponse, streamResponse, getPromptTokens} from './impls/chat.js';
+import {createResponse, streamResponse as responsesStreamResponse, getStoredResponse, deleteStoredResponse} from './impls/responses.js';
+import {createAssistant, listAssistants, getAssistant, updateAssistant, deleteAssistant, createThread, getThread, updateThread, deleteThread, createMessage, listMessages, getMessage, updateMessage, deleteMessage, createRun, listRuns, getRun, updateRun, cancelRun, submitToolOutputs} from './impls/assistants.js';
+import {getPromptTexts, getCompletionPromptTokens, oneShotResponse as completionOneShotResponse, streamResponse as completionStreamResponse} from './impls/completion.js';
 import {textToImage, getImageFileName, parseDimensions} from './impls/image.js';
 import {generateRandomAudio, getAudioFileName, mimeTypeMap, transcribeAudio, translateAudio} from './impls/audio.js';
 import {generateEmbedding} from './impls/embedding.js';
+import {generateModeration} from './impls/moderation.js';
+import {handleRealtimeConnection} from './impls/realtime.js';
+import {validateStrictJsonSchema, findUnresolvedRef} from './generators/jsonSchema.js';
+import {createProxyMiddleware} from './proxy.js';
+import {init as initFiles, addUploadedFile, listFiles, getFile, getFilePath, deleteFile} from './files.js';
+import {init as initBatches, isBatchRequest, createBatch, listBatches, getBatch, cancelBatch} from './batches.js';
+import {init as initVectorStores, createVectorStore, listVectorStores, getVectorStore, updateVectorStore, deleteVectorStore, createVectorStoreFile, listVectorStoreFiles, getVectorStoreFile, updateVectorStoreFile, deleteVectorStoreFile, getVectorStoreFileContent, createFileBatch, getFileBatch, cancelFileBatch, listFileBatchFiles, searchVectorStore} from './vectorStores.js';
+import {init as initFaults, faultMiddleware} from './faults.js';
+import {init as initRateLimits, rateLimitMiddleware} from './rateLimits.js';
+import {init as initLatency, latencyMiddleware, getLatencyProfile, getStreamingLatency} from './latency.js';
+import {queueResponses, listQueuedResponses, clearQueuedResponses, queuedResponseMiddleware} from './responseQueue.js';
+import {init as initMetrics, metricsMiddleware, renderMetrics, startSummaryLog} from './metrics.js';
+import {init as initJournal, clearJournal, journalMiddleware, listRequests, getRequest, verifyRequests} from './journal.js';
+import {init as initFineTuning, createJob, listJobs, getJob, cancelJob, listJobEvents, listJobCheckpoints} from './fineTuning.js';
+import {loadConfig, watchConfig, applyDefaults} from './config.js';
+import {validateConfig} from './configSchema.js';
+import {DEFAULT_ENCODING, countTokens} from './tokenizer.js';
+import {init as initDeterminism, isDeterministic, runWithSeed, nowMs, setClock, resetClock} from './determinism.js';
+import {sendError, invalidRequestError, invalidApiKeyError, modelNotFoundError, contextLengthExceededError, notFoundError, serverError} from './errors.js';
 import {init as initChat} from './generators/chat.js';
 import {init as initImage} from './generators/image.js';
 import {init as initAudio} from './generators/audio.js';
 import {init as initEmbedding} from './generators/embedding.js';
+import {init as initModeration} from './generators/moderation.js';
+import {init as initScenarios} from './generators/scenarios.js';
 import fs from "fs";
 import path from "path";
+import http from "http";
 import multer from 'multer';
+import {WebSocketServer} from 'ws';
 import {fileURLToPath} from "url";
-import yaml from "yaml";
+import {isDeepStrictEqual} from "util";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const contents = fs.readFileSync('./config.yaml', 'utf-8');
-const config = yaml.parse(contents);
+const CONFIG_FILE_PATH = './config.yaml';
+
+const {data: config, error: configError} = loadConfig(CONFIG_FILE_PATH);
+if (configError) {
+    console.error(configError);
+    process.exit(1);
+}
+applyEnvOverrides(config);
 
 // allow container/runtime overrides for host/port
-config.server = {
-    ...config.server,
-    host: process.env.HOST || config.server.host,
-    port: parseInt(process.env.PORT || config.server.port, 10),
-};
+function applyEnvOverrides(cfg) {
+    cfg.server = {
+        ...cfg.server,
+        host: process.env.HOST || cfg.server.host,
+        port: parseInt(process.env.PORT || cfg.server.port, 10),
+    };
+}
+
+// as loaded from the file... what /__admin/reset goes back to
+let initialConfig = structuredClone(config);
+
+// only read at startup, so they can't be changed through /__admin/config or a reload
+const STARTUP_ONLY_CONFIG_KEYS = ['server', 'publicFilesDirectory', 'proxy', 'monitoring', 'admin', 'configReload'];
+
+// every module holding on to parts of the config (compiled regexes, loaded scenarios, settings, ...)... run again when the
+// config changes at runtime. Determinism, faults and rate limits also reset their clock, call counts and windows, so they
+// are only run again when their own section changed.
+async function initModules(changedKeys = null) {
+    const changed = (key) => changedKeys == null || changedKeys.includes(key);
+
+    if (changed('determinism')) {
+        initDeterminism(config);
+    }
+    if (changed('faults')) {
+        initFaults(config);
+    }
+    if (changed('rateLimits')) {
+        initRateLimits(config);
+    }
+
+    initMetrics(config);
+    initJournal(config);
+    initLatency(config);
+    initChat(config);
+    initScenarios(config);
+    initImage(config);
+    initEmbedding(config);
+    initModeration(config);
+    initBatches(config);
+    initFineTuning(config);
+    initVectorStores(config);
+    await initAudio(config);
+}
+
+initModules();
+
+// Makes `newConfig` the running config. It is validated first and then swapped in at once, in place, so that everything
+// holding on to parts of the config sees the change. Returns an error message when it doesn't validate or a module
+// rejects it, the running config being kept then.
+async function swapConfig(newConfig) {
+    applyDefaults(newConfig);
+    const {errors} = validateConfig(newConfig);
+    if (errors.length > 0) {
+        return errors.join(' ');
+    }
+
+    const changedKeys = Object.keys({...config, ...newConfig}).filter(key => !isDeepStrictEqual(config[key], newConfig[key]));
+    const previousConfig = structuredClone(config);
+    try {
+        replaceInPlace(config, newConfig);
+        await initModules(changedKeys);
+    } catch (e) {
+        replaceInPlace(config, previousConfig);
+        await initModules(changedKeys);
+        return e.message;
+    }
+
+    return null;
+}
+
+// hot reload... an invalid file keeps the running config
+if (config.configReload?.enable !== false) {
+    watchConfig(CONFIG_FILE_PATH, config.configReload?.intervalMs ?? 1000, async ({data: newConfig, error}) => {
+        if (error) {
+            return console.error(`[config] Not reloaded, keeping the running config. ${error}`);
+        }
+
+        applyEnvOverrides(newConfig);
+        const restartKeys = STARTUP_ONLY_CONFIG_KEYS.filter(key => !isDeepStrictEqual(config[key], newConfig[key]));
+        restartKeys.forEach((key) => {
+            if (key in config) {
+                newConfig[key] = config[key];
+            } else {
+                delete newConfig[key];
+            }
+        });
+        if (restartKeys.length > 0) {
+            console.warn(`[config] ${restartKeys.join(', ')} only read at startup... restart to apply the change.`);
+        }
+
+        const swapError = await swapConfig(newConfig);
+        if (swapError) {
+            return console.error(`[config] Not reloaded, keeping the running config. ${swapError}`);
+        }
+
+        initialConfig = structuredClone(newConfig);
+        console.log(`[config] Reloaded ${CONFIG_FILE_PATH}`);
+    });
+}
+
+const PUBLIC_FILES_DIRECTORY = path.join(__dirname, config.publicFilesDirectory);  // use full path else res.sendFile throws error since it needs full path
+if (!fs.existsSync(PUBLIC_FILES_DIRECTORY)) {
+    fs.mkdirSync(PUBLIC_FILES_DIRECTORY);
+}
+
+initFiles(PUBLIC_FILES_DIRECTORY);
+
+const chatModelConfigs = config.modelConfigs.chat;
+const completionModelConfigs = config.modelConfigs.completion;
+const vlmModelConfigs = config.modelConfigs.vlm;
+
+const imageGenerationModelConfigs = config.modelConfigs.imageGeneration;
+const imageVariationsModelConfigs = config.modelConfigs.imageVariations;
+const imageEditsModelConfigs = config.modelConfigs.imageEdits;
+
+const audioGenerationModelConfigs = config.modelConfigs.audioGeneration;
+const audioTranscriptionModelConfigs = config.modelConfigs.audioTranscription;
+const audioTranslationModelConfigs = config.modelConfigs.audioTranslation;
+
+const embeddingModelConfigs = config.modelConfigs.embeddings;
+const moderationModelConfigs = config.modelConfigs.moderation;
+const realtimeModelConfigs = config.modelConfigs.realtime;
+
+const upload = multer({ dest: PUBLIC_FILES_DIRECTORY });
+
+function delayMiddleware(delayMs) {
+    return function(req, res, next) {
+        setTimeout(next, delayMs);
+    };
+}
+
+const app = express();
+app.use(express.json());
+
+// per-request metrics, for /metrics and the periodic summaries
+app.use(metricsMiddleware);
+
+// every request and its response, for /__admin/requests
+app.use(journalMiddleware);
+
+// requests with a 'seed' (or all requests, in deterministic mode) draw their randomness from a PRNG seeded for that request
+app.use((req, res, next) => {
+    const seed = req.body?.seed;
+    if (!isDeterministic() && seed == null) {
+        return next();
+    }
+    runWithSeed(seed ?? null, [req.method, req.path, req.body ?? null], next);
+});
+
+const summaryLogIntervalMs = config.monitoring?.summaryLogIntervalMs ?? 5000;
+if (summaryLogIntervalMs > 0) {
+    startSummaryLog(summaryLogIntervalMs);
+}
+
+// returns null when authorized, else the error to send back
+function checkAuth(req, validKeys = []) {
+    if (!validKeys || validKeys.length === 0) {
+        return null;
+    }
+
+    const authHeader = req.headers['authorization'];
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return invalidApiKeyError(null);
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    if (validKeys.includes(token)) {
+        return null;
+    }
+
+    return invalidApiKeyError(token);
+}
+
+// Express 4 doesn't await handlers... a rejection is passed on to the error handler below, like a synchronous throw
+function asyncHandler(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// the stateful APIs (assistants, files, batches, fine-tuning, vector stores, ...) return {data, error} from every function
+function sendResult(res, {data, error}) {
+    if (error) {
+        return sendError(res, error);
+    }
+    res.json(data);
+}
+
+function isPlainObject(value) {
+    return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// JSON merge patch: objects are merged, anything else (arrays included) replaced and null removes the key
+function mergeInPlace(target, patch) {
+    Object.entries(patch).forEach(([key, value]) => {
+        if (value === null) {
+            delete target[key];
+        } else if (isPlainObject(value) && isPlainObject(target[key])) {
+            mergeInPlace(target[key], value);
+        } else {
+            target[key] = structuredClone(value);
+        }
+    });
+}
+
+// makes `target` equal to `source`, keeping the objects both have
+function replaceInPlace(target, source) {
+    Object.keys(target).filter(key => !(key in source)).forEach(key => delete target[key]);
+    Object.entries(source).forEach(([key, value]) => {
+        if (isPlainObject(value) && isPlainObject(target[key])) {
+            replaceInPlace(target[key], value);
+        } else {
+            target[key] = structuredClone(value);
+        }
+    });
+}
+
+// batch lines come back to the routes over loopback... faults, rate limits and queued responses were for the batch
+// request itself, so they don't apply to its lines
+const unlessBatchRequest = (middleware) => (req, res, next) => isBatchRequest(req) ? next() : middleware(req, res, next);
+
+// injected errors, drops and hangs... before everything else under /v1, the proxy included
+app.use('/v1', unlessBatchRequest(asyncHandler(faultMiddleware)));
+app.use('/v1', unlessBatchRequest(rateLimitMiddleware));
+// responses queued through /__admin/responses... the routes answer unauthenticated requests, without taking any
+app.use('/v1', unlessBatchRequest(asyncHandler((req, res, next) => checkAuth(req, config.apiKeys) ? next() : queuedResponseMiddleware(req, res, next))));
+
+// record/replay proxy... takes over /v1/* before the mock routes when enabled. Local api keys still apply.
+const proxyMiddleware = createProxyMiddleware(config.proxy);
+if (proxyMiddleware) {
+    app.use('/v1', (req, res, next) => {
+        const authError = checkAuth(req, config.apiKeys);
+        if (authError) {
+            return sendError(res, authError);
+        }
+        next();
+    }, proxyMiddleware);
+    console.log(`Proxy mode: ${config.proxy.mode} (cassettes: ${config.proxy.cassettesDirectory ?? './cassettes'})`);
+}
+
+// per route and model latency profiles... after the proxy, so they only shape the mock's own responses
+app.use('/v1', latencyMiddleware);
+
+app.get('/health', (_req, res) => {
+    res.json({ status: 'ok' });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (_req, res) => {
+    if(config.monitoring?.metrics?.enable === false) {
+        return sendError(res, notFoundError(`Invalid URL (GET /metrics)`));
+    }
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+// Admin API, for tests to control the mock at runtime instead of editing config.yaml and restarting: queue exact responses,
+// change the config, move the clock and reset everything in between tests.
+// Off unless `admin.enable`... it can change anything, and the server listens on all interfaces.
+app.use('/__admin', (req, res, next) => {
+    if(config.admin?.enable !== true) {
+        return sendError(res, notFoundError(`Invalid URL (${req.method} ${req.originalUrl})`));
+    }
+
+    const authError = checkAuth(req, config.admin?.apiKey ? [config.admin.apiKey] : []);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    next();
+});
+
+app.post('/__admin/responses', (req, res) => {
+    sendResult(res, queueResponses(req.body ?? {}));
+});
+
+app.get('/__admin/responses', (req, res) => {
+    res.json(listQueuedResponses());
+});
+
+app.delete('/__admin/responses', (req, res) => {
+    clearQueuedResponses();
+    res.json(listQueuedResponses());
+});
+
+app.get('/__admin/config', (req, res) => {
+    res.json(redactConfig(config));
+});
+
+app.patch('/__admin/config', asyncHandler(async (req, res) => {
+    const patch = req.body;
+    if(!isPlainObject(patch)) {
+        return sendError(res, invalidRequestError(`The body must be an object with the config keys to change.`));
+    }
+
+    const startupOnlyKey = Object.keys(patch).find(key => STARTUP_ONLY_CONFIG_KEYS.includes(key));
+    if(startupOnlyKey) {
+        return sendError(res, invalidRequestError(`'${startupOnlyKey}' is only read at startup and can't be changed at runtime.`, startupOnlyKey));
+    }
+    if('apiKeys' in patch) {
+        return sendError(res, invalidRequestError(`'apiKeys' can't be changed through the admin API. Edit config.yaml instead.`, 'apiKeys'));
+    }
+
+    const newConfig = structuredClone(config);
+    mergeInPlace(newConfig, patch);
+
+    const error = await swapConfig(newConfig);
+    if(error) {
+        return sendError(res, invalidRequestError(`Invalid config: ${error}`));
+    }
+
+    res.json(redactConfig(config));
+}));
+
+// api keys are never sent back by the admin API
+function redactConfig(cfg) {
+    const redacted = structuredClone(cfg);
+    if (Array.isArray(redacted.apiKeys)) {
+        redacted.apiKeys = redacted.apiKeys.map(() => '<redacted>');
+    }
+    if (redacted.admin?.apiKey) {
+        redacted.admin.apiKey = '<redacted>';
+    }
+    return redacted;
+}
+
+app.post('/__admin/clock', (req, res) => {
+    if(!isDeterministic()) {
+        return sendError(res, invalidRequestError(`The clock can only be set in deterministic mode ('determinism.enable').`));
+    }
+
+    const {time, advanceMs, stepMs} = req.body ?? {};
+    const timeMs = time != null ? new Date(time).getTime() : null;
+    if(time != null && isNaN(timeMs)) {
+        return sendError(res, invalidRequestError(`'time' must be an ISO 8601 date or milliseconds since epoch. Given: ${JSON.stringify(time)}`, 'time'));
+    }
+    if(advanceMs != null && typeof advanceMs !== 'number') {
+        return sendError(res, invalidRequestError(`'advanceMs' must be a number. Given: ${JSON.stringify(advanceMs)}`, 'advanceMs'));
+    }
+
+    const currentMs = nowMs();
+    setClock((timeMs ?? currentMs) + (advanceMs ?? 0), stepMs);
+    res.json({time: new Date(nowMs()).toISOString()});
+});
+
+app.delete('/__admin/clock', (req, res) => {
+    resetClock();
+    res.json({time: new Date(nowMs()).toISOString()});
+});
+
+// filters: route ('*' wildcards), method, model, apiKey, statusCode, bodyPath (JSONPath into the request body) and bodyValue
+app.get('/__admin/requests', (req, res) => {
+    sendResult(res, listRequests(req.query));
+});
+
+app.delete('/__admin/requests', (req, res) => {
+    clearJournal();
+    res.json({ status: 'ok' });
+});
+
+// same filters as the listing, in the body, plus count/atLeast/atMost
+app.post('/__admin/requests/verify', (req, res) => {
+    sendResult(res, verifyRequests(req.body ?? {}));
+});
+
+app.get('/__admin/requests/:requestId', (req, res) => {
+    const entry = getRequest(req.params.requestId);
+    if(!entry) {
+        return sendError(res, notFoundError(`No request found with id '${req.params.requestId}'.`, 'requestId'));
+    }
+    res.json(entry);
+});
+
+// queued responses, journal, config, clock, fault call counts and rate limit windows... stored objects (files, batches, ...) stay
+app.post('/__admin/reset', asyncHandler(async (req, res) => {
+    clearQueuedResponses();
+    clearJournal();
+    proxyMiddleware?.reset();
+    replaceInPlace(config, initialConfig);
+    await initModules();
+    res.json({ status: 'ok' });
+}));
+
+app.use('/__admin', (req, res) => {
+    sendError(res, notFoundError(`Invalid URL (${req.method} ${req.originalUrl})`));
+});
+
+app.post('/v1/chat/completions', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    const requestId = getId();
+    res.setHeader('x-request-id', requestId);
+
+    let { model, messages, tools, tool_choice: toolChoice, stream, stream_options: streamOptions, max_tokens: maxTokensOld, max_completion_tokens: maxTokensNew, temperature, stop: stopSequences, top_p: topP, n: numGenerations, user, frequency_penalty: frequencyPenalty, presence_penalty: presencePenalty, response_format: responseFormat, parallel_tool_calls: parallelToolCalls, seed, logprobs, top_logprobs: topLogprobs } = req.body;
+
+    const maxTokens = maxTokensNew || maxTokensOld;
+    const {
+        authorization,
+        "openai-organization": organization,
+        "openai-project": project,
+        "openai-version": apiVersion,
+        ...headers
+    } = req.headers;
+
+    const latencyMs = config.responseDelay.enable && !getLatencyProfile(req)
+        ? getRandomDivisibleBy(config.responseDelay.minDelayMs, config.responseDelay.maxDelayMs, 1)
+        : 0;
+
+    if (latencyMs) {
+        await sleep(latencyMs);
+    }
+
+    if(temperature) {
+        if(temperature < 0 || temperature > 1) {
+            return sendError(res, invalidRequestError(`'temperature' can only be between 0 and 1. Given: ${temperature}`, 'temperature'));
+        }
+    } else {
+        temperature = 0;
+    }
+
+    if(topP) {
+        if(topP < 0 || topP > 1) {
+            return sendError(res, invalidRequestError(`'top_p' can only be between 0 and 1. Given: ${topP}`, 'top_p'));
+        }
+    } else {
+        topP = 1;
+    }
+
+    if(frequencyPenalty) {
+        if(frequencyPenalty < -2 || frequencyPenalty > 2) {
+            return sendError(res, invalidRequestError(`'frequency_penalty' can only be between -2 and 2. Given: ${frequencyPenalty}`, 'frequency_penalty'));
+        }
+    } else {
+        frequencyPenalty = 0;
+    }
+
+    if(presencePenalty) {
+        if(presencePenalty < -2 || presencePenalty > 2) {
+            return sendError(res, invalidRequestError(`'presence_penalty' can only be between -2 and 2. Given: ${presencePenalty}`, 'presence_penalty'));
+        }
+    } else {
+        presencePenalty = 0;
+    }
+
+    if(seed != null && !Number.isInteger(seed)) {
+        return sendError(res, invalidRequestError(`'seed' should be an integer. Given: ${JSON.stringify(seed)}.`, 'seed'));
+    }
+
+    if(logprobs != null && typeof logprobs !== 'boolean') {
+        return sendError(res, invalidRequestError(`Invalid type for 'logprobs': expected a boolean, but got ${JSON.stringify(logprobs)} instead.`, 'logprobs', 'invalid_type'));
+    }
+
+    if(topLogprobs != null) {
+        if(!Number.isInteger(topLogprobs)) {
+            return sendError(res, invalidRequestError(`Invalid type for 'top_logprobs': expected an integer, but got ${JSON.stringify(topLogprobs)} instead.`, 'top_logprobs', 'invalid_type'));
+        }
+        if(topLogprobs < 0) {
+            return sendError(res, invalidRequestError(`Invalid 'top_logprobs': integer below minimum value. Expected a value >= 0, but got ${topLogprobs} instead.`, 'top_logprobs', 'integer_below_min_value'));
+        }
+        if(topLogprobs > 20) {
+            return sendError(res, invalidRequestError(`Invalid 'top_logprobs': integer above maximum value. Expected a value <= 20, but got ${topLogprobs} instead.`, 'top_logprobs', 'integer_above_max_value'));
+        }
+        if(logprobs !== true) {
+            return sendError(res, invalidRequestError(`'logprobs' must be set to true when 'top_logprobs' is specified.`, 'top_logprobs'));
+        }
+    }
+
+    if(stopSequences) {
+        if(Array.isArray(stopSequences) && stopSequences.length > 4) {
+            return sendError(res, invalidRequestError(`Only 4 stop sequences are allowed. Given: ${stopSequences.length}.`, 'stop'));
+        }
+        if(!Array.isArray(stopSequences)) {
+            stopSequences = [stopSequences];
+        }
+    } else {
+        stopSequences = [];
+    }
+
+    const availableModels = Object.keys(chatModelConfigs.models)
+    if(!availableModels.includes(model)) {
+        return sendError(res, modelNotFoundError(model, availableModels));
+    }
+
+    const modelConfig = chatModelConfigs.models[model];
+    const encoding = modelConfig.encoding ?? DEFAULT_ENCODING;
+    if(maxTokens > modelConfig.maxTokens) {
+        return sendError(res, invalidRequestError(`max_tokens is too large: ${maxTokens}. This model supports at most ${modelConfig.maxTokens} completion tokens, whereas you provided ${maxTokens}.`, 'max_tokens'));
+    }
+
+    if(modelConfig.contextWindow) {
+        const requestedTokens = getPromptTokens(messages, tools, encoding) + (maxTokens || 0);
+        if(requestedTokens > modelConfig.contextWindow) {
+            return sendError(res, contextLengthExceededError(modelConfig.contextWindow, requestedTokens));
+        }
+    }
+
+    let addExtraUsageOnlyChunk = false;
+    if(streamOptions) {
+        if(!stream) {
+            return sendError(res, invalidRequestError(`'stream_options' can only be specified if 'stream' is true.`, 'stream_options'));
+        }
+        if(streamOptions['include_usage']) {
+            addExtraUsageOnlyChunk = true;
+        }
+    }
+
+    if(numGenerations) {
+        if(numGenerations < 1) {
+            return sendError(res, invalidRequestError(`'n' should be greater than 0. Given: ${numGenerations}`, 'n'));
+        }
+
+        if(numGenerations > 1 && stream) {
+            return sendError(res, invalidRequestError(`For streaming, 'n' should not be greater than 1. Given: ${numGenerations}.`, 'n'));
+        }
+    } else {
+        numGenerations = 1;
+    }
+
+    let isJsonOutput = false;
+    let givenJsonSchema = null;
+
+    if(responseFormat && 'type' in responseFormat) {
+        if(responseFormat.type === 'json_object') {
+            isJsonOutput = true;
+        } else if(responseFormat.type === 'json_schema') {
+            isJsonOutput = true;
+            if(!responseFormat['json_schema']) {
+                return sendError(res, invalidRequestError(`Please specify json schema in response_format.json_schema field`, 'response_format'));
+            }
+
+            try {
+                givenJsonSchema = typeof responseFormat['json_schema'] === 'string' ? JSON.parse(responseFormat['json_schema']) : responseFormat['json_schema'];
+            } catch (e) {
+                return sendError(res, invalidRequestError(`'response_format.json_schema' is not valid JSON: ${e.message}`, 'response_format'));
+            }
+
+            if(!givenJsonSchema.name) {
+                return sendError(res, invalidRequestError(`Missing required parameter: 'response_format.json_schema.name'.`, 'response_format.json_schema.name', 'missing_required_parameter'));
+            }
+
+            if(givenJsonSchema.strict && givenJsonSchema.schema) {
+                const strictSchemaError = validateStrictJsonSchema(givenJsonSchema.schema, givenJsonSchema.name);
+                if(strictSchemaError) {
+                    return sendError(res, invalidRequestError(strictSchemaError, 'response_format', 'invalid_json_schema'));
+                }
+            }
+
+            if(givenJsonSchema.schema) {
+                const unresolvedRef = findUnresolvedRef(givenJsonSchema.schema);
+                if(unresolvedRef) {
+                    return sendError(res, invalidRequestError(`Invalid schema for response_format '${givenJsonSchema.name}': could not resolve reference: ${unresolvedRef}.`, 'response_format', 'invalid_json_schema'));
+                }
+            }
+        }
+    }
+
+    if(typeof toolChoice === 'string') {
+        if(!['none', 'auto', 'required'].includes(toolChoice)) {
+            return sendError(res, invalidRequestError(`Invalid 'tool_choice' specified: ${JSON.stringify(toolChoice)}.`, 'tool_choice'));
+        }
+        if(toolChoice !== 'none' && (!tools || tools.length == 0)) {
+            return sendError(res, invalidRequestError(`Please provide tool definitions since 'tool_choice' is specified.`, 'tools'));
+        }
+    } else {
+        if(toolChoice) {
+            if (!('type' in toolChoice)
+                || toolChoice['type'] !== 'function'
+                || !('function' in toolChoice)
+                || !toolChoice['function']
+                || !('name' in toolChoice['function'])) {
+                return sendError(res, invalidRequestError(`Invalid 'tool_choice' definition: ${JSON.stringify(toolChoice)}.`, 'tool_choice'));
+            } else if (!toolChoice['function']['name']) {
+                return sendError(res, invalidRequestError(`No function name specified in 'tool_choice': ${JSON.stringify(toolChoice)}.`, 'tool_choice'));
+            } else if (tools.map(t => t?.function?.name ?? '').filter(f => f === toolChoice['function']['name']).length == 0) {
+                return sendError(res, invalidRequestError(`Required tool/function not found in provided tools.\nGiven 'tool_choice': ${JSON.stringify(toolChoice)}, \nand given 'tools': ${JSON.stringify(tools)}.`, 'tool_choice'));
+            }
+        }
+    }
+
+    if(parallelToolCalls != null) {
+        if(typeof parallelToolCalls !== 'boolean') {
+            return sendError(res, invalidRequestError(`'parallel_tool_calls' should be a boolean. Given: ${JSON.stringify(parallelToolCalls)}.`, 'parallel_tool_calls'));
+        }
+        if(!tools || tools.length == 0) {
+            return sendError(res, invalidRequestError(`'parallel_tool_calls' is only allowed when 'tools' are specified.`, 'parallel_tool_calls'));
+        }
+    }
+
+    let responseClosed = false;
+    const markResponseClosed = () => { responseClosed = true; };
+    res.on('close', markResponseClosed);
+    res.on('finish', markResponseClosed);
+
+    if(stream) {
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        //res.flushHeaders();
+
+        const canWrite = () => !(responseClosed || res.writableEnded || res.destroyed);
+
+        streamResponse({
+            model, encoding, messages, tools, toolChoice, parallelToolCalls, maxTokens, logprobs, topLogprobs, temperature, stopSequences, frequencyPenalty, presencePenalty, addExtraUsageOnlyChunk, isJsonOutput, givenJsonSchema,
+            streamingOptions: {...chatModelConfigs.streaming, ...modelConfig.streaming, ...getStreamingLatency(req)},
+            isCancelled: () => !canWrite(),
+            onChunk: (chunk) => {
+                if (!canWrite()) return;
+                res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+            },
+            onCompletion: () => {
+                if (!canWrite()) return;
+                res.write(`data: [DONE]\n\n`);
+                res.end();
+            },
+            onError: ((err) => {
+                if (responseClosed || res.headersSent) return;
+                sendError(res, err);
+            })
+        });
+    } else {
+        const canReply = () => !(responseClosed || res.writableEnded || res.headersSent);
+
+        oneShotResponse({
+            model, encoding, messages, tools, toolChoice, parallelToolCalls, maxTokens, logprobs, topLogprobs, numGenerations, temperature, stopSequences, frequencyPenalty, presencePenalty, isJsonOutput, givenJsonSchema,
+            onData: (data) => {
+                if (!canReply()) return;
+                res.json(data);
+            },
+            onError: ((err) => {
+                if (!canReply()) return;
+                sendError(res, err);
+            })
+        });
+    }
+}));
+
+app.post('/v1/completions', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    const requestId = getId();
+    res.setHeader('x-request-id', requestId);
+
+    let { model, prompt, suffix, echo, best_of: bestOf, n: numGenerations, logprobs, stream, stream_options: streamOptions, max_tokens: maxTokens, temperature, top_p: topP, stop: stopSequences, frequency_penalty: frequencyPenalty, presence_penalty: presencePenalty, seed, user } = req.body;
+
+    const latencyMs = config.responseDelay.enable && !getLatencyProfile(req)
+        ? getRandomDivisibleBy(config.responseDelay.minDelayMs, config.responseDelay.maxDelayMs, 1)
+        : 0;
+
+    if (latencyMs) {
+        await sleep(latencyMs);
+    }
+
+    const availableModels = Object.keys(completionModelConfigs.models)
+    if(!availableModels.includes(model)) {
+        return sendError(res, modelNotFoundError(model, availableModels));
+    }
+
+    const modelConfig = completionModelConfigs.models[model];
+    const encoding = modelConfig.encoding ?? DEFAULT_ENCODING;
+
+    if(prompt == null) {
+        return sendError(res, invalidRequestError(`Missing required parameter: 'prompt'.`, 'prompt', 'missing_required_parameter'));
+    }
+
+    const promptTexts = getPromptTexts(prompt, encoding);
+    if(!promptTexts) {
+        return sendError(res, invalidRequestError(`'prompt' should be a string, an array of strings, an array of tokens or an array of token arrays.`, 'prompt'));
+    }
+
+    if(suffix != null && typeof suffix !== 'string') {
+        return sendError(res, invalidRequestError(`'suffix' should be a string. Given: ${JSON.stringify(suffix)}.`, 'suffix'));
+    }
+
+    if(echo != null && typeof echo !== 'boolean') {
+        return sendError(res, invalidRequestError(`'echo' should be a boolean. Given: ${JSON.stringify(echo)}.`, 'echo'));
+    }
+
+    // legacy default
+    if(maxTokens == null) {
+        maxTokens = 16;
+    }
+    if(!Number.isInteger(maxTokens) || maxTokens < 0) {
+        return sendError(res, invalidRequestError(`'max_tokens' should be a non-negative integer. Given: ${JSON.stringify(maxTokens)}.`, 'max_tokens'));
+    }
+    if(maxTokens > modelConfig.maxTokens) {
+        return sendError(res, invalidRequestError(`max_tokens is too large: ${maxTokens}. This model supports at most ${modelConfig.maxTokens} completion tokens, whereas you provided ${maxTokens}.`, 'max_tokens'));
+    }
+
+    if(modelConfig.contextWindow) {
+        const requestedTokens = Math.max(...promptTexts.map(promptText => getCompletionPromptTokens([promptText], suffix, encoding))) + maxTokens;
+        if(requestedTokens > modelConfig.contextWindow) {
+            return sendError(res, contextLengthExceededError(modelConfig.contextWindow, requestedTokens, 'prompt'));
+        }
+    }
+
+    if(temperature) {
+        if(temperature < 0 || temperature > 2) {
+            return sendError(res, invalidRequestError(`'temperature' can only be between 0 and 2. Given: ${temperature}`, 'temperature'));
+        }
+    } else {
+        temperature = 1;
+    }
+
+    if(topP) {
+        if(topP < 0 || topP > 1) {
+            return sendError(res, invalidRequestError(`'top_p' can only be between 0 and 1. Given: ${topP}`, 'top_p'));
+        }
+    } else {
+        topP = 1;
+    }
+
+    if(frequencyPenalty) {
+        if(frequencyPenalty < -2 || frequencyPenalty > 2) {
+            return sendError(res, invalidRequestError(`'frequency_penalty' can only be between -2 and 2. Given: ${frequencyPenalty}`, 'frequency_penalty'));
+        }
+    } else {
+        frequencyPenalty = 0;
+    }
+
+    if(presencePenalty) {
+        if(presencePenalty < -2 || presencePenalty > 2) {
+            return sendError(res, invalidRequestError(`'presence_penalty' can only be between -2 and 2. Given: ${presencePenalty}`, 'presence_penalty'));
+        }
+    } else {
+        presencePenalty = 0;
+    }
+
+    if(seed != null && !Number.isInteger(seed)) {
+        return sendError(res, invalidRequestError(`'seed' should be an integer. Given: ${JSON.stringify(seed)}.`, 'seed'));
+    }
+
+    // legacy logprobs is the number of alternatives per token (0-5), not a boolean
+    if(logprobs != null) {
+        if(!Number.isInteger(logprobs)) {
+            return sendError(res, invalidRequestError(`Invalid type for 'logprobs': expected an integer, but got ${JSON.stringify(logprobs)} instead.`, 'logprobs', 'invalid_type'));
+        }
+        if(logprobs < 0) {
+            return sendError(res, invalidRequestError(`Invalid 'logprobs': integer below minimum value. Expected a value >= 0, but got ${logprobs} instead.`, 'logprobs', 'integer_below_min_value'));
+        }
+        if(logprobs > 5) {
+            return sendError(res, invalidRequestError(`Invalid 'logprobs': integer above maximum value. Expected a value <= 5, but got ${logprobs} instead.`, 'logprobs', 'integer_above_max_value'));
+        }
+    }
+
+    if(stopSequences) {
+        if(Array.isArray(stopSequences) && stopSequences.length > 4) {
+            return sendError(res, invalidRequestError(`Only 4 stop sequences are allowed. Given: ${stopSequences.length}.`, 'stop'));
+        }
+        if(!Array.isArray(stopSequences)) {
+            stopSequences = [stopSequences];
+        }
+    } else {
+        stopSequences = [];
+    }
+
+    let addExtraUsageOnlyChunk = false;
+    if(streamOptions) {
+        if(!stream) {
+            return sendError(res, invalidRequestError(`'stream_options' can only be specified if 'stream' is true.`, 'stream_options'));
+        }
+        if(streamOptions['include_usage']) {
+            addExtraUsageOnlyChunk = true;
+        }
+    }
+
+    if(numGenerations != null) {
+        if(!Number.isInteger(numGenerations) || numGenerations < 1 || numGenerations > 128) {
+            return sendError(res, invalidRequestError(`'n' should be an integer between 1 and 128. Given: ${JSON.stringify(numGenerations)}.`, 'n'));
+        }
+    } else {
+        numGenerations = 1;
+    }
+
+    if(bestOf != null) {
+        if(!Number.isInteger(bestOf) || bestOf < 1 || bestOf > 20) {
+            return sendError(res, invalidRequestError(`'best_of' should be an integer between 1 and 20. Given: ${JSON.stringify(bestOf)}.`, 'best_of'));
+        }
+        if(bestOf < numGenerations) {
+            return sendError(res, invalidRequestError(`'best_of' must be greater than or equal to 'n'. Given: best_of=${bestOf}, n=${numGenerations}.`, 'best_of'));
+        }
+        if(bestOf > 1 && stream) {
+            return sendError(res, invalidRequestError(`Cannot stream results with 'best_of' greater than 1. Given: ${bestOf}.`, 'best_of'));
+        }
+    } else {
+        bestOf = numGenerations;
+    }
+
+    let responseClosed = false;
+    const markResponseClosed = () => { responseClosed = true; };
+    res.on('close', markResponseClosed);
+    res.on('finish', markResponseClosed);
+
+    if(stream) {
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+
+        const canWrite = () => !(responseClosed || res.writableEnded || res.destroyed);
+
+        completionStreamResponse({
+            model, encoding, promptTexts, suffix, echo, numGenerations, logprobs, maxTokens, stopSequences, frequencyPenalty, presencePenalty, addExtraUsageOnlyChunk,
+            streamingOptions: {...completionModelConfigs.streaming, ...modelConfig.streaming, ...getStreamingLatency(req)},
+            isCancelled: () => !canWrite(),
+            onChunk: (chunk) => {
+                if (!canWrite()) return;
+                res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+            },
+            onCompletion: () => {
+                if (!canWrite()) return;
+                res.write(`data: [DONE]\n\n`);
+                res.end();
+            }
+        });
+    } else {
+        completionOneShotResponse({
+            model, encoding, promptTexts, suffix, echo, bestOf, numGenerations, logprobs, maxTokens, stopSequences, frequencyPenalty, presencePenalty,
+            onData: (data) => {
+                if (responseClosed || res.headersSent) return;
+                res.json(data);
+            }
+        });
+    }
+}));
+
+app.post('/v1/responses', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    const requestId = getId();
+    res.setHeader('x-request-id', requestId);
+
+    let { model, input, instructions, previous_response_id: previousResponseId, tools, tool_choice: toolChoice, parallel_tool_calls: parallelToolCalls, max_output_tokens: maxOutputTokens, temperature, top_p: topP, text, store, stream, metadata, user } = req.body;
+
+    const latencyMs = config.responseDelay.enable && !getLatencyProfile(req)
+        ? getRandomDivisibleBy(config.responseDelay.minDelayMs, config.responseDelay.maxDelayMs, 1)
+        : 0;
+
+    if (latencyMs) {
+        await sleep(latencyMs);
+    }
+
+    const availableModels = Object.keys(chatModelConfigs.models)
+    if(!availableModels.includes(model)) {
+        return sendError(res, modelNotFoundError(model, availableModels));
+    }
+
+    const modelConfig = chatModelConfigs.models[model];
+    const encoding = modelConfig.encoding ?? DEFAULT_ENCODING;
+
+    if(input == null) {
+        return sendError(res, invalidRequestError(`Missing required parameter: 'input'.`, 'input', 'missing_required_parameter'));
+    }
+    if(typeof input !== 'string' && !Array.isArray(input)) {
+        return sendError(res, invalidRequestError(`'input' should be a string or an array of input items.`, 'input'));
+    }
+
+    if(instructions != null && typeof instructions !== 'string') {
+        return sendError(res, invalidRequestError(`'instructions' should be a string. Given: ${JSON.stringify(instructions)}.`, 'instructions'));
+    }
+
+    if(maxOutputTokens != null) {
+        if(!Number.isInteger(maxOutputTokens)) {
+            return sendError(res, invalidRequestError(`Invalid type for 'max_output_tokens': expected an integer, but got ${JSON.stringify(maxOutputTokens)} instead.`, 'max_output_tokens', 'invalid_type'));
+        }
+        if(maxOutputTokens < 16) {
+            return sendError(res, invalidRequestError(`Invalid 'max_output_tokens': integer below minimum value. Expected a value >= 16, but got ${maxOutputTokens} instead.`, 'max_output_tokens', 'integer_below_min_value'));
+        }
+        if(maxOutputTokens > modelConfig.maxTokens) {
+            return sendError(res, invalidRequestError(`max_output_tokens is too large: ${maxOutputTokens}. This model supports at most ${modelConfig.maxTokens} output tokens, whereas you provided ${maxOutputTokens}.`, 'max_output_tokens'));
+        }
+    }
+
+    if(temperature != null && (temperature < 0 || temperature > 2)) {
+        return sendError(res, invalidRequestError(`'temperature' can only be between 0 and 2. Given: ${temperature}`, 'temperature'));
+    }
+
+    if(topP != null && (topP < 0 || topP > 1)) {
+        return sendError(res, invalidRequestError(`'top_p' can only be between 0 and 1. Given: ${topP}`, 'top_p'));
+    }
+
+    if(tools != null) {
+        if(!Array.isArray(tools)) {
+            return sendError(res, invalidRequestError(`'tools' should be an array. Given: ${JSON.stringify(tools)}.`, 'tools'));
+        }
+        const invalidToolIdx = tools.findIndex(tool => tool?.type === 'function' && !tool.name);
+        if(invalidToolIdx > -1) {
+            return sendError(res, invalidRequestError(`Missing required parameter: 'tools[${invalidToolIdx}].name'.`, `tools[${invalidToolIdx}].name`, 'missing_required_parameter'));
+        }
+    }
+
+    if(typeof toolChoice === 'string') {
+        if(!['none', 'auto', 'required'].includes(toolChoice)) {
+            return sendError(res, invalidRequestError(`Invalid 'tool_choice' specified: ${JSON.stringify(toolChoice)}.`, 'tool_choice'));
+        }
+        if(toolChoice === 'required' && (!tools || tools.length == 0)) {
+            return sendError(res, invalidRequestError(`Tool choice 'required' must be specified with 'tools' parameter.`, 'tool_choice'));
+        }
+    } else if(toolChoice) {
+        if(toolChoice.type !== 'function' || !toolChoice.name) {
+            return sendError(res, invalidRequestError(`Invalid 'tool_choice' definition: ${JSON.stringify(toolChoice)}.`, 'tool_choice'));
+        }
+        if(!(tools ?? []).some(tool => tool.name === toolChoice.name)) {
+            return sendError(res, invalidRequestError(`Tool choice '${toolChoice.name}' not found in 'tools' parameter.`, 'tool_choice'));
+        }
+    }
+
+    if(parallelToolCalls != null && typeof parallelToolCalls !== 'boolean') {
+        return sendError(res, invalidRequestError(`'parallel_tool_calls' should be a boolean. Given: ${JSON.stringify(parallelToolCalls)}.`, 'parallel_tool_calls'));
+    }
+
+    const textFormat = text?.format ?? null;
+    if(textFormat) {
+        if(!['text', 'json_object', 'json_schema'].includes(textFormat.type)) {
+            return sendError(res, invalidRequestError(`Invalid value for 'text.format.type': ${JSON.stringify(textFormat.type)}.`, 'text.format.type'));
+        }
+        if(textFormat.type === 'json_schema') {
+            if(!textFormat.name) {
+                return sendError(res, invalidRequestError(`Missing required parameter: 'text.format.name'.`, 'text.format.name', 'missing_required_parameter'));
+            }
+            if(!textFormat.schema) {
+                return sendError(res, invalidRequestError(`Missing required parameter: 'text.format.schema'.`, 'text.format.schema', 'missing_required_parameter'));
+            }
+            if(textFormat.strict) {
+                const strictSchemaError = validateStrictJsonSchema(textFormat.schema, textFormat.name);
+                if(strictSchemaError) {
+                    return sendError(res, invalidRequestError(strictSchemaError, 'text.format.schema', 'invalid_json_schema'));
+                }
+            }
+            const unresolvedRef = findUnresolvedRef(textFormat.schema);
+            if(unresolvedRef) {
+                return sendError(res, invalidRequestError(`Invalid schema for response_format '${textFormat.name}': could not resolve reference: ${unresolvedRef}.`, 'text.format.schema', 'invalid_json_schema'));
+            }
+        }
+    }
+
+    let responseClosed = false;
+    const markResponseClosed = () => { responseClosed = true; };
+    res.on('close', markResponseClosed);
+    res.on('finish', markResponseClosed);
+
+    const params = {model, encoding, input, instructions, previousResponseId, tools, toolChoice, parallelToolCalls, maxOutputTokens, temperature, topP, textFormat, store, metadata, user};
+
+    if(stream) {
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+
+        const canWrite = () => !(responseClosed || res.writableEnded || res.destroyed);
+
+        responsesStreamResponse({
+            ...params,
+            streamingOptions: {...chatModelConfigs.streaming, ...modelConfig.streaming, ...getStreamingLatency(req)},
+            isCancelled: () => !canWrite(),
+            onEvent: (type, event) => {
+                if (!canWrite()) return;
+                res.write(`event: ${type}\ndata: ${JSON.stringify(event)}\n\n`);
+            },
+            onCompletion: () => {
+                if (!canWrite()) return;
+                res.end();
+            },
+            onError: ((err) => {
+                if (responseClosed || res.headersSent) return;
+                sendError(res, err);
+            })
+        });
+    } else {
+        createResponse({
+            ...params,
+            onData: (data) => {
+                if (responseClosed || res.headersSent) return;
+                res.json(data);
+            },
+            onError: ((err) => {
+                if (responseClosed || res.headersSent) return;
+                sendError(res, err);
+            })
+        });
+    }
+}));
+
+app.get('/v1/responses/:responseId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    const response = getStoredResponse(req.params.responseId);
+    if(!response) {
+        return sendError(res, notFoundError(`Response with id '${req.params.responseId}' not found.`));
+    }
+
+    res.json(response);
+}));
+
+app.delete('/v1/responses/:responseId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    const { responseId } = req.params;
+    if(!deleteStoredResponse(responseId)) {
+        return sendError(res, notFoundError(`Response with id '${responseId}' not found.`));
+    }
+
+    res.json({
+        id: responseId,
+        object: 'response.deleted',
+        deleted: true
+    });
+}));
+
+app.post('/v1/assistants', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    const { model, tools } = req.body;
+
+    const availableModels = Object.keys(chatModelConfigs.models)
+    if(!availableModels.includes(model)) {
+        return sendError(res, modelNotFoundError(model, availableModels));
+    }
+
+    if(tools != null && !Array.isArray(tools)) {
+        return sendError(res, invalidRequestError(`'tools' should be an array. Given: ${JSON.stringify(tools)}.`, 'tools'));
+    }
+
+    sendResult(res, createAssistant(req.body));
+}));
+
+app.get('/v1/assistants', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, listAssistants(req.query));
+}));
+
+app.get('/v1/assistants/:assistantId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, getAssistant(req.params.assistantId));
+}));
+
+app.post('/v1/assistants/:assistantId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    const { model } = req.body;
+
+    const availableModels = Object.keys(chatModelConfigs.models)
+    if(model !== undefined && !availableModels.includes(model)) {
+        return sendError(res, modelNotFoundError(model, availableModels));
+    }
+
+    sendResult(res, updateAssistant(req.params.assistantId, req.body));
+}));
+
+app.delete('/v1/assistants/:assistantId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, deleteAssistant(req.params.assistantId));
+}));
+
+app.post('/v1/threads', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, createThread(req.body ?? {}));
+}));
+
+app.get('/v1/threads/:threadId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, getThread(req.params.threadId));
+}));
+
+app.post('/v1/threads/:threadId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, updateThread(req.params.threadId, req.body ?? {}));
+}));
+
+app.delete('/v1/threads/:threadId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, deleteThread(req.params.threadId));
+}));
+
+app.post('/v1/threads/:threadId/messages', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, createMessage(req.params.threadId, req.body ?? {}));
+}));
+
+app.get('/v1/threads/:threadId/messages', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, listMessages(req.params.threadId, req.query));
+}));
+
+app.get('/v1/threads/:threadId/messages/:messageId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, getMessage(req.params.threadId, req.params.messageId));
+}));
+
+app.post('/v1/threads/:threadId/messages/:messageId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, updateMessage(req.params.threadId, req.params.messageId, req.body ?? {}));
+}));
+
+app.delete('/v1/threads/:threadId/messages/:messageId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, deleteMessage(req.params.threadId, req.params.messageId));
+}));
+
+// run events are sent as they happen (status changes, message deltas) until the run finishes or needs tool outputs
+// the stream headers go out with the first event... runs only emit once the request is validated, so errors stay json
+function getRunEventWriter(res) {
+    return (type, data) => {
+        if (res.writableEnded || res.destroyed) return;
+        if (!res.headersSent) {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+        }
+        res.write(`event: ${type}\ndata: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+        if (type === 'done') {
+            res.end();
+        }
+    };
+}
+
+app.post('/v1/threads/:threadId/runs', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    const { assistant_id: assistantId, model, tool_choice: toolChoice, stream } = req.body;
+
+    if(!assistantId) {
+        return sendError(res, invalidRequestError(`Missing required parameter: 'assistant_id'.`, 'assistant_id', 'missing_required_parameter'));
+    }
+
+    const {data: assistant, error} = getAssistant(assistantId);
+    if(error) {
+        return sendError(res, error);
+    }
+
+    const availableModels = Object.keys(chatModelConfigs.models)
+    if(model != null && !availableModels.includes(model)) {
+        return sendError(res, modelNotFoundError(model, availableModels));
+    }
+
+    if(typeof toolChoice === 'string' && !['none', 'auto', 'required'].includes(toolChoice)) {
+        return sendError(res, invalidRequestError(`Invalid 'tool_choice' specified: ${JSON.stringify(toolChoice)}.`, 'tool_choice'));
+    }
+
+    const modelConfig = chatModelConfigs.models[model ?? assistant.model] ?? {};
+    const onEvent = stream ? getRunEventWriter(res) : null;
+
+    const result = createRun(req.params.threadId, assistant, req.body, {
+        encoding: modelConfig.encoding ?? DEFAULT_ENCODING,
+        schedule: config.assistants?.runSchedule,
+        streamingOptions: {...chatModelConfigs.streaming, ...modelConfig.streaming},
+        onEvent
+    });
+
+    if(!stream || result.error) {
+        sendResult(res, result);
+    }
+}));
+
+app.get('/v1/threads/:threadId/runs', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, listRuns(req.params.threadId, req.query));
+}));
+
+app.get('/v1/threads/:threadId/runs/:runId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, getRun(req.params.threadId, req.params.runId));
+}));
+
+app.post('/v1/threads/:threadId/runs/:runId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, updateRun(req.params.threadId, req.params.runId, req.body ?? {}));
+}));
+
+app.post('/v1/threads/:threadId/runs/:runId/cancel', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, cancelRun(req.params.threadId, req.params.runId));
+}));
+
+app.post('/v1/threads/:threadId/runs/:runId/submit_tool_outputs', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    const { tool_outputs: toolOutputs, stream } = req.body;
+
+    if(!Array.isArray(toolOutputs)) {
+        return sendError(res, invalidRequestError(`'tool_outputs' should be an array. Given: ${JSON.stringify(toolOutputs)}.`, 'tool_outputs'));
+    }
+
+    const onEvent = stream ? getRunEventWriter(res) : null;
+    const result = submitToolOutputs(req.params.threadId, req.params.runId, toolOutputs, {onEvent});
+
+    if(!stream || result.error) {
+        sendResult(res, result);
+    }
+}));
+
+app.post('/v1/files', upload.single('file'), asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    const { purpose } = req.body;
+
+    if(!req.file) {
+        return sendError(res, invalidRequestError(`Missing required parameter: 'file'.`, 'file', 'missing_required_parameter'));
+    }
+
+    if(!purpose) {
+        fs.rmSync(req.file.path, {force: true});
+        return sendError(res, invalidRequestError(`Missing required parameter: 'purpose'.`, 'purpose', 'missing_required_parameter'));
+    }
 
-(async () => {
-    initChat(config);
-    initImage(config);
-    await initAudio(config);
-    initEmbedding(config);
-})();
+    sendResult(res, addUploadedFile(req.file.filename, req.file.originalname, purpose));
+}));
 
-const PUBLIC_FILES_DIRECTORY = path.join(__dirname, config.publicFilesDirectory);  // use full path else res.sendFile throws error since it needs full path
-if (!fs.existsSync(PUBLIC_FILES_DIRECTORY)) {
-    fs.mkdirSync(PUBLIC_FILES_DIRECTORY);
-}
+app.get('/v1/files', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
 
-const chatModelConfigs = config.modelConfigs.chat;
-const vlmModelConfigs = config.modelConfigs.vlm;
+    sendResult(res, listFiles(req.query));
+}));
 
-const imageGenerationModelConfigs = config.modelConfigs.imageGeneration;
-const imageVariationsModelConfigs = config.modelConfigs.imageVariations;
-const imageEditsModelConfigs = config.modelConfigs.imageEdits;
+app.get('/v1/files/:fileId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
 
-const audioGenerationModelConfigs = config.modelConfigs.audioGeneration;
-const audioTranscriptionModelConfigs = config.modelConfigs.audioTranscription;
-const audioTranslationModelConfigs = config.modelConfigs.audioTranslation;
+    sendResult(res, getFile(req.params.fileId));
+}));
 
-const embeddingModelConfigs = config.modelConfigs.embeddings;
+app.get('/v1/files/:fileId/content', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
 
-const upload = multer({ dest: PUBLIC_FILES_DIRECTORY });
+    const {data: filePath, error} = getFilePath(req.params.fileId);
+    if(error) {
+        return sendError(res, error);
+    }
 
-function delayMiddleware(delayMs) {
-    return function(req, res, next) {
-        setTimeout(next, delayMs);
-    };
-}
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.sendFile(filePath);
+}));
 
-const app = express();
-app.use(express.json());
+app.delete('/v1/files/:fileId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
 
-// lightweight per-request metrics for periodic summaries
-let inFlightRequests = 0;
-let windowStarted = 0;
-let windowCompleted = 0;
-let windowErrors = 0;
-let windowLatencies = [];
+    sendResult(res, deleteFile(req.params.fileId));
+}));
 
-app.use((req, res, next) => {
-    const startNs = process.hrtime.bigint();
-    inFlightRequests++;
-    windowStarted++;
-
-    res.on('finish', () => {
-        inFlightRequests--;
-        windowCompleted++;
-        const durationMs = Number(process.hrtime.bigint() - startNs) / 1e6;
-        windowLatencies.push(durationMs);
-        if (res.statusCode >= 500) {
-            windowErrors++;
-        }
-    });
+app.post('/v1/batches', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
 
-    next();
-});
+    sendResult(res, createBatch(req.body ?? {}, req.headers['authorization']));
+}));
 
-const summaryLogIntervalMs = config.monitoring?.summaryLogIntervalMs ?? 5000;
-if (summaryLogIntervalMs > 0) {
-    setInterval(() => {
-        const count = windowLatencies.length;
-        const sorted = [...windowLatencies].sort((a, b) => a - b);
-        const avgMs = count ? (sorted.reduce((a, b) => a + b, 0) / count) : 0;
-        const p95Ms = count ? sorted[Math.floor(0.95 * (count - 1))] : 0;
-        const maxMs = count ? sorted[sorted.length - 1] : 0;
-
-        console.log(`[summary ${new Date().toISOString()}] in_flight=${inFlightRequests} started=${windowStarted} completed=${windowCompleted} errors=${windowErrors} avg_ms=${avgMs.toFixed(1)} p95_ms=${p95Ms.toFixed(1)} max_ms=${maxMs.toFixed(1)}`);
-
-        windowStarted = 0;
-        windowCompleted = 0;
-        windowErrors = 0;
-        windowLatencies = [];
-    }, summaryLogIntervalMs);
-}
+app.get('/v1/batches', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
 
-function checkAuth(req, validKeys = []) {
-    if (!validKeys || validKeys.length === 0) {
-        return true;
+    sendResult(res, listBatches(req.query));
+}));
+
+app.get('/v1/batches/:batchId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    const authHeader = req.headers['authorization'];
+    sendResult(res, getBatch(req.params.batchId));
+}));
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return false;
+app.post('/v1/batches/:batchId/cancel', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    const token = authHeader.split(' ')[1];
+    sendResult(res, cancelBatch(req.params.batchId));
+}));
 
-    if (validKeys.includes(token)) {
-        return true;
+app.post('/v1/vector_stores', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    return false;
-}
+    sendResult(res, createVectorStore(req.body ?? {}));
+}));
 
-app.get('/health', (_req, res) => {
-    res.json({ status: 'ok' });
-});
+app.get('/v1/vector_stores', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
 
-app.post('/v1/chat/completions', async (req, res) => {
-    if(!checkAuth(req, config.apiKeys)) {
-        return res.sendStatus(401);
+    sendResult(res, listVectorStores(req.query));
+}));
+
+app.get('/v1/vector_stores/:vectorStoreId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    const requestId = getId();
-    res.setHeader('x-request-id', requestId);
+    sendResult(res, getVectorStore(req.params.vectorStoreId));
+}));
 
-    let { model, messages, tools, tool_choice: toolChoice, stream, stream_options: streamOptions, max_tokens: maxTokensOld, max_completion_tokens: maxTokensNew, temperature, stop: stopSequences, top_p: topP, n: numGenerations, user, frequency_penalty: frequencyPenalty, presence_penalty: presencePenalty, response_format: responseFormat } = req.body;
+app.post('/v1/vector_stores/:vectorStoreId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
 
-    const maxTokens = maxTokensNew || maxTokensOld;
-    const {
-        authorization,
-        "openai-organization": organization,
-        "openai-project": project,
-        "openai-version": apiVersion,
-        ...headers
-    } = req.headers;
+    sendResult(res, updateVectorStore(req.params.vectorStoreId, req.body ?? {}));
+}));
 
-    const latencyMs = config.responseDelay.enable
-        ? getRandomDivisibleBy(config.responseDelay.minDelayMs, config.responseDelay.maxDelayMs, 1)
-        : 0;
+app.delete('/v1/vector_stores/:vectorStoreId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
 
-    if (latencyMs) {
-        await sleep(latencyMs);
+    sendResult(res, deleteVectorStore(req.params.vectorStoreId));
+}));
+
+app.post('/v1/vector_stores/:vectorStoreId/search', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    if(temperature) {
-        if(temperature < 0 || temperature > 1) {
-            return res.status(400).send(`'temperature' can only be between 0 and 1. Given: ${temperature}`);
-        }
-    } else {
-        temperature = 0;
+    sendResult(res, searchVectorStore(req.params.vectorStoreId, req.body ?? {}));
+}));
+
+app.post('/v1/vector_stores/:vectorStoreId/files', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    if(topP) {
-        if(topP < 0 || topP > 1) {
-            return res.status(400).send(`'top_p' can only be between 0 and 1. Given: ${topP}`);
-        }
-    } else {
-        topP = 1;
+    sendResult(res, createVectorStoreFile(req.params.vectorStoreId, req.body ?? {}));
+}));
+
+app.get('/v1/vector_stores/:vectorStoreId/files', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    if(frequencyPenalty) {
-        if(frequencyPenalty < -2 || frequencyPenalty > 2) {
-            return res.status(400).send(`'frequency_penalty' can only be between -2 and 2. Given: ${frequencyPenalty}`);
-        }
-    } else {
-        frequencyPenalty = 0;
+    sendResult(res, listVectorStoreFiles(req.params.vectorStoreId, req.query));
+}));
+
+app.get('/v1/vector_stores/:vectorStoreId/files/:fileId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    if(presencePenalty) {
-        if(presencePenalty < -2 || presencePenalty > 2) {
-            return res.status(400).send(`'presence_penalty' can only be between -2 and 2. Given: ${presencePenalty}`);
-        }
-    } else {
-        presencePenalty = 0;
+    sendResult(res, getVectorStoreFile(req.params.vectorStoreId, req.params.fileId));
+}));
+
+app.post('/v1/vector_stores/:vectorStoreId/files/:fileId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    if(stopSequences) {
-        if(Array.isArray(stopSequences) && stopSequences.length > 4) {
-            return res.status(400).send(`Only 4 stop sequences are allowed. Given: ${stopSequences.length}.`);
-        }
-        if(!Array.isArray(stopSequences)) {
-            stopSequences = [stopSequences];
-        }
-    } else {
-        stopSequences = [];
+    sendResult(res, updateVectorStoreFile(req.params.vectorStoreId, req.params.fileId, req.body ?? {}));
+}));
+
+app.delete('/v1/vector_stores/:vectorStoreId/files/:fileId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    const availableModels = Object.keys(chatModelConfigs.models)
-    if(!availableModels.includes(model)) {
-        return res.status(400).send(`Model: ${model} is not available. Available models: ${JSON.stringify(availableModels)}`);
+    sendResult(res, deleteVectorStoreFile(req.params.vectorStoreId, req.params.fileId));
+}));
+
+app.get('/v1/vector_stores/:vectorStoreId/files/:fileId/content', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    const modelConfig = chatModelConfigs.models[model];
-    if(maxTokens > modelConfig.maxTokens) {
-        return res.status(400).send(`Model: ${model} only supports ${modelConfig.maxTokens} tokens. Requested: ${maxTokens}`);
+    sendResult(res, getVectorStoreFileContent(req.params.vectorStoreId, req.params.fileId));
+}));
+
+app.post('/v1/vector_stores/:vectorStoreId/file_batches', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    let addExtraUsageOnlyChunk = false;
-    if(streamOptions) {
-        if(!stream) {
-            return res.status(400).send(`'stream_options' can only be specified if 'stream' is true.`);
-        }
-        if(streamOptions['include_usage']) {
-            addExtraUsageOnlyChunk = true;
-        }
+    sendResult(res, createFileBatch(req.params.vectorStoreId, req.body ?? {}));
+}));
+
+app.get('/v1/vector_stores/:vectorStoreId/file_batches/:batchId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    if(numGenerations) {
-        if(numGenerations < 1) {
-            return res.status(400).send(`'n' should be greater than 0. Given: ${numGenerations}`);
-        }
+    sendResult(res, getFileBatch(req.params.vectorStoreId, req.params.batchId));
+}));
 
-        if(numGenerations > 1 && stream) {
-            return res.status(400).send(`For streaming, 'n' should not be greater than 1. Given: ${numGenerations}.`);
-        }
-    } else {
-        numGenerations = 1;
+app.post('/v1/vector_stores/:vectorStoreId/file_batches/:batchId/cancel', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    let isJsonOutput = false;
-    let givenJsonSchema = null;
+    sendResult(res, cancelFileBatch(req.params.vectorStoreId, req.params.batchId));
+}));
 
-    if(responseFormat && 'type' in responseFormat) {
-        if(responseFormat.type === 'json_object') {
-            isJsonOutput = true;
-        } else if(responseFormat.type === 'json_schema') {
-            isJsonOutput = true;
-            if(!'json_schema' in responseFormat) {
-                return res.status(400).send(`Please specify json schema in response_format.json_schema field`);
-            } else {
-                givenJsonSchema = responseFormat['json_schema'] === 'string' ? JSON.parse(responseFormat['json_schema']) : responseFormat['json_schema'];
-            }
-        }
+app.get('/v1/vector_stores/:vectorStoreId/file_batches/:batchId/files', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    if(typeof toolChoice === 'string') {
-        if(!['none', 'auto', 'required'].includes(toolChoice)) {
-            return res.status(400).send(`Invalid 'tool_choice' specified: ${JSON.stringify(toolChoice)}.`);
-        }
-        if(toolChoice !== 'none' && (!tools || tools.length == 0)) {
-            return res.status(400).send(`Please provide tool definitions since 'tool_choice' is specified.`);
-        }
-    } else {
-        if(toolChoice) {
-            if (!('type' in toolChoice)
-                || toolChoice['type'] !== 'function'
-                || !('function' in toolChoice)
-                || !toolChoice['function']
-                || !('name' in toolChoice['function'])) {
-                return res.status(400).send(`Invalid 'tool_choice' definition: ${JSON.stringify(toolChoice)}.`);
-            } else if (!toolChoice['function']['name']) {
-                return res.status(400).send(`No function name specified in 'tool_choice': ${JSON.stringify(toolChoice)}.`);
-            } else if (tools.map(t => t?.function?.name ?? '').filter(f => f === toolChoice['function']['name']).length == 0) {
-                return res.status(400).send(`Required tool/function not found in provided tools.\nGiven 'tool_choice': ${JSON.stringify(toolChoice)}, \nand given 'tools': ${JSON.stringify(tools)}.`);
-            }
-        }
+    sendResult(res, listFileBatchFiles(req.params.vectorStoreId, req.params.batchId, req.query));
+}));
+
+app.post('/v1/fine_tuning/jobs', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
-    let responseClosed = false;
-    const markResponseClosed = () => { responseClosed = true; };
-    res.on('close', markResponseClosed);
-    res.on('finish', markResponseClosed);
+    sendResult(res, createJob(req.body ?? {}));
+}));
 
-    if(stream) {
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        //res.flushHeaders();
+app.get('/v1/fine_tuning/jobs', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
 
-        const canWrite = () => !(responseClosed || res.writableEnded || res.destroyed);
+    sendResult(res, listJobs(req.query));
+}));
 
-        streamResponse({
-            model, messages, tools, toolChoice, maxTokens, temperature, stopSequences, frequencyPenalty, presencePenalty, addExtraUsageOnlyChunk, isJsonOutput, givenJsonSchema,
-            onChunk: (chunk) => {
-                if (!canWrite()) return;
-                res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-            },
-            onCompletion: () => {
-                if (!canWrite()) return;
-                res.write(`data: [DONE]\n\n`);
-                res.end();
-            },
-            onError: ((statusCode, errorMessage) => {
-                if (responseClosed || res.headersSent) return;
-                res.status(statusCode).send(errorMessage);
-            })
-        });
-    } else {
-        const canReply = () => !(responseClosed || res.writableEnded || res.headersSent);
+app.get('/v1/fine_tuning/jobs/:jobId', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
 
-        oneShotResponse({
-            model, messages, tools, toolChoice, maxTokens, numGenerations, temperature, stopSequences, frequencyPenalty, presencePenalty, isJsonOutput, givenJsonSchema,
-            onData: (data) => {
-                if (!canReply()) return;
-                res.json(data);
-            },
-            onError: ((statusCode, errorMessage) => {
-                if (!canReply()) return;
-                res.status(statusCode).send(errorMessage);
-            })
-        });
+    sendResult(res, getJob(req.params.jobId));
+}));
+
+app.post('/v1/fine_tuning/jobs/:jobId/cancel', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
-});
 
-app.post('/v1/images/generations', async (req, res) => {
-    if(!checkAuth(req, config.apiKeys)) {
-        return res.sendStatus(401);
+    sendResult(res, cancelJob(req.params.jobId));
+}));
+
+app.get('/v1/fine_tuning/jobs/:jobId/events', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, listJobEvents(req.params.jobId, req.query));
+}));
+
+app.get('/v1/fine_tuning/jobs/:jobId/checkpoints', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    sendResult(res, listJobCheckpoints(req.params.jobId, req.query));
+}));
+
+app.post('/v1/images/generations', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
     let { model, prompt, n: numImagesToGenerate, quality: qualityString, size, style, response_format: responseFormat, user } = req.body;
 
     if(!prompt) {
-        return res.status(400).send(`Prompt is mandatory.`);
+        return sendError(res, invalidRequestError(`Prompt is mandatory.`, 'prompt'));
     }
 
     const availableModels = Object.keys(imageGenerationModelConfigs.models)
     if(!availableModels.includes(model)) {
-        return res.status(400).send(`Model: ${model} is not available. Available models: ${JSON.stringify(availableModels)}.`);
+        return sendError(res, modelNotFoundError(model, availableModels));
     }
 
     if(!imageGenerationModelConfigs.availableResponseFormats.includes(responseFormat)) {
-        return res.status(400).send(`Allowed values for response_format are: ${imageGenerationModelConfigs.availableResponseFormats} only.`);
+        return sendError(res, invalidRequestError(`Allowed values for response_format are: ${imageGenerationModelConfigs.availableResponseFormats} only.`, 'response_format'));
     }
 
     const modelConfig = imageGenerationModelConfigs.models[model];
 
     if(numImagesToGenerate && numImagesToGenerate > 1) {
         if(numImagesToGenerate > modelConfig.maxImages) {
-            return res.status(400).send(`Model ${model} only allows generating ${modelConfig.maxImages} images at a time.`);
+            return sendError(res, invalidRequestError(`Model ${model} only allows generating ${modelConfig.maxImages} images at a time.`, 'n'));
         }
     } else {
         numImagesToGenerate = 1;
@@ -349,7 +1660,7 @@ app.post('/v1/images/generations', async (req, res) => {
 
     if(qualityString) {
         if(!modelConfig.availableQualities.includes(qualityString)) {
-            return res.status(400).send(`Model ${model} only supports following quality strings: ${JSON.stringify(modelConfig.availableQualities)}. Given: ${qualityString}.`);
+            return sendError(res, invalidRequestError(`Model ${model} only supports following quality strings: ${JSON.stringify(modelConfig.availableQualities)}. Given: ${qualityString}.`, 'quality'));
         }
     } else {
         qualityString = 'standard';
@@ -357,7 +1668,7 @@ app.post('/v1/images/generations', async (req, res) => {
 
     if(size) {
         if(!modelConfig.availableSizes.includes(size)) {
-            return res.status(400).send(`Model ${model} only supports following sizes: ${JSON.stringify(modelConfig.availableSizes)}. Given: ${size}.`);
+            return sendError(res, invalidRequestError(`Model ${model} only supports following sizes: ${JSON.stringify(modelConfig.availableSizes)}. Given: ${size}.`, 'size'));
         }
     } else {
         size = `${modelConfig.defaultWidth}x${modelConfig.defaultHeight}`;
@@ -365,7 +1676,7 @@ app.post('/v1/images/generations', async (req, res) => {
 
     if(style) {
         if(modelConfig.availableStyles && !modelConfig.availableStyles.includes(style)) {
-            return res.status(400).send(`Model ${model} only supports following styles: ${JSON.stringify(modelConfig.availableStyles)}. Given: ${style}.`);
+            return sendError(res, invalidRequestError(`Model ${model} only supports following styles: ${JSON.stringify(modelConfig.availableStyles)}. Given: ${style}.`, 'style'));
         }
     }
 
@@ -390,33 +1701,34 @@ app.post('/v1/images/generations', async (req, res) => {
         created: getTimestampSeconds(),
         data
     });
-});
+}));
 
-app.post('/v1/images/variations', upload.single('image'), async (req, res) => {
-    if(!checkAuth(req, config.apiKeys)) {
-        return res.sendStatus(401);
+app.post('/v1/images/variations', upload.single('image'), asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
     let { model, n: numImagesToGenerate, size, response_format: responseFormat, user } = req.body;
 
     if(!req.file) {
-        return res.status(400).send(`Image file is needed`);
+        return sendError(res, invalidRequestError(`Image file is needed`, 'image'));
     }
 
     const availableModels = Object.keys(imageVariationsModelConfigs.models)
     if(!availableModels.includes(model)) {
-        return res.status(400).send(`Model: ${model} is not available. Available models: ${JSON.stringify(availableModels)}.`);
+        return sendError(res, modelNotFoundError(model, availableModels));
     }
 
     if(!imageVariationsModelConfigs.availableResponseFormats.includes(responseFormat)) {
-        return res.status(400).send(`Allowed values for response_format are: ${imageVariationsModelConfigs.availableResponseFormats} only.`);
+        return sendError(res, invalidRequestError(`Allowed values for response_format are: ${imageVariationsModelConfigs.availableResponseFormats} only.`, 'response_format'));
     }
 
     const modelConfig = imageVariationsModelConfigs.models[model];
 
     if(numImagesToGenerate && numImagesToGenerate > 1) {
         if(numImagesToGenerate > modelConfig.maxImages) {
-            return res.status(400).send(`Model ${model} only allows generating ${modelConfig.maxImages} images at a time.`);
+            return sendError(res, invalidRequestError(`Model ${model} only allows generating ${modelConfig.maxImages} images at a time.`, 'n'));
         }
     } else {
         numImagesToGenerate = 1;
@@ -424,7 +1736,7 @@ app.post('/v1/images/variations', upload.single('image'), async (req, res) => {
 
     if(size) {
         if(!modelConfig.availableSizes.includes(size)) {
-            return res.status(400).send(`Model ${model} only supports following sizes: ${JSON.stringify(modelConfig.availableSizes)}. Given: ${size}.`);
+            return sendError(res, invalidRequestError(`Model ${model} only supports following sizes: ${JSON.stringify(modelConfig.availableSizes)}. Given: ${size}.`, 'size'));
         }
     } else {
         size = `${modelConfig.defaultWidth}x${modelConfig.defaultHeight}`;
@@ -452,14 +1764,15 @@ app.post('/v1/images/variations', upload.single('image'), async (req, res) => {
         created: getTimestampSeconds(),
         data
     });
-});
+}));
 
 app.post('/v1/images/edits', upload.fields([
     { name: 'image', maxCount: 1 },
     { name: 'mask', maxCount: 1 },
-]), async (req, res) => {
-    if(!checkAuth(req, config.apiKeys)) {
-        return res.sendStatus(401);
+]), asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
     let { prompt, model, n: numImagesToGenerate, size, response_format: responseFormat, user } = req.body;
@@ -468,27 +1781,27 @@ app.post('/v1/images/edits', upload.fields([
     const maskFile = req.files['mask'] ? req.files['mask'][0] : null;
 
     if(!imageFile) {
-        return res.status(400).send(`Image file is mandatory.`);
+        return sendError(res, invalidRequestError(`Image file is mandatory.`, 'image'));
     }
 
     if(!prompt) {
-        return res.status(400).send(`Prompt is mandatory.`);
+        return sendError(res, invalidRequestError(`Prompt is mandatory.`, 'prompt'));
     }
 
     const availableModels = Object.keys(imageEditsModelConfigs.models)
     if(!availableModels.includes(model)) {
-        return res.status(400).send(`Model: ${model} is not available. Available models: ${JSON.stringify(availableModels)}.`);
+        return sendError(res, modelNotFoundError(model, availableModels));
     }
 
     if(!imageEditsModelConfigs.availableResponseFormats.includes(responseFormat)) {
-        return res.status(400).send(`Allowed values for response_format are: ${imageEditsModelConfigs.availableResponseFormats} only.`);
+        return sendError(res, invalidRequestError(`Allowed values for response_format are: ${imageEditsModelConfigs.availableResponseFormats} only.`, 'response_format'));
     }
 
     const modelConfig = imageEditsModelConfigs.models[model];
 
     if(numImagesToGenerate && numImagesToGenerate > 1) {
         if(numImagesToGenerate > modelConfig.maxImages) {
-            return res.status(400).send(`Model ${model} only allows generating ${modelConfig.maxImages} images at a time.`);
+            return sendError(res, invalidRequestError(`Model ${model} only allows generating ${modelConfig.maxImages} images at a time.`, 'n'));
         }
     } else {
         numImagesToGenerate = 1;
@@ -496,7 +1809,7 @@ app.post('/v1/images/edits', upload.fields([
 
     if(size) {
         if(!modelConfig.availableSizes.includes(size)) {
-            return res.status(400).send(`Model ${model} only supports following sizes: ${JSON.stringify(modelConfig.availableSizes)}. Given: ${size}.`);
+            return sendError(res, invalidRequestError(`Model ${model} only supports following sizes: ${JSON.stringify(modelConfig.availableSizes)}. Given: ${size}.`, 'size'));
         }
     } else {
         size = `${modelConfig.defaultWidth}x${modelConfig.defaultHeight}`;
@@ -523,33 +1836,34 @@ app.post('/v1/images/edits', upload.fields([
         created: getTimestampSeconds(),
         data
     });
-});
+}));
 
-app.post('/v1/audio/speech', async (req, res) => {
-    if(!checkAuth(req, config.apiKeys)) {
-        return res.sendStatus(401);
+app.post('/v1/audio/speech', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
     let { model, input, voice, response_format: responseFormat, speed } = req.body;
 
     if(!input) {
-        return res.status(400).send(`Input is mandatory.`);
+        return sendError(res, invalidRequestError(`Input is mandatory.`, 'input'));
     }
 
     const availableModels = Object.keys(audioGenerationModelConfigs.models)
     if(!availableModels.includes(model)) {
-        return res.status(400).send(`Model: ${model} is not available. Available models: ${JSON.stringify(availableModels)}.`);
+        return sendError(res, modelNotFoundError(model, availableModels));
     }
 
     const modelConfig = audioGenerationModelConfigs.models[model];
 
     if(!modelConfig.voices.includes(voice)) {
-        return res.status(400).send(`Allowed values for voice are: ${JSON.stringify(modelConfig.voices)} only. Given: ${voice}.`);
+        return sendError(res, invalidRequestError(`Allowed values for voice are: ${JSON.stringify(modelConfig.voices)} only. Given: ${voice}.`, 'voice'));
     }
 
     if(responseFormat) {
         if(!audioGenerationModelConfigs.availableResponseFormats.includes(responseFormat)) {
-            return res.status(400).send(`Allowed response formats: ${JSON.stringify(audioGenerationModelConfigs.availableResponseFormats)}. Given: ${responseFormat}.`);
+            return sendError(res, invalidRequestError(`Allowed response formats: ${JSON.stringify(audioGenerationModelConfigs.availableResponseFormats)}. Given: ${responseFormat}.`, 'response_format'));
         }
     } else {
         responseFormat = 'wav';
@@ -557,7 +1871,7 @@ app.post('/v1/audio/speech', async (req, res) => {
 
     if(speed) {
         if(speed < audioGenerationModelConfigs.allowedSpeedRange[0] || speed > audioGenerationModelConfigs.allowedSpeedRange[1]) {
-            return res.status(400).send(`Allowed speed range: ${JSON.stringify(audioGenerationModelConfigs.allowedSpeedRange)}. Given: ${speed}.`);
+            return sendError(res, invalidRequestError(`Allowed speed range: ${JSON.stringify(audioGenerationModelConfigs.allowedSpeedRange)}. Given: ${speed}.`, 'speed'));
         }
     } else {
         speed = 1.0;
@@ -577,29 +1891,33 @@ app.post('/v1/audio/speech', async (req, res) => {
     res.sendFile(audioPath, (err) => {
         if (err) {
             console.error(`Error sending file: ${audioPath}`, err);
-            res.status(500).send(`Error sending file: ${audioPath}`);
+            if (!res.headersSent) {
+                sendError(res, serverError(`Error sending file: ${audioFileName}`));
+            }
         }
     });
-});
+}));
 
-app.post('/v1/audio/transcriptions', upload.single('file'), async (req, res) => {
-    if(!checkAuth(req, config.apiKeys)) {
-        return res.sendStatus(401);
+app.post('/v1/audio/transcriptions', upload.single('file'), asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
     let { model, prompt, temperature, language,  response_format: responseFormat, timestamp_granularities: timestampGranularitiesReceived} = req.body;
 
     const audioFile = req.file;
-    const audioFilePath = audioFile.path;
-    const sizeInBytes = audioFile.size;
 
     if(!audioFile) {
-        return res.status(400).send(`Audio file is mandatory`);
+        return sendError(res, invalidRequestError(`Audio file is mandatory`, 'file'));
     }
 
+    const audioFilePath = audioFile.path;
+    const sizeInBytes = audioFile.size;
+
     if(temperature) {
         if(temperature < 0 || temperature > 1) {
-            return res.status(400).send(`'temperature' can only be between 0 and 1. Given: ${temperature}`);
+            return sendError(res, invalidRequestError(`'temperature' can only be between 0 and 1. Given: ${temperature}`, 'temperature'));
         }
     } else {
         temperature = 0;
@@ -607,7 +1925,7 @@ app.post('/v1/audio/transcriptions', upload.single('file'), async (req, res) =>
 
     if(language) {
         if(!isIso6391_1(language)) {
-            return res.status(400).send(`'language' should be in iso-639-1 format. Given: ${language}`);
+            return sendError(res, invalidRequestError(`'language' should be in iso-639-1 format. Given: ${language}`, 'language'));
         }
     } else {
         language = 'en';
@@ -615,14 +1933,14 @@ app.post('/v1/audio/transcriptions', upload.single('file'), async (req, res) =>
 
     const availableModels = Object.keys(audioTranscriptionModelConfigs.models)
     if(!availableModels.includes(model)) {
-        return res.status(400).send(`Model: ${model} is not available. Available models: ${JSON.stringify(availableModels)}.`);
+        return sendError(res, modelNotFoundError(model, availableModels));
     }
 
     const modelConfig = audioTranscriptionModelConfigs.models[model];
 
     if(responseFormat) {
         if(!audioTranscriptionModelConfigs.availableResponseFormats.includes(responseFormat)) {
-            return res.status(400).send(`Allowed response formats: ${JSON.stringify(audioTranscriptionModelConfigs.availableResponseFormats)}. Given: ${responseFormat}.`);
+            return sendError(res, invalidRequestError(`Allowed response formats: ${JSON.stringify(audioTranscriptionModelConfigs.availableResponseFormats)}. Given: ${responseFormat}.`, 'response_format'));
         }
     } else {
         responseFormat = 'wav';
@@ -636,32 +1954,34 @@ app.post('/v1/audio/transcriptions', upload.single('file'), async (req, res) =>
         }
 
         if(!(timestampGranularities.length > 0 && timestampGranularities.every(v => audioTranscriptionModelConfigs.allowedTimestampGranularities.includes(v)))) {
-            res.status(400).send(`timestamp_granularities can only be one of ${audioTranscriptionModelConfigs.allowedTimestampGranularities}. Given: ${timestampGranularities}.`);
+            sendError(res, invalidRequestError(`timestamp_granularities can only be one of ${audioTranscriptionModelConfigs.allowedTimestampGranularities}. Given: ${timestampGranularities}.`, 'timestamp_granularities'));
             return ;
         }
     }
 
     res.json(await transcribeAudio(audioFilePath, sizeInBytes, prompt, model, temperature, language, responseFormat, timestampGranularities));
-});
+}));
 
-app.post('/v1/audio/translations', upload.single('file'), async (req, res) => {
-    if(!checkAuth(req, config.apiKeys)) {
-        return res.sendStatus(401);
+app.post('/v1/audio/translations', upload.single('file'), asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
     let { model, prompt, temperature, response_format: responseFormat} = req.body;
 
     const audioFile = req.file;
-    const audioFilePath = audioFile.path;
-    const sizeInBytes = audioFile.size;
 
     if(!audioFile) {
-        return res.status(400).send(`Audio file is mandatory`);
+        return sendError(res, invalidRequestError(`Audio file is mandatory`, 'file'));
     }
 
+    const audioFilePath = audioFile.path;
+    const sizeInBytes = audioFile.size;
+
     if(temperature) {
         if(temperature < 0 || temperature > 1) {
-            return res.status(400).send(`'temperature' can only be between 0 and 1. Given: ${temperature}`);
+            return sendError(res, invalidRequestError(`'temperature' can only be between 0 and 1. Given: ${temperature}`, 'temperature'));
         }
     } else {
         temperature = 0;
@@ -669,14 +1989,14 @@ app.post('/v1/audio/translations', upload.single('file'), async (req, res) => {
 
     const availableModels = Object.keys(audioTranslationModelConfigs.models)
     if(!availableModels.includes(model)) {
-        return res.status(400).send(`Model: ${model} is not available. Available models: ${JSON.stringify(availableModels)}.`);
+        return sendError(res, modelNotFoundError(model, availableModels));
     }
 
     const modelConfig = audioTranslationModelConfigs.models[model];
 
     if(responseFormat) {
         if(!audioTranslationModelConfigs.availableResponseFormats.includes(responseFormat)) {
-            return res.status(400).send(`Allowed response formats: ${JSON.stringify(audioTranslationModelConfigs.availableResponseFormats)}. Given: ${responseFormat}.`);
+            return sendError(res, invalidRequestError(`Allowed response formats: ${JSON.stringify(audioTranslationModelConfigs.availableResponseFormats)}. Given: ${responseFormat}.`, 'response_format'));
         }
     } else {
         responseFormat = 'wav';
@@ -689,22 +2009,23 @@ app.post('/v1/audio/translations', upload.single('file'), async (req, res) => {
     } else {
         res.json(response);
     }
-});
+}));
 
-app.post('/v1/embeddings', async (req, res) => {
-    if(!checkAuth(req, config.apiKeys)) {
-        return res.sendStatus(401);
+app.post('/v1/embeddings', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
     let { model, input, encoding_format: encodingFormat, dimensions, user } = req.body;
 
     if(!input) {
-        return res.status(400).send(`Input is mandatory.`);
+        return sendError(res, invalidRequestError(`Input is mandatory.`, 'input'));
     }
 
     if(dimensions) {
         if(dimensions < 1) {
-            return res.status(400).send(`'dimensions' should be greater than 0. Given: ${dimensions}.`);
+            return sendError(res, invalidRequestError(`'dimensions' should be greater than 0. Given: ${dimensions}.`, 'dimensions'));
         }
     } else {
         dimensions = 1536;
@@ -712,63 +2033,114 @@ app.post('/v1/embeddings', async (req, res) => {
 
     const availableModels = Object.keys(embeddingModelConfigs.models)
     if(!availableModels.includes(model)) {
-        return res.status(400).send(`Model: ${model} is not available. Available models: ${JSON.stringify(availableModels)}.`);
+        return sendError(res, modelNotFoundError(model, availableModels));
     }
 
     const modelConfig = embeddingModelConfigs.models[model];
+    const encoding = modelConfig.encoding ?? DEFAULT_ENCODING;
 
     let isInputValid = false;
 
     if (typeof input === 'string') {
-        const numInputTokens = input.trim().split(/\s+/).length;
+        const numInputTokens = countTokens(input, encoding);
         if(numInputTokens > modelConfig.maxInputTokens) {
-            return res.status(400).send(`Max allowed input tokens are: ${modelConfig.maxInputTokens}. Given: ${numInputTokens}.`);
+            return sendError(res, invalidRequestError(`Max allowed input tokens are: ${modelConfig.maxInputTokens}. Given: ${numInputTokens}.`, 'input'));
         }
         input = [input];    // NOTE: we are updating input here
         isInputValid = true;
     } else if (Array.isArray(input)) {
         if (input.every(item => typeof item === 'string')) {
-            input.forEach((inputString, idx) => {
-                const numInputTokens = inputString.trim().split(/\s+/).length;
+            for (const [idx, inputString] of input.entries()) {
+                const numInputTokens = countTokens(inputString, encoding);
                 if(numInputTokens > modelConfig.maxInputTokens) {
-                    return res.status(400).send(`Max allowed input tokens are: ${modelConfig.maxInputTokens}. Given: ${numInputTokens} for input at index: ${idx}.`);
+                    return sendError(res, invalidRequestError(`Max allowed input tokens are: ${modelConfig.maxInputTokens}. Given: ${numInputTokens} for input at index: ${idx}.`, 'input'));
                 }
-            });
+            }
             isInputValid = true;
         } else if (input.every(item => Number.isInteger(item))) {
             if(input.length > embeddingModelConfigs.maxDimensions) {
-                return res.status(400).send(`Max allowed input dimensions are: ${embeddingModelConfigs.maxDimensions}. Given: ${input.length}.`);
+                return sendError(res, invalidRequestError(`Max allowed input dimensions are: ${embeddingModelConfigs.maxDimensions}. Given: ${input.length}.`, 'input'));
             }
             input = [input];    // NOTE: we are updating input here
             isInputValid = true;
         } else if (input.every(item => Array.isArray(item) && item.every(innerItem => Number.isInteger(innerItem)))) {
-            input.forEach((inputIntegerArray, idx) => {
+            for (const [idx, inputIntegerArray] of input.entries()) {
                 if(inputIntegerArray.length > embeddingModelConfigs.maxDimensions) {
-                    return res.status(400).send(`Max allowed input dimensions are: ${embeddingModelConfigs.maxDimensions}. Given: ${inputIntegerArray.length} for input at index: ${idx}.`);
+                    return sendError(res, invalidRequestError(`Max allowed input dimensions are: ${embeddingModelConfigs.maxDimensions}. Given: ${inputIntegerArray.length} for input at index: ${idx}.`, 'input'));
                 }
-            });
+            }
             isInputValid = true;
         }
     }
 
     if(!isInputValid) {
-        return res.status(400).send(`Input is invalid. Allowed: string, array of strings, array of integers, or an array of array of integers.`);
+        return sendError(res, invalidRequestError(`Input is invalid. Allowed: string, array of strings, array of integers, or an array of array of integers.`, 'input'));
     }
 
     if(encodingFormat) {
         if (!embeddingModelConfigs.availableEncodingFormats.includes(encodingFormat)) {
-            return res.status(400).send(`Allowed values for encoding_format are: ${JSON.stringify(embeddingModelConfigs.availableEncodingFormats)} only. Given: ${encodingFormat}.`);
+            return sendError(res, invalidRequestError(`Allowed values for encoding_format are: ${JSON.stringify(embeddingModelConfigs.availableEncodingFormats)} only. Given: ${encodingFormat}.`, 'encoding_format'));
         }
     } else {
         encodingFormat = 'float';
     }
 
-    res.json(generateEmbedding(input, model, encodingFormat, dimensions));
-});
+    res.json(generateEmbedding(input, model, encodingFormat, dimensions, encoding));
+}));
+
+app.post('/v1/moderations', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
+    }
+
+    let { model, input } = req.body;
+
+    model = model ?? moderationModelConfigs.defaultModel;
+    const availableModels = Object.keys(moderationModelConfigs.models);
+    if(!availableModels.includes(model)) {
+        return sendError(res, modelNotFoundError(model, availableModels));
+    }
+
+    if(input == null) {
+        return sendError(res, invalidRequestError(`Missing required parameter: 'input'.`, 'input', 'missing_required_parameter'));
+    }
+
+    // one list of parts per result... see generateModeration
+    let inputs = null;
 
-app.get('/v1/models', async (req, res) => {
-    if(!checkAuth(req, config.apiKeys)) {
-        return res.sendStatus(401);
+    if(typeof input === 'string') {
+        inputs = [[{type: 'text', value: input}]];
+    } else if(Array.isArray(input) && input.length > 0 && input.every(item => typeof item === 'string')) {
+        inputs = input.map(item => [{type: 'text', value: item}]);
+    } else if(Array.isArray(input) && input.length > 0 && input.every(item => item && typeof item === 'object')) {
+        const parts = [];
+        for (const [idx, item] of input.entries()) {
+            if(item.type === 'text' && typeof item.text === 'string') {
+                parts.push({type: 'text', value: item.text});
+            } else if(item.type === 'image_url' && typeof item.image_url?.url === 'string') {
+                if(!moderationModelConfigs.models[model].supportsImages) {
+                    return sendError(res, invalidRequestError(`Model '${model}' does not support image inputs.`, `input[${idx}]`));
+                }
+                parts.push({type: 'image', value: item.image_url.url});
+            } else {
+                return sendError(res, invalidRequestError(`Invalid value for 'input[${idx}]': expected {type: 'text', text} or {type: 'image_url', image_url: {url}}.`, `input[${idx}]`));
+            }
+        }
+        inputs = [parts];
+    }
+
+    if(!inputs) {
+        return sendError(res, invalidRequestError(`Input is invalid. Allowed: string, array of strings, or an array of text/image_url parts.`, 'input'));
+    }
+
+    res.json(generateModeration(inputs, model));
+}));
+
+app.get('/v1/models', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
     const modelObjects = Array.from(
@@ -788,21 +2160,22 @@ app.get('/v1/models', async (req, res) => {
         object: 'list',
         data: modelObjects
     });
-});
+}));
 
-app.get('/v1/models/:model', async (req, res) => {
-    if(!checkAuth(req, config.apiKeys)) {
-        return res.sendStatus(401);
+app.get('/v1/models/:model', asyncHandler(async (req, res) => {
+    const authError = checkAuth(req, config.apiKeys);
+    if(authError) {
+        return sendError(res, authError);
     }
 
     const { model } = req.params;
 
     if(!model) {
-        return res.status(400).send(`Model name is mandatory`);
+        return sendError(res, invalidRequestError(`Model name is mandatory`, 'model'));
     }
 
     if(!Object.values(config.modelConfigs).some((category) => model in category.models)) {
-        return res.status(404).send(`Model: ${model} not available`);
+        return sendError(res, modelNotFoundError(model));
     }
 
     res.json({
@@ -811,10 +2184,66 @@ app.get('/v1/models/:model', async (req, res) => {
         "created": getTimestampSeconds(),
         "owned_by": config.organizationName
     });
-});
+}));
 
 app.use('/public', express.static(path.join(__dirname, config.publicFilesDirectory)));
 
-app.listen(config.server.port, config.server.host, () => {
+app.use('/v1', (req, res) => {
+    sendError(res, notFoundError(`Invalid URL (${req.method} ${req.originalUrl})`));
+});
+
+// malformed JSON bodies, multer failures and anything else thrown by a handler (async ones through asyncHandler)
+app.use((err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, invalidRequestError(`We could not parse the JSON body of your request. (HINT: This likely means you aren't using your HTTP library correctly.)`));
+    }
+
+    if (err instanceof multer.MulterError) {
+        return sendError(res, invalidRequestError(err.message, err.field ?? null));
+    }
+
+    console.error(err);
+    sendError(res, serverError());
+});
+
+const server = app.listen(config.server.port, config.server.host, () => {
     console.log(`Mock OpenAI API server is running at http://${config.server.host}:${config.server.port}`);
 });
+
+// Realtime API: ws://.../v1/realtime?model=... Browsers can't set headers, so the api key may also come as an
+// 'openai-insecure-api-key.<key>' subprotocol, like with the real API.
+const realtimeServer = new WebSocketServer({noServer: true});
+
+server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, `http://${req.headers.host ?? 'localhost'}`);
+    if(url.pathname !== '/v1/realtime') {
+        return socket.destroy();
+    }
+
+    const keyProtocol = (req.headers['sec-websocket-protocol'] ?? '').split(',').map(p => p.trim()).find(p => p.startsWith('openai-insecure-api-key.'));
+    const authRequest = keyProtocol ? {headers: {authorization: `Bearer ${keyProtocol.slice('openai-insecure-api-key.'.length)}`}} : req;
+
+    const model = url.searchParams.get('model');
+    const availableModels = Object.keys(realtimeModelConfigs.models);
+    const error = checkAuth(authRequest, config.apiKeys)
+        ?? (availableModels.includes(model) ? null : modelNotFoundError(model, availableModels));
+
+    if(error) {
+        const body = JSON.stringify({error: error.error});
+        socket.end(`HTTP/1.1 ${error.statusCode} ${http.STATUS_CODES[error.statusCode]}\r\nContent-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+        return;
+    }
+
+    realtimeServer.handleUpgrade(req, socket, head, (ws) => {
+        handleRealtimeConnection(ws, {
+            model,
+            encoding: realtimeModelConfigs.models[model].encoding,
+            voices: realtimeModelConfigs.voices,
+            streamingOptions: {...realtimeModelConfigs.streaming, ...realtimeModelConfigs.models[model].streaming}
+        });
+    });
+});
@@ -0,0 +1,109 @@
+import {Tiktoken} from "js-tiktoken/lite";
+import cl100kBase from "js-tiktoken/ranks/cl100k_base";
+import o200kBase from "js-tiktoken/ranks/o200k_base";
+
+// Offline BPE tokenizers, token for token compatible with tiktoken. Models pick one through `encoding` in config.yaml.
+
+const DEFAULT_ENCODING = 'cl100k_base';
+
+const encoders = {
+    cl100k_base: new Tiktoken(cl100kBase),
+    o200k_base: new Tiktoken(o200kBase)
+};
+
+// per message overhead of the chat format (<|start|>role\n ... <|end|>) and of priming the assistant reply
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_NAME = 1;
+const TOKENS_FOR_REPLY_PRIMING = 3;
+
+const availableEncodings = Object.keys(encoders);
+
+function getEncoder(encoding) {
+    const encoder = encoders[encoding ?? DEFAULT_ENCODING];
+    if (!encoder) {
+        throw new Error(`Unknown encoding: ${encoding}. Available: ${JSON.stringify(availableEncodings)}`);
+    }
+    return encoder;
+}
+
+function encode(text, encoding) {
+    return getEncoder(encoding).encode(text ?? '', [], []);   // special tokens in user text are encoded as plain text
+}
+
+function decode(tokens, encoding) {
+    return getEncoder(encoding).decode(tokens);
+}
+
+function countTokens(text, encoding) {
+    return text ? encode(text, encoding).length : 0;
+}
+
+function truncateToTokens(text, maxTokens, encoding) {
+    const tokens = encode(text, encoding);
+    return tokens.length > maxTokens ? decode(tokens.slice(0, maxTokens), encoding) : text;
+}
+
+// Splits text into the strings of its tokens. Tokens that only hold part of a multi-byte character are merged with the
+// following ones, so every piece is valid text and joining them gives back the input.
+function splitIntoTokenStrings(text, encoding) {
+    const pieces = [];
+    let pending = [];
+
+    encode(text, encoding).forEach(token => {
+        pending.push(token);
+        const piece = decode(pending, encoding);
+        if (!piece.endsWith('�')) {
+            pieces.push(piece);
+            pending = [];
+        }
+    });
+
+    if (pending.length > 0) {
+        pieces.push(decode(pending, encoding));
+    }
+
+    return pieces;
+}
+
+// Same counting scheme as the OpenAI cookbook. Tool definitions are counted as their json.
+function countChatPromptTokens(messages, tools, encoding) {
+    let numTokens = 0;
+
+    (Array.isArray(messages) ? messages : []).forEach(message => {
+        numTokens += TOKENS_PER_MESSAGE;
+        numTokens += countTokens(message.role, encoding);
+
+        if (typeof message.content === 'string') {
+            numTokens += countTokens(message.content, encoding);
+        } else if (Array.isArray(message.content)) {
+            message.content
+                .filter(item => item.type === 'text' && typeof item.text === 'string')
+                .forEach(item => numTokens += countTokens(item.text, encoding));
+        }
+
+        if (Array.isArray(message.tool_calls)) {
+            message.tool_calls.forEach(tc => numTokens += countTokens(`${tc.function?.name ?? ''}${tc.function?.arguments ?? ''}`, encoding));
+        }
+
+        if (message.name) {
+            numTokens += TOKENS_PER_NAME + countTokens(message.name, encoding);
+        }
+    });
+
+    if (tools && tools.length > 0) {
+        numTokens += countTokens(JSON.stringify(tools), encoding);
+    }
+
+    return numTokens + TOKENS_FOR_REPLY_PRIMING;
+}
+
+export {
+    DEFAULT_ENCODING,
+    availableEncodings,
+    encode,
+    decode,
+    countTokens,
+    truncateToTokens,
+    splitIntoTokenStrings,
+    countChatPromptTokens
+};
@@ -1,21 +1,21 @@
-import { v4 as uuidv4 } from 'uuid';
 import crypto from "crypto";
 import ISO6391 from 'iso-639-1';
+import {random, getUuid, nowMs} from "./determinism.js";
 
 const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
 
 function getTimestampSeconds() {
-    return Math.floor(Date.now() / 1000);
+    return Math.floor(nowMs() / 1000);
 }
 
 function getId() {
-    return `gen-${getTimestampSeconds()}-${uuidv4()}`;
+    return `gen-${getTimestampSeconds()}-${getUuid()}`;
 }
 
 function getRandomString(numChars) {
     let result = '';
     for (let i = 0; i < numChars; i++) {
-        const randomIndex = Math.floor(Math.random() * characters.length);
+        const randomIndex = Math.floor(random() * characters.length);
         result += characters[randomIndex];
     }
     return result;
@@ -74,7 +74,97 @@ function getRandomDivisibleBy(min, max, divisor) {
     min = Math.ceil(min / divisor) * divisor;
     max = Math.floor(max / divisor) * divisor;
 
-    return Math.floor(Math.random() * ((max - min) / divisor + 1)) * divisor + min;
+    return Math.floor(random() * ((max - min) / divisor + 1)) * divisor + min;
+}
+
+// '*' matches anything, the rest literally... used for route patterns in config
+function globToRegex(glob) {
+    return new RegExp('^' + glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+}
+
+// Whether a rule (faults, latency, queued responses) applies to a {route, model} request: `route` is a glob matched
+// against the path, `model` one model or a list of them... conditions left out match anything
+function matchesRouteAndModel(rule, request) {
+    if (rule.route && !globToRegex(rule.route).test(request.route)) {
+        return false;
+    }
+    if (rule.model && (Array.isArray(rule.model) ? rule.model : [rule.model]).every(model => model !== request.model)) {
+        return false;
+    }
+    return true;
+}
+
+// the key of 'Authorization: Bearer <key>', or null
+function getApiKey(req) {
+    const authHeader = req.headers['authorization'];
+    return authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+}
+
+// A configured key as its position in `apiKeys`, e.g. 'apiKeys[0]', or null when it isn't one of them... for what the
+// admin API and /metrics show, which must not hold the key itself
+function getApiKeyLabel(apiKey, apiKeys) {
+    const idx = apiKey == null ? -1 : (apiKeys ?? []).indexOf(apiKey);
+    return idx > -1 ? `apiKeys[${idx}]` : null;
+}
+
+// Calls onUsage with the `usage` of every json body and server-sent event of the response (chat chunks with
+// stream_options.include_usage, response.completed events, ...), as {promptTokens, completionTokens, totalTokens}.
+function onResponseUsage(res, onUsage) {
+    const report = (body) => {
+        const usage = body?.usage ?? body?.response?.usage;
+        if (!usage) {
+            return;
+        }
+        const promptTokens = usage.prompt_tokens ?? usage.input_tokens ?? 0;
+        const completionTokens = usage.completion_tokens ?? usage.output_tokens ?? 0;
+        onUsage({promptTokens, completionTokens, totalTokens: usage.total_tokens ?? (promptTokens + completionTokens)});
+    };
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        report(body);
+        return originalJson(body);
+    };
+
+    const originalWrite = res.write.bind(res);
+    res.write = (chunk, ...args) => {
+        if (res.getHeader('content-type')?.toString().startsWith('text/event-stream')) {
+            for (const line of chunk.toString().split('\n')) {
+                if (line.startsWith('data: {') && line.includes('"usage"')) {
+                    try {
+                        report(JSON.parse(line.slice('data: '.length)));
+                    } catch (e) {
+                        // not a complete json event... nothing to count
+                    }
+                }
+            }
+        }
+        return originalWrite(chunk, ...args);
+    };
+}
+
+// cursor based, like all list endpoints: `items` in creation order, listed newest first by default, `after`/`before` are object ids
+function paginate(items, {limit, order, after, before} = {}, {defaultLimit = 20, maxLimit = 100} = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit ?? defaultLimit, 10) || defaultLimit, 1), maxLimit);
+    let ordered = order === 'asc' ? [...items] : [...items].reverse();
+
+    if (after) {
+        const idx = ordered.findIndex(item => item.id === after);
+        ordered = idx > -1 ? ordered.slice(idx + 1) : ordered;
+    }
+    if (before) {
+        const idx = ordered.findIndex(item => item.id === before);
+        ordered = idx > -1 ? ordered.slice(0, idx) : ordered;
+    }
+
+    const page = ordered.slice(0, pageSize);
+    return {
+        object: 'list',
+        data: page,
+        first_id: page[0]?.id ?? null,
+        last_id: page[page.length - 1]?.id ?? null,
+        has_more: ordered.length > pageSize
+    };
 }
 
 export {
@@ -88,5 +178,11 @@ export {
     sleep,
     floatsArrayToBase64,
     base64ToFloatsArray,
-    getRandomDivisibleBy
+    getRandomDivisibleBy,
+    globToRegex,
+    matchesRouteAndModel,
+    getApiKey,
+    getApiKeyLabel,
+    onResponseUsage,
+    paginate
 }
@@ -0,0 +1,635 @@
+import path from "path";
+import {getRandomString, getTimestampSeconds, paginate, sleep} from "./utils.js";
+import {invalidRequestError, notFoundError} from "./errors.js";
+import {getFile, readFileContent} from "./files.js";
+import {encode, decode} from "./tokenizer.js";
+import {getResponseForEmbedding} from "./generators/embedding.js";
+
+// Vector stores API. Files from the Files API are chunked by tokens and every chunk is embedded with the mock embedding
+// generator, as the sum of its word embeddings. Chunks sharing words with the query get a high cosine similarity, which is
+// what a retrieval test needs, even if the embeddings carry no meaning.
+// Files go in_progress -> completed (or failed) after `vectorStores.processingMs`. Everything is kept in memory only.
+
+const EMBEDDING_DIMENSIONS = 256;
+const DEFAULT_CHUNKING_STRATEGY = {type: 'static', static: {max_chunk_size_tokens: 800, chunk_overlap_tokens: 400}};
+const TEXT_EXTENSIONS = ['.txt', '.md', '.json', '.jsonl', '.csv', '.html', '.htm', '.xml', '.yaml', '.yml', '.js', '.ts', '.py', '.java', '.c', '.cpp', '.cs', '.go', '.rb', '.php', '.sh', '.css', '.tex'];
+const RANKERS = ['auto', 'default-2024-11-15', 'none'];
+const COMPARISON_FILTERS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin'];
+const COMPOUND_FILTERS = ['and', 'or'];
+const MAX_ATTRIBUTES = 16;
+
+let settings = {
+    processingMs: 500
+};
+
+const vectorStores = new Map();
+// vector store id -> Map of file id -> {file, chunks, sourceFile}, in creation order
+const vectorStoreFiles = new Map();
+// vector store id -> Map of batch id -> {batch, fileIds}
+const fileBatches = new Map();
+
+function init(cfg) {
+    settings = {...settings, ...cfg?.vectorStores};
+}
+
+// vector stores
+
+function createVectorStore({name, file_ids: fileIds, expires_after: expiresAfter, chunking_strategy: chunkingStrategy, metadata}) {
+    const expiresError = validateExpiresAfter(expiresAfter);
+    if (expiresError) {
+        return {data: null, error: expiresError};
+    }
+    if (fileIds != null && (!Array.isArray(fileIds) || fileIds.some(fileId => typeof fileId !== 'string'))) {
+        return {data: null, error: invalidRequestError(`Invalid type for 'file_ids': expected an array of strings, but got ${JSON.stringify(fileIds)} instead.`, 'file_ids', 'invalid_type')};
+    }
+
+    const createdAt = getTimestampSeconds();
+    const vectorStore = {
+        id: `vs_${getRandomString(24)}`,
+        object: 'vector_store',
+        created_at: createdAt,
+        name: name ?? null,
+        usage_bytes: 0,
+        file_counts: {in_progress: 0, completed: 0, failed: 0, cancelled: 0, total: 0},
+        status: 'completed',
+        expires_after: expiresAfter ?? null,
+        expires_at: expiresAfter ? createdAt + expiresAfter.days * 24 * 60 * 60 : null,
+        last_active_at: createdAt,
+        metadata: metadata ?? {}
+    };
+
+    vectorStores.set(vectorStore.id, vectorStore);
+    vectorStoreFiles.set(vectorStore.id, new Map());
+    fileBatches.set(vectorStore.id, new Map());
+
+    for (const fileId of fileIds ?? []) {
+        const {error} = addFile(vectorStore, fileId, null, chunkingStrategy);
+        if (error) {
+            deleteVectorStore(vectorStore.id);
+            return {data: null, error};
+        }
+    }
+
+    return {data: vectorStore, error: null};
+}
+
+function listVectorStores(query) {
+    return {data: paginate([...vectorStores.values()], query), error: null};
+}
+
+function getVectorStore(vectorStoreId) {
+    const vectorStore = vectorStores.get(vectorStoreId);
+    return vectorStore
+        ? {data: vectorStore, error: null}
+        : {data: null, error: notFoundError(`No vector store found with id '${vectorStoreId}'.`, 'vector_store_id')};
+}
+
+function updateVectorStore(vectorStoreId, {name, expires_after: expiresAfter, metadata}) {
+    const {data: vectorStore, error} = getVectorStore(vectorStoreId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    const expiresError = validateExpiresAfter(expiresAfter);
+    if (expiresError) {
+        return {data: null, error: expiresError};
+    }
+
+    if (name !== undefined) {
+        vectorStore.name = name;
+    }
+    if (expiresAfter !== undefined) {
+        vectorStore.expires_after = expiresAfter;
+        vectorStore.expires_at = expiresAfter ? vectorStore.last_active_at + expiresAfter.days * 24 * 60 * 60 : null;
+    }
+    if (metadata !== undefined) {
+        vectorStore.metadata = metadata ?? {};
+    }
+
+    return {data: vectorStore, error: null};
+}
+
+function deleteVectorStore(vectorStoreId) {
+    const {error} = getVectorStore(vectorStoreId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    vectorStores.delete(vectorStoreId);
+    vectorStoreFiles.delete(vectorStoreId);
+    fileBatches.delete(vectorStoreId);
+
+    return {data: {id: vectorStoreId, object: 'vector_store.deleted', deleted: true}, error: null};
+}
+
+// vector store files
+
+function createVectorStoreFile(vectorStoreId, {file_id: fileId, attributes, chunking_strategy: chunkingStrategy}) {
+    const {data: vectorStore, error} = getVectorStore(vectorStoreId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    return addFile(vectorStore, fileId, attributes, chunkingStrategy);
+}
+
+function listVectorStoreFiles(vectorStoreId, query) {
+    const {error} = getVectorStore(vectorStoreId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    const matching = [...vectorStoreFiles.get(vectorStoreId).values()]
+        .map(entry => entry.file)
+        .filter(file => !query.filter || file.status === query.filter);
+
+    return {data: paginate(matching, query), error: null};
+}
+
+function getVectorStoreFile(vectorStoreId, fileId) {
+    const {error} = getVectorStore(vectorStoreId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    const entry = vectorStoreFiles.get(vectorStoreId).get(fileId);
+    return entry
+        ? {data: entry.file, error: null}
+        : {data: null, error: notFoundError(`No file found with id '${fileId}' in vector store '${vectorStoreId}'.`, 'file_id')};
+}
+
+function updateVectorStoreFile(vectorStoreId, fileId, {attributes}) {
+    const {data: file, error} = getVectorStoreFile(vectorStoreId, fileId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    const attributesError = validateAttributes(attributes);
+    if (attributesError) {
+        return {data: null, error: attributesError};
+    }
+
+    file.attributes = attributes ?? {};
+    return {data: file, error: null};
+}
+
+// the file itself stays in the Files API
+function deleteVectorStoreFile(vectorStoreId, fileId) {
+    const {error} = getVectorStoreFile(vectorStoreId, fileId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    vectorStoreFiles.get(vectorStoreId).delete(fileId);
+    refreshVectorStore(vectorStores.get(vectorStoreId));
+
+    return {data: {id: fileId, object: 'vector_store.file.deleted', deleted: true}, error: null};
+}
+
+function getVectorStoreFileContent(vectorStoreId, fileId) {
+    const {error} = getVectorStoreFile(vectorStoreId, fileId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    const entry = vectorStoreFiles.get(vectorStoreId).get(fileId);
+    return {
+        data: {
+            file_id: fileId,
+            filename: getFile(fileId).data?.filename ?? null,
+            attributes: entry.file.attributes,
+            content: entry.chunks.map(chunk => ({type: 'text', text: chunk.text}))
+        },
+        error: null
+    };
+}
+
+// file batches
+
+function createFileBatch(vectorStoreId, {file_ids: fileIds, attributes, chunking_strategy: chunkingStrategy}) {
+    const {data: vectorStore, error} = getVectorStore(vectorStoreId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    if (!Array.isArray(fileIds) || fileIds.length === 0) {
+        return {data: null, error: invalidRequestError(`Missing required parameter: 'file_ids'.`, 'file_ids', 'missing_required_parameter')};
+    }
+    if (fileIds.some(fileId => typeof fileId !== 'string')) {
+        return {data: null, error: invalidRequestError(`Invalid type for 'file_ids': expected an array of strings, but got ${JSON.stringify(fileIds)} instead.`, 'file_ids', 'invalid_type')};
+    }
+    // checked upfront, so that a bad id does not leave half a batch behind
+    for (const fileId of fileIds) {
+        const {error: fileError} = getFile(fileId);
+        if (fileError) {
+            return {data: null, error: invalidRequestError(`File '${fileId}' not found.`, 'file_ids')};
+        }
+    }
+
+    const batch = {
+        id: `vsfb_${getRandomString(24)}`,
+        object: 'vector_store.files_batch',
+        created_at: getTimestampSeconds(),
+        vector_store_id: vectorStoreId,
+        status: 'in_progress',
+        file_counts: {in_progress: 0, completed: 0, failed: 0, cancelled: 0, total: 0}
+    };
+
+    for (const fileId of fileIds) {
+        const {error: addError} = addFile(vectorStore, fileId, attributes, chunkingStrategy);
+        if (addError) {
+            return {data: null, error: addError};
+        }
+    }
+
+    fileBatches.get(vectorStoreId).set(batch.id, {batch, fileIds});
+    refreshVectorStore(vectorStore);
+
+    return {data: batch, error: null};
+}
+
+function getFileBatch(vectorStoreId, batchId) {
+    const {error} = getVectorStore(vectorStoreId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    const entry = fileBatches.get(vectorStoreId).get(batchId);
+    return entry
+        ? {data: entry.batch, error: null}
+        : {data: null, error: notFoundError(`No file batch found with id '${batchId}' in vector store '${vectorStoreId}'.`, 'batch_id')};
+}
+
+function cancelFileBatch(vectorStoreId, batchId) {
+    const {data: batch, error} = getFileBatch(vectorStoreId, batchId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    if (batch.status !== 'in_progress') {
+        return {data: null, error: invalidRequestError(`Cannot cancel a file batch with status '${batch.status}'.`)};
+    }
+
+    // files still waiting are skipped by processFile
+    getBatchFiles(vectorStoreId, batchId)
+        .filter(file => file.status === 'in_progress')
+        .forEach(file => file.status = 'cancelled');
+    refreshVectorStore(vectorStores.get(vectorStoreId));
+
+    return {data: batch, error: null};
+}
+
+function listFileBatchFiles(vectorStoreId, batchId, query) {
+    const {error} = getFileBatch(vectorStoreId, batchId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    const matching = getBatchFiles(vectorStoreId, batchId).filter(file => !query.filter || file.status === query.filter);
+    return {data: paginate(matching, query), error: null};
+}
+
+// search
+
+function searchVectorStore(vectorStoreId, {query, filters, max_num_results: maxNumResults, ranking_options: rankingOptions, rewrite_query: rewriteQuery}) {
+    const {data: vectorStore, error} = getVectorStore(vectorStoreId);
+    if (error) {
+        return {data: null, error};
+    }
+
+    const queries = typeof query === 'string' ? [query] : query;
+    if (!Array.isArray(queries) || queries.length === 0 || !queries.every(q => typeof q === 'string')) {
+        return {data: null, error: invalidRequestError(`Invalid value for 'query': expected a string or an array of strings.`, 'query')};
+    }
+
+    const limit = maxNumResults ?? 10;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+        return {data: null, error: invalidRequestError(`Invalid value for 'max_num_results': expected an integer between 1 and 50. Given: ${JSON.stringify(maxNumResults)}.`, 'max_num_results')};
+    }
+
+    const ranker = rankingOptions?.ranker ?? 'auto';
+    if (!RANKERS.includes(ranker)) {
+        return {data: null, error: invalidRequestError(`Invalid value for 'ranking_options.ranker': expected one of ${RANKERS.map(r => `'${r}'`).join(', ')}. Given: ${JSON.stringify(ranker)}.`, 'ranking_options.ranker')};
+    }
+    const scoreThreshold = rankingOptions?.score_threshold ?? 0;
+    if (typeof scoreThreshold !== 'number' || scoreThreshold < 0 || scoreThreshold > 1) {
+        return {data: null, error: invalidRequestError(`Invalid value for 'ranking_options.score_threshold': expected a number between 0 and 1. Given: ${JSON.stringify(scoreThreshold)}.`, 'ranking_options.score_threshold')};
+    }
+
+    const filterError = filters ? validateFilter(filters, 'filters') : null;
+    if (filterError) {
+        return {data: null, error: filterError};
+    }
+
+    // the "rewritten" query is just the normalized one
+    const searchQueries = rewriteQuery ? queries.map(q => getWords(q).join(' ')) : queries;
+    const queryEmbeddings = searchQueries.map(q => embedText(q));
+    const queryWords = new Set(searchQueries.flatMap(q => getWords(q)));
+
+    const results = [];
+    for (const {file, chunks} of vectorStoreFiles.get(vectorStoreId).values()) {
+        if (file.status !== 'completed' || (filters && !matchesFilter(file.attributes, filters))) {
+            continue;
+        }
+
+        const filename = getFile(file.id).data?.filename ?? null;
+        for (const chunk of chunks) {
+            const similarity = Math.max(...queryEmbeddings.map(embedding => Math.max(0, cosineSimilarity(embedding, chunk.embedding))));
+            // the default rankers mix in keyword overlap, like the hosted hybrid search... 'none' is embeddings only
+            const score = ranker === 'none'
+                ? similarity
+                : 0.7 * similarity + 0.3 * getKeywordOverlap(queryWords, chunk.words);
+
+            if (score >= scoreThreshold) {
+                results.push({file_id: file.id, filename, score: Math.round(score * 1e6) / 1e6, attributes: file.attributes, content: [{type: 'text', text: chunk.text}]});
+            }
+        }
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    vectorStore.last_active_at = getTimestampSeconds();
+
+    return {
+        data: {
+            object: 'vector_store.search_results.page',
+            search_query: searchQueries,
+            data: results.slice(0, limit),
+            has_more: false,
+            next_page: null
+        },
+        error: null
+    };
+}
+
+// processing
+
+function addFile(vectorStore, fileId, attributes, chunkingStrategy) {
+    const {data: sourceFile, error} = getFile(fileId);
+    if (error) {
+        return {data: null, error: invalidRequestError(`File '${fileId}' not found.`, 'file_id')};
+    }
+
+    const attributesError = validateAttributes(attributes);
+    if (attributesError) {
+        return {data: null, error: attributesError};
+    }
+
+    const {strategy, error: strategyError} = getChunkingStrategy(chunkingStrategy);
+    if (strategyError) {
+        return {data: null, error: strategyError};
+    }
+
+    const file = {
+        id: fileId,
+        object: 'vector_store.file',
+        usage_bytes: 0,
+        created_at: getTimestampSeconds(),
+        vector_store_id: vectorStore.id,
+        status: 'in_progress',
+        last_error: null,
+        chunking_strategy: strategy,
+        attributes: attributes ?? {}
+    };
+
+    const entry = {file, chunks: [], sourceFile};
+    vectorStoreFiles.get(vectorStore.id).set(fileId, entry);
+    refreshVectorStore(vectorStore);
+
+    processFile(vectorStore, entry).catch(err => {
+        console.error(`[vector store] ${vectorStore.id} ${fileId}`, err);
+        entry.file.status = 'failed';
+        entry.file.last_error = {code: 'server_error', message: err.message};
+        refreshVectorStore(vectorStore);
+    });
+
+    return {data: file, error: null};
+}
+
+async function processFile(vectorStore, entry) {
+    await sleep(settings.processingMs);
+
+    const {file, sourceFile} = entry;
+    // cancelled, or removed from the store in the meantime
+    if (file.status !== 'in_progress' || vectorStoreFiles.get(vectorStore.id)?.get(file.id) !== entry) {
+        return;
+    }
+
+    if (!TEXT_EXTENSIONS.includes(path.extname(sourceFile.filename).toLowerCase())) {
+        file.status = 'failed';
+        file.last_error = {code: 'unsupported_file', message: `The file type of ${sourceFile.filename} is not supported for retrieval.`};
+        return refreshVectorStore(vectorStore);
+    }
+
+    const {data: content, error} = readFileContent(file.id);
+    if (error) {
+        file.status = 'failed';
+        file.last_error = {code: 'invalid_file', message: error.error.message};
+        return refreshVectorStore(vectorStore);
+    }
+
+    entry.chunks = chunkText(content, file.chunking_strategy.static).map(text => ({
+        text,
+        words: new Set(getWords(text)),
+        embedding: embedText(text)
+    }));
+
+    file.status = 'completed';
+    file.usage_bytes = Buffer.byteLength(content);
+    refreshVectorStore(vectorStore);
+}
+
+function chunkText(content, {max_chunk_size_tokens: maxTokens, chunk_overlap_tokens: overlapTokens}) {
+    const tokens = encode(content);
+    const chunks = [];
+
+    for (let start = 0; start < tokens.length; start += maxTokens - overlapTokens) {
+        chunks.push(decode(tokens.slice(start, start + maxTokens)));
+        if (start + maxTokens >= tokens.length) {
+            break;
+        }
+    }
+
+    return chunks.filter(chunk => chunk.trim());
+}
+
+// sum of the (zero centered) word embeddings, normalized
+function embedText(text) {
+    const embedding = new Array(EMBEDDING_DIMENSIONS).fill(0);
+
+    getWords(text).forEach(word => {
+        getResponseForEmbedding(word, EMBEDDING_DIMENSIONS).forEach((value, idx) => embedding[idx] += value - 0.5);
+    });
+
+    const norm = Math.sqrt(embedding.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return embedding.map(value => value / norm);
+}
+
+function cosineSimilarity(a, b) {
+    return a.reduce((sum, value, idx) => sum + value * b[idx], 0);
+}
+
+// fraction of the query words found in the chunk
+function getKeywordOverlap(queryWords, chunkWords) {
+    if (queryWords.size === 0) {
+        return 0;
+    }
+    return [...queryWords].filter(word => chunkWords.has(word)).length / queryWords.size;
+}
+
+function getWords(text) {
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+function getBatchFiles(vectorStoreId, batchId) {
+    const {batch, fileIds} = fileBatches.get(vectorStoreId).get(batchId);
+    return fileIds
+        .map(fileId => vectorStoreFiles.get(vectorStoreId).get(fileId)?.file)
+        .filter(file => file && file.created_at >= batch.created_at);
+}
+
+// recomputes file counts, usage and status of the store and of its file batches
+function refreshVectorStore(vectorStore) {
+    const files = [...vectorStoreFiles.get(vectorStore.id).values()].map(entry => entry.file);
+
+    vectorStore.file_counts = getFileCounts(files);
+    vectorStore.usage_bytes = files.reduce((sum, file) => sum + file.usage_bytes, 0);
+    vectorStore.status = vectorStore.file_counts.in_progress > 0 ? 'in_progress' : 'completed';
+
+    for (const {batch} of fileBatches.get(vectorStore.id).values()) {
+        if (batch.status !== 'in_progress') {
+            continue;
+        }
+        batch.file_counts = getFileCounts(getBatchFiles(vectorStore.id, batch.id));
+        if (batch.file_counts.in_progress === 0) {
+            batch.status = batch.file_counts.cancelled > 0 ? 'cancelled' : 'completed';
+        }
+    }
+}
+
+function getFileCounts(files) {
+    const counts = {in_progress: 0, completed: 0, failed: 0, cancelled: 0, total: files.length};
+    files.forEach(file => counts[file.status]++);
+    return counts;
+}
+
+// validation
+
+function getChunkingStrategy(chunkingStrategy) {
+    if (!chunkingStrategy || chunkingStrategy.type === 'auto') {
+        return {strategy: DEFAULT_CHUNKING_STRATEGY, error: null};
+    }
+
+    if (chunkingStrategy.type !== 'static') {
+        return {strategy: null, error: invalidRequestError(`Invalid value for 'chunking_strategy.type': expected 'auto' or 'static'. Given: ${JSON.stringify(chunkingStrategy.type)}.`, 'chunking_strategy.type')};
+    }
+
+    const maxTokens = chunkingStrategy.static?.max_chunk_size_tokens;
+    const overlapTokens = chunkingStrategy.static?.chunk_overlap_tokens;
+    if (!Number.isInteger(maxTokens) || maxTokens < 100 || maxTokens > 4096) {
+        return {strategy: null, error: invalidRequestError(`Invalid value for 'chunking_strategy.static.max_chunk_size_tokens': expected an integer between 100 and 4096. Given: ${JSON.stringify(maxTokens)}.`, 'chunking_strategy.static.max_chunk_size_tokens')};
+    }
+    if (!Number.isInteger(overlapTokens) || overlapTokens < 0 || overlapTokens > maxTokens / 2) {
+        return {strategy: null, error: invalidRequestError(`Invalid value for 'chunking_strategy.static.chunk_overlap_tokens': expected a non negative integer of at most half of max_chunk_size_tokens. Given: ${JSON.stringify(overlapTokens)}.`, 'chunking_strategy.static.chunk_overlap_tokens')};
+    }
+
+    return {strategy: {type: 'static', static: {max_chunk_size_tokens: maxTokens, chunk_overlap_tokens: overlapTokens}}, error: null};
+}
+
+function validateExpiresAfter(expiresAfter) {
+    if (expiresAfter == null) {
+        return null;
+    }
+    if (expiresAfter.anchor !== 'last_active_at' || !Number.isInteger(expiresAfter.days) || expiresAfter.days < 1 || expiresAfter.days > 365) {
+        return invalidRequestError(`Invalid value for 'expires_after': expected {anchor: 'last_active_at', days: 1-365}. Given: ${JSON.stringify(expiresAfter)}.`, 'expires_after');
+    }
+    return null;
+}
+
+function validateAttributes(attributes) {
+    if (attributes == null) {
+        return null;
+    }
+    if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+        return invalidRequestError(`Invalid value for 'attributes': expected an object.`, 'attributes');
+    }
+    if (Object.keys(attributes).length > MAX_ATTRIBUTES) {
+        return invalidRequestError(`Invalid 'attributes': too many keys. Expected at most ${MAX_ATTRIBUTES}, got ${Object.keys(attributes).length}.`, 'attributes');
+    }
+    for (const [key, value] of Object.entries(attributes)) {
+        const isValid = (typeof value === 'string' && value.length <= 512) || typeof value === 'number' || typeof value === 'boolean';
+        if (key.length > 64 || !isValid) {
+            return invalidRequestError(`Invalid value for 'attributes.${key}': keys are at most 64 characters, values are strings (at most 512 characters), numbers or booleans.`, `attributes.${key}`);
+        }
+    }
+    return null;
+}
+
+function validateFilter(filter, param) {
+    if (!filter || typeof filter !== 'object') {
+        return invalidRequestError(`Invalid value for '${param}': expected an object.`, param);
+    }
+    if (COMPOUND_FILTERS.includes(filter.type)) {
+        if (!Array.isArray(filter.filters)) {
+            return invalidRequestError(`Invalid value for '${param}.filters': expected an array of filters.`, `${param}.filters`);
+        }
+        for (const [idx, inner] of filter.filters.entries()) {
+            const error = validateFilter(inner, `${param}.filters[${idx}]`);
+            if (error) {
+                return error;
+            }
+        }
+        return null;
+    }
+    if (!COMPARISON_FILTERS.includes(filter.type)) {
+        return invalidRequestError(`Invalid value for '${param}.type': expected one of ${[...COMPARISON_FILTERS, ...COMPOUND_FILTERS].map(t => `'${t}'`).join(', ')}. Given: ${JSON.stringify(filter.type)}.`, `${param}.type`);
+    }
+    if (typeof filter.key !== 'string') {
+        return invalidRequestError(`Missing required parameter: '${param}.key'.`, `${param}.key`, 'missing_required_parameter');
+    }
+    if (['in', 'nin'].includes(filter.type) !== Array.isArray(filter.value)) {
+        return invalidRequestError(`Invalid value for '${param}.value': '${filter.type}' expects ${['in', 'nin'].includes(filter.type) ? 'an array' : 'a string, number or boolean'}.`, `${param}.value`);
+    }
+    return null;
+}
+
+function matchesFilter(attributes, filter) {
+    if (filter.type === 'and') {
+        return filter.filters.every(inner => matchesFilter(attributes, inner));
+    }
+    if (filter.type === 'or') {
+        return filter.filters.some(inner => matchesFilter(attributes, inner));
+    }
+
+    const actual = attributes?.[filter.key];
+    switch (filter.type) {
+        case 'eq': return actual === filter.value;
+        case 'ne': return actual !== filter.value;
+        case 'gt': return actual != null && actual > filter.value;
+        case 'gte': return actual != null && actual >= filter.value;
+        case 'lt': return actual != null && actual < filter.value;
+        case 'lte': return actual != null && actual <= filter.value;
+        case 'in': return filter.value.includes(actual);
+        case 'nin': return !filter.value.includes(actual);
+    }
+    return false;
+}
+
+export {
+    init,
+    createVectorStore,
+    listVectorStores,
+    getVectorStore,
+    updateVectorStore,
+    deleteVectorStore,
+    createVectorStoreFile,
+    listVectorStoreFiles,
+    getVectorStoreFile,
+    updateVectorStoreFile,
+    deleteVectorStoreFile,
+    getVectorStoreFileContent,
+    createFileBatch,
+    getFileBatch,
+    cancelFileBatch,
+    listFileBatchFiles,
+    searchVectorStore
+};
@@ -0,0 +1,94 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import seedrandom from "seedrandom";
+import {generateFromJsonSchema} from "../src/generators/jsonSchema.js";
+
+const ajv = new Ajv({strict: false});
+addFormats(ajv);
+
+const SEEDS = Array.from({length: 25}, (_, idx) => `seed-${idx}`);
+
+// every seed's sample must validate
+function assertValidSamples(schema) {
+    const validate = ajv.compile(schema);
+    for (const seed of SEEDS) {
+        const sample = generateFromJsonSchema(schema, seedrandom(seed));
+        assert.ok(validate(sample), `${JSON.stringify(sample)} (seed ${seed}): ${ajv.errorsText(validate.errors)}`);
+    }
+}
+
+describe('generateFromJsonSchema', () => {
+    describe('allOf', () => {
+        it('keeps the type of branches without one', () => {
+            assertValidSamples({allOf: [{type: 'string'}, {minLength: 20}]});
+            assertValidSamples({allOf: [{type: 'array', items: {type: 'integer'}}, {minItems: 2, maxItems: 4}]});
+            assertValidSamples({allOf: [{minimum: 5}, {maximum: 10}, {type: 'integer'}]});
+        });
+
+        it('merges the properties and required keys of object branches', () => {
+            assertValidSamples({
+                allOf: [
+                    {type: 'object', properties: {name: {type: 'string'}}, required: ['name']},
+                    {properties: {age: {type: 'integer', minimum: 0}}, required: ['age']}
+                ]
+            });
+        });
+    });
+
+    describe('uniqueItems', () => {
+        it('reaches minItems', () => {
+            assertValidSamples({type: 'array', uniqueItems: true, minItems: 15, items: {type: 'string'}});
+            assertValidSamples({type: 'array', uniqueItems: true, minItems: 8, items: {type: 'integer', minimum: 0, maximum: 20}});
+            assertValidSamples({type: 'array', uniqueItems: true, minItems: 12, items: {type: 'object', properties: {id: {type: 'string'}}, required: ['id']}});
+            assertValidSamples({type: 'array', uniqueItems: true, minItems: 3, items: {enum: ['a', 'b', 'c']}});
+        });
+    });
+
+    describe('pattern', () => {
+        const patterns = [
+            '^[A-Z]{3}-\\d{4}$',
+            '^(foo|bar)+baz?$',
+            '^\\+?[0-9 ()-]{7,15}$',
+            '[^a-z]{2,}',
+            '^(?<year>\\d{4})-(?:0[1-9]|1[0-2])$',
+            '^[a-z0-9._%+-]+@[a-z0-9.-]+\\.[a-z]{2,}$',
+            '^v\\d+\\.\\d+\\.\\d+(-rc\\.\\d+)?$'
+        ];
+
+        for (const pattern of patterns) {
+            it(`generates strings matching ${pattern}`, () => {
+                assertValidSamples({type: 'string', pattern});
+            });
+        }
+
+        it('honors the length limits along with the pattern', () => {
+            assertValidSamples({type: 'string', pattern: '^[a-z]+$', minLength: 2, maxLength: 3});
+        });
+    });
+
+    describe('formats', () => {
+        it('draws uuids from the given rng', () => {
+            const schema = {type: 'string', format: 'uuid'};
+            assert.equal(generateFromJsonSchema(schema, seedrandom('a')), generateFromJsonSchema(schema, seedrandom('a')));
+            assert.notEqual(generateFromJsonSchema(schema, seedrandom('a')), generateFromJsonSchema(schema, seedrandom('b')));
+            assertValidSamples(schema);
+        });
+    });
+
+    it('generates the same sample for the same seed', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                id: {type: 'string', format: 'uuid'},
+                tags: {type: 'array', items: {type: 'string'}},
+                score: {type: 'number', minimum: 0, maximum: 1}
+            },
+            required: ['id', 'tags', 'score'],
+            additionalProperties: false
+        };
+        assert.deepEqual(generateFromJsonSchema(schema, seedrandom('x')), generateFromJsonSchema(schema, seedrandom('x')));
+        assertValidSamples(schema);
+    });
+});
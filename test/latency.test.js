@@ -0,0 +1,81 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {runWithSeed} from "../src/determinism.js";
+import {init as initLatency, getLatencyProfile, getStreamingLatency} from "../src/latency.js";
+
+const SAMPLES = 4000;
+
+// `count` times to first token of a profile with the given timeToFirstByteMs... an empty body adds no prompt time
+function sampleFirstByteMs(spec, count = SAMPLES) {
+    initLatency({latency: {enable: true, profiles: {test: {timeToFirstByteMs: spec}}, rules: [{route: '*', profile: 'test'}]}});
+    return runWithSeed('latency', spec, () => Array.from({length: count}, () => {
+        return getStreamingLatency({baseUrl: '/v1', path: '/chat/completions', body: {}}).timeToFirstTokenMs;
+    }));
+}
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+const stdDev = (values) => Math.sqrt(mean(values.map(value => (value - mean(values)) ** 2)));
+
+function assertNear(actual, expected, tolerance, what) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${what}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+describe('latency profiles', () => {
+    it('takes fixed numbers as they are', () => {
+        assert.deepEqual(new Set(sampleFirstByteMs(250, 20)), new Set([250]));
+        assert.deepEqual(new Set(sampleFirstByteMs({distribution: 'fixed', ms: 120}, 20)), new Set([120]));
+    });
+
+    it('samples [min, max] ranges and uniform distributions uniformly', () => {
+        for (const spec of [[100, 300], {distribution: 'uniform', minMs: 100, maxMs: 300}]) {
+            const samples = sampleFirstByteMs(spec);
+            assert.ok(samples.every(ms => ms >= 100 && ms <= 300), JSON.stringify(spec));
+            assertNear(mean(samples), 200, 5, `mean of ${JSON.stringify(spec)}`);
+        }
+    });
+
+    it('samples normal distributions, clamped to minMs and maxMs', () => {
+        const samples = sampleFirstByteMs({distribution: 'normal', meanMs: 500, stdDevMs: 100});
+        assertNear(mean(samples), 500, 8, 'mean');
+        assertNear(stdDev(samples), 100, 8, 'standard deviation');
+
+        const clamped = sampleFirstByteMs({distribution: 'normal', meanMs: 500, stdDevMs: 100, minMs: 450, maxMs: 520});
+        assert.ok(clamped.every(ms => ms >= 450 && ms <= 520));
+    });
+
+    it('samples lognormal distributions around their median', () => {
+        const samples = sampleFirstByteMs({distribution: 'lognormal', medianMs: 300, sigma: 0.4});
+        assertNear(median(samples), 300, 12, 'median');
+        assert.ok(mean(samples) > median(samples), 'lognormal samples are skewed to the right');
+    });
+
+    it('samples histograms by bucket count, within the bucket bounds', () => {
+        const samples = sampleFirstByteMs({distribution: 'histogram', buckets: [{upToMs: 300, count: 1}, {upToMs: 100, count: 3}]});
+        assert.ok(samples.every(ms => ms >= 0 && ms <= 300));
+        assertNear(samples.filter(ms => ms <= 100).length / samples.length, 0.75, 0.03, 'share of the first bucket');
+    });
+
+    it('samples the same times for the same seed', () => {
+        const spec = {distribution: 'lognormal', medianMs: 300, sigma: 0.4};
+        assert.deepEqual(sampleFirstByteMs(spec, 10), sampleFirstByteMs(spec, 10));
+    });
+
+    it('picks the profile of the first rule matching the route and model', () => {
+        initLatency({
+            latency: {
+                enable: true,
+                profiles: {fast: {baseLatencyMs: 10}, slow: {baseLatencyMs: 1000}},
+                rules: [
+                    {route: '/v1/chat/*', model: ['gpt-4o', 'model-2'], profile: 'fast'},
+                    {route: '/v1/*', profile: 'slow'}
+                ]
+            }
+        });
+        const profileOf = (path, model) => getLatencyProfile({baseUrl: '/v1', path, body: {model}});
+
+        assert.equal(profileOf('/chat/completions', 'model-2').baseLatencyMs, 10);
+        assert.equal(profileOf('/chat/completions', 'davinci-002').baseLatencyMs, 1000);
+        assert.equal(profileOf('/embeddings', 'gpt-4o').baseLatencyMs, 1000);
+    });
+});
@@ -0,0 +1,136 @@
+import {describe, it, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {init as initDeterminism, setClock} from "../src/determinism.js";
+import {init as initRateLimits, rateLimitMiddleware} from "../src/rateLimits.js";
+
+const START_MS = Date.UTC(2030, 0, 1);
+
+const RATE_LIMITS = {
+    enable: true,
+    defaults: {requestsPerMinute: 100, tokensPerMinute: 1000},
+    models: {
+        'gpt-4o': {requestsPerMinute: 2}
+    },
+    apiKeys: {
+        'key-3': {requestsPerMinute: 3, models: {'gpt-4o': {requestsPerMinute: 10}}}
+    }
+};
+
+// just enough of express' response for the middleware, errors.js and utils.onResponseUsage
+function createResponse() {
+    const headers = {};
+    const res = {
+        statusCode: 200,
+        body: null,
+        setHeader: (name, value) => headers[name.toLowerCase()] = value,
+        getHeader: (name) => headers[name.toLowerCase()],
+        headers,
+        status: (statusCode) => {
+            res.statusCode = statusCode;
+            return res;
+        },
+        json: (body) => {
+            res.body = body;
+            return res;
+        },
+        write: () => true
+    };
+    return res;
+}
+
+// Returns the response... `usage` is what the route answers with, when the request gets through
+function send({apiKey = 'key-1', model = 'gpt-4o', path = '/chat/completions', usage = null} = {}) {
+    const req = {headers: {authorization: `Bearer ${apiKey}`}, body: {model}, path};
+    const res = createResponse();
+    let passed = false;
+    rateLimitMiddleware(req, res, () => passed = true);
+    if (passed) {
+        res.json({object: 'chat.completion', usage});
+    }
+    return res;
+}
+
+// the clock, `ms` after the start
+function setElapsedMs(ms) {
+    setClock(START_MS + ms);
+}
+
+describe('rateLimitMiddleware', () => {
+    beforeEach(() => {
+        initDeterminism({determinism: {enable: true, clock: {startTime: new Date(START_MS).toISOString(), stepMs: 0}}});
+        initRateLimits({organizationName: 'test org', rateLimits: structuredClone(RATE_LIMITS)});
+    });
+
+    it('counts key-level limits across models', () => {
+        assert.equal(send({apiKey: 'key-3', model: 'gpt-4o'}).statusCode, 200);
+        assert.equal(send({apiKey: 'key-3', model: 'model-2'}).statusCode, 200);
+        assert.equal(send({apiKey: 'key-3', model: 'gpt-4o'}).statusCode, 200);
+
+        const rejected = send({apiKey: 'key-3', model: 'model-2'});
+        assert.equal(rejected.statusCode, 429);
+        assert.equal(rejected.body.error.type, 'requests');
+        assert.equal(rejected.body.error.code, 'rate_limit_exceeded');
+        assert.match(rejected.body.error.message, /on requests per min \(RPM\): Limit 3, Used 3, Requested 1\./);
+    });
+
+    it('counts model-level limits per key and model', () => {
+        assert.equal(send({model: 'gpt-4o'}).statusCode, 200);
+        assert.equal(send({model: 'gpt-4o'}).statusCode, 200);
+        assert.equal(send({model: 'gpt-4o'}).statusCode, 429);
+
+        assert.equal(send({model: 'model-2'}).statusCode, 200);
+        assert.equal(send({apiKey: 'key-2', model: 'gpt-4o'}).statusCode, 200);
+    });
+
+    it('reports the window with the least remaining in the headers', () => {
+        const first = send({model: 'gpt-4o'});
+        assert.equal(first.getHeader('x-ratelimit-limit-requests'), '2');
+        assert.equal(first.getHeader('x-ratelimit-remaining-requests'), '1');
+        assert.equal(first.getHeader('x-ratelimit-reset-requests'), '1m0s');
+        assert.equal(first.getHeader('x-ratelimit-limit-tokens'), '1000');
+        assert.equal(first.getHeader('x-ratelimit-remaining-tokens'), '1000');
+        assert.equal(first.getHeader('x-ratelimit-reset-tokens'), '0s');
+
+        const otherModel = send({model: 'model-2'});
+        assert.equal(otherModel.getHeader('x-ratelimit-limit-requests'), '100');
+        assert.equal(otherModel.getHeader('x-ratelimit-remaining-requests'), '98');
+    });
+
+    it('counts tokens from the usage of the responses', () => {
+        assert.equal(send({model: 'model-2', usage: {prompt_tokens: 100, completion_tokens: 500, total_tokens: 600}}).statusCode, 200);
+        setElapsedMs(1000);
+        const second = send({model: 'model-2', usage: {input_tokens: 300, output_tokens: 200}});
+        assert.equal(second.getHeader('x-ratelimit-remaining-tokens'), '400');
+
+        setElapsedMs(2000);
+        const rejected = send({model: 'model-2'});
+        assert.equal(rejected.statusCode, 429);
+        assert.equal(rejected.body.error.type, 'tokens');
+        assert.match(rejected.body.error.message, /on tokens per min \(TPM\): Limit 1000, Used 1100\. Please try again in 58s\./);
+        assert.equal(rejected.getHeader('retry-after'), '58');
+    });
+
+    it('frees the window as requests leave it', () => {
+        send({model: 'gpt-4o'});
+        setElapsedMs(20 * 1000);
+        send({model: 'gpt-4o'});
+
+        setElapsedMs(30 * 1000);
+        const rejected = send({model: 'gpt-4o'});
+        assert.equal(rejected.statusCode, 429);
+        assert.equal(rejected.getHeader('retry-after'), '30');
+        assert.match(rejected.body.error.message, /Please try again in 30s\./);
+
+        setElapsedMs(60 * 1000);
+        const admitted = send({model: 'gpt-4o'});
+        assert.equal(admitted.statusCode, 200);
+        assert.equal(admitted.getHeader('x-ratelimit-remaining-requests'), '0');
+        assert.equal(admitted.getHeader('x-ratelimit-reset-requests'), '1m0s');
+    });
+
+    it('passes everything through when disabled', () => {
+        initRateLimits({organizationName: 'test org', rateLimits: {...structuredClone(RATE_LIMITS), enable: false}});
+        const results = Array.from({length: 5}, () => send({apiKey: 'key-3'}));
+        assert.ok(results.every(res => res.statusCode === 200 && res.getHeader('x-ratelimit-limit-requests') == null));
+    });
+});
@@ -0,0 +1,68 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {encode, decode, countTokens, truncateToTokens, splitIntoTokenStrings, countChatPromptTokens} from "../src/tokenizer.js";
+
+// token ids as returned by tiktoken itself
+const KNOWN_ENCODINGS = {
+    cl100k_base: {
+        'hello world': [15339, 1917],
+        'tiktoken is great!': [83, 1609, 5963, 374, 2294, 0],
+        '2 + 2 = 4': [17, 489, 220, 17, 284, 220, 19],
+        'antidisestablishmentarianism': [519, 85342, 34500, 479, 8997, 2191],
+        'お誕生日おめでとう': [33334, 45918, 243, 21990, 9080, 33334, 62004, 16556, 78699]
+    },
+    o200k_base: {
+        'hello world': [24912, 2375],
+        'tiktoken is great!': [83, 8251, 2488, 382, 2212, 0],
+        '2 + 2 = 4': [17, 659, 220, 17, 314, 220, 19]
+    }
+};
+
+// the example of the OpenAI cookbook's "How to count tokens with tiktoken"
+const COOKBOOK_MESSAGES = [
+    {role: 'system', content: 'You are a helpful, pattern-following assistant that translates corporate jargon into plain English.'},
+    {role: 'system', name: 'example_user', content: 'New synergies will help drive top-line growth.'},
+    {role: 'system', name: 'example_assistant', content: 'Things working well together will increase revenue.'},
+    {role: 'system', name: 'example_user', content: "Let's circle back when we have more bandwidth to touch base on opportunities for increased leverage."},
+    {role: 'system', name: 'example_assistant', content: "Let's talk later when we're less busy about how to do better."},
+    {role: 'user', content: "This late pivot means we don't have time to boil the ocean for the client deliverable."}
+];
+
+describe('tokenizer', () => {
+    for (const [encoding, texts] of Object.entries(KNOWN_ENCODINGS)) {
+        it(`encodes like tiktoken with ${encoding}`, () => {
+            for (const [text, tokens] of Object.entries(texts)) {
+                assert.deepEqual(encode(text, encoding), tokens, text);
+                assert.equal(countTokens(text, encoding), tokens.length, text);
+                assert.equal(decode(tokens, encoding), text);
+            }
+        });
+    }
+
+    it('encodes special tokens in user text as plain text', () => {
+        assert.ok(countTokens('<|endoftext|>', 'cl100k_base') > 1);
+    });
+
+    it('counts chat prompts like the cookbook', () => {
+        assert.equal(countChatPromptTokens(COOKBOOK_MESSAGES, null, 'cl100k_base'), 129);
+        assert.equal(countChatPromptTokens(COOKBOOK_MESSAGES, null, 'o200k_base'), 124);
+    });
+
+    it('counts the text parts of array contents', () => {
+        const asString = countChatPromptTokens([{role: 'user', content: 'hello world'}], null, 'cl100k_base');
+        const asParts = countChatPromptTokens([{role: 'user', content: [{type: 'text', text: 'hello world'}, {type: 'image_url', image_url: {url: 'https://example.com/a.png'}}]}], null, 'cl100k_base');
+        assert.equal(asParts, asString);
+    });
+
+    it('truncates to whole tokens', () => {
+        assert.equal(truncateToTokens('tiktoken is great!', 3, 'cl100k_base'), 'tiktoken');
+        assert.equal(truncateToTokens('hello world', 5, 'cl100k_base'), 'hello world');
+    });
+
+    it('splits into token strings that join back into the text, multi-byte characters included', () => {
+        const text = 'お誕生日おめでとう, tiktoken!';
+        const pieces = splitIntoTokenStrings(text, 'cl100k_base');
+        assert.equal(pieces.join(''), text);
+        assert.ok(pieces.every(piece => !piece.includes('�')));
+    });
+});
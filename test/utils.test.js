@@ -0,0 +1,64 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {paginate, globToRegex} from "../src/utils.js";
+
+// in creation order, like the stores keep them
+const ITEMS = Array.from({length: 150}, (_, idx) => ({id: `obj_${String(idx).padStart(3, '0')}`}));
+
+const idsOf = (list) => list.data.map(item => item.id);
+
+describe('paginate', () => {
+    it('lists the first 20 newest first by default', () => {
+        const list = paginate(ITEMS);
+        assert.equal(list.object, 'list');
+        assert.equal(list.data.length, 20);
+        assert.equal(list.first_id, 'obj_149');
+        assert.equal(list.last_id, 'obj_130');
+        assert.equal(list.has_more, true);
+    });
+
+    it('lists oldest first with order=asc', () => {
+        const list = paginate(ITEMS, {order: 'asc', limit: '3'});
+        assert.deepEqual(idsOf(list), ['obj_000', 'obj_001', 'obj_002']);
+    });
+
+    it('clamps the limit between 1 and 100', () => {
+        assert.equal(paginate(ITEMS, {limit: '500'}).data.length, 100);
+        assert.equal(paginate(ITEMS, {limit: -5}).data.length, 1);
+        assert.equal(paginate(ITEMS, {limit: 'many'}).data.length, 20);
+        assert.equal(paginate(ITEMS, {limit: 5}, {defaultLimit: 10, maxLimit: 3}).data.length, 3);
+    });
+
+    it('continues after and stops before the given ids', () => {
+        assert.deepEqual(idsOf(paginate(ITEMS, {after: 'obj_100', limit: 2})), ['obj_099', 'obj_098']);
+        assert.deepEqual(idsOf(paginate(ITEMS, {order: 'asc', after: 'obj_100', limit: 2})), ['obj_101', 'obj_102']);
+        assert.deepEqual(idsOf(paginate(ITEMS, {order: 'asc', before: 'obj_003'})), ['obj_000', 'obj_001', 'obj_002']);
+        assert.deepEqual(idsOf(paginate(ITEMS, {order: 'asc', after: 'obj_001', before: 'obj_004'})), ['obj_002', 'obj_003']);
+    });
+
+    it('walks every item exactly once, page by page', () => {
+        const seen = [];
+        let list = {has_more: true, last_id: null};
+        while (list.has_more) {
+            list = paginate(ITEMS, {limit: 40, after: list.last_id});
+            seen.push(...idsOf(list));
+        }
+        assert.deepEqual(seen, ITEMS.map(item => item.id).reverse());
+    });
+
+    it('ignores unknown cursors and reports empty pages', () => {
+        assert.equal(paginate(ITEMS, {after: 'obj_missing'}).first_id, 'obj_149');
+        assert.deepEqual(paginate([]), {object: 'list', data: [], first_id: null, last_id: null, has_more: false});
+        assert.deepEqual(paginate(ITEMS, {after: 'obj_000'}), {object: 'list', data: [], first_id: null, last_id: null, has_more: false});
+    });
+});
+
+describe('globToRegex', () => {
+    it('matches * across path segments and escapes everything else', () => {
+        assert.ok(globToRegex('/v1/chat/*').test('/v1/chat/completions'));
+        assert.ok(globToRegex('*').test('/v1/embeddings'));
+        assert.ok(!globToRegex('/v1/chat/*').test('/v1/embeddings'));
+        assert.ok(!globToRegex('gpt-4o').test('gpt-4o-mini'));
+        assert.ok(!globToRegex('gpt-4.1').test('gpt-4x1'));
+    });
+});